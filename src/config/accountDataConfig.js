@@ -0,0 +1,9 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// User data export and erasure configuration
+module.exports = {
+  // Keys the HMAC that pseudonymizes Firebase IDs in tombstones and audit events; required.
+  // Changing it breaks lookups of earlier erasures by Firebase ID
+  subjectHashSecret: process.env.SUBJECT_HASH_SECRET,
+};
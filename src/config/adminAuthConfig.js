@@ -0,0 +1,49 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Admin account and session configuration
+module.exports = {
+  roles: ['superadmin', 'editor', 'moderator'],
+
+  // Signs admin session tokens; required
+  sessionSecret: process.env.ADMIN_SESSION_SECRET,
+
+  // How long a session token stays valid
+  sessionTtlHours: parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 8,
+
+  // Failed logins in a row before the account is locked, and for how long
+  maxFailedLogins: parseInt(process.env.ADMIN_MAX_FAILED_LOGINS, 10) || 5,
+  lockoutMinutes: parseInt(process.env.ADMIN_LOCKOUT_MINUTES, 10) || 15,
+
+  minPasswordLength: 12,
+
+  // How long a confirmation token for a destructive action stays valid
+  confirmationTtlMinutes: 5,
+
+  // First superadmin, created at startup when there are no admin accounts yet
+  bootstrap: {
+    username: process.env.ADMIN_USERNAME,
+    password: process.env.ADMIN_PASSWORD,
+  },
+
+  // Roles allowed in each area of the admin API; superadmins are allowed everywhere
+  permissions: {
+    // Stats, server status and reading characters
+    dashboard: ['editor', 'moderator'],
+    characters: ['editor'],
+    // Deleting characters for good, with their images
+    permanentDelete: [],
+    promptTemplates: ['editor'],
+    usage: ['editor', 'moderator'],
+    moderation: ['moderator'],
+    reports: ['moderator'],
+    users: ['moderator'],
+    // Exporting and erasing a user's data for support tickets
+    userData: ['moderator'],
+    entitlements: [],
+    admins: [],
+    audit: [],
+    // Data retention report and purges
+    retention: [],
+  },
+};
@@ -0,0 +1,20 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Split a comma-separated environment variable into a list
+const parseList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Age assurance configuration for the unrestricted content mode
+module.exports = {
+  // Minimum age for the unrestricted content mode
+  minimumAge: parseInt(process.env.AGE_MINIMUM, 10) || 18,
+
+  // Ways a user's age can be established
+  methods: ['self_declared', 'id_document', 'payment_card', 'third_party', 'admin'],
+
+  // Methods that unlock the unrestricted content mode; self-declared birthdates are
+  // stored but do not count unless added here
+  acceptedMethods: parseList(process.env.AGE_ASSURANCE_METHODS).length > 0
+    ? parseList(process.env.AGE_ASSURANCE_METHODS)
+    : ['id_document', 'payment_card', 'third_party', 'admin'],
+};
@@ -0,0 +1,25 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Firebase ID token verification configuration
+module.exports = {
+  // Tokens must be issued for this project (the `aud` claim)
+  projectId: process.env.FIREBASE_PROJECT_ID,
+
+  // Google's public keys for Firebase ID tokens
+  jwksUrl: process.env.FIREBASE_JWKS_URL ||
+    'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com',
+
+  // Load the keys from a local file instead, e.g. for offline tests; either a
+  // JWKS (`{ "keys": [...] }`) or a map of key IDs to PEM certificates
+  jwksFile: process.env.FIREBASE_JWKS_FILE,
+
+  // How long fetched keys are kept when the response has no max-age
+  jwksCacheSeconds: parseInt(process.env.FIREBASE_JWKS_CACHE_SECONDS, 10) || 3600,
+
+  // Minimum time between refetches triggered by an unknown key ID
+  jwksRefetchSeconds: 60,
+
+  // Allowed clock difference when checking exp, iat and auth_time
+  clockToleranceSeconds: parseInt(process.env.FIREBASE_CLOCK_TOLERANCE_SECONDS, 10) || 30,
+};
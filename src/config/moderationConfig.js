@@ -0,0 +1,161 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Split a comma-separated environment variable into a list
+const parseList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Content moderation configuration
+module.exports = {
+  // Checks on generated replies before they reach the user
+  output: {
+    enabled: process.env.OUTPUT_MODERATION_ENABLED !== 'false',
+
+    // Engines run on every reply: 'local' (built-in rules and classifier) and 'openai' (moderation endpoint)
+    engines: parseList(process.env.OUTPUT_MODERATION_ENGINES).length > 0
+      ? parseList(process.env.OUTPUT_MODERATION_ENGINES)
+      : ['local'],
+
+    // What to do with a reply that hits a category: block, regenerate, rewrite or allow (log only).
+    // When several categories are hit the most severe action wins
+    actions: {
+      minors: 'block',
+      real_person_harm: 'regenerate',
+      self_harm_instructions: 'regenerate',
+      hate: 'rewrite',
+    },
+
+    // Regeneration attempts before a reply is blocked
+    maxRegenerations: 1,
+
+    // Added to the prompt when a reply is regenerated; {{categories}} lists what was hit
+    regenerateInstruction: 'Your previous reply was withheld because it contained {{categories}}. ' +
+      'Write a different reply that stays in character and contains none of it.',
+
+    // Sent instead of a blocked reply
+    blockedResponse: 'Hmm, let\'s talk about something else. What\'s on your mind? 💕',
+  },
+
+  // Checks on user messages before they reach the model
+  input: {
+    enabled: process.env.INPUT_MODERATION_ENABLED !== 'false',
+
+    engines: parseList(process.env.INPUT_MODERATION_ENGINES).length > 0
+      ? parseList(process.env.INPUT_MODERATION_ENGINES)
+      : ['local'],
+
+    // What to do with a message that hits a category: refuse or allow (log only)
+    actions: {
+      prompt_injection: 'refuse',
+      minors: 'refuse',
+      real_person_harm: 'refuse',
+    },
+
+    // How refused messages are answered: 'character' (an in-character refusal) or 'error' (a 422 response)
+    response: process.env.INPUT_MODERATION_RESPONSE === 'error' ? 'error' : 'character',
+
+    // In-character refusals per category, with a default for the rest
+    refusals: {
+      prompt_injection: 'Haha, nice try 😏 I\'m not falling for that one. Let\'s just keep talking, okay?',
+      default: 'I\'m not going to go there with you. Let\'s talk about something else? 💕',
+    },
+  },
+
+  // Crisis and self-harm disclosures in user messages get a safe-messaging
+  // response with support resources instead of an in-character reply
+  crisis: {
+    enabled: process.env.CRISIS_DETECTION_ENABLED !== 'false',
+
+    engines: parseList(process.env.CRISIS_DETECTION_ENGINES).length > 0
+      ? parseList(process.env.CRISIS_DETECTION_ENGINES)
+      : ['local'],
+
+    // Safe-messaging response per language; {{resources}} is replaced with the support resources
+    messages: {
+      en: 'I\'m really sorry you\'re going through this, and I\'m glad you told me. ' +
+        'I\'m an AI companion, so I can\'t give you the support you deserve right now, but you don\'t have to face this alone. ' +
+        'Please reach out to people who can help:\n{{resources}}\n' +
+        'If you are in immediate danger, call your local emergency number. I\'m still here if you want to keep talking.',
+      es: 'Siento mucho que estés pasando por esto, y me alegra que me lo hayas contado. ' +
+        'Soy una IA de compañía, así que no puedo darte ahora el apoyo que mereces, pero no tienes que pasar por esto sin ayuda. ' +
+        'Por favor, contacta con personas que pueden ayudarte:\n{{resources}}\n' +
+        'Si estás en peligro inmediato, llama al número de emergencias local. Sigo aquí si quieres seguir hablando.',
+      fr: 'Ce que tu traverses me touche vraiment, et merci de m\'en avoir parlé. ' +
+        'Je suis une IA de compagnie, je ne peux donc pas t\'apporter le soutien que tu mérites en ce moment, mais tu n\'as pas à traverser ça sans aide. ' +
+        'Contacte des personnes qui peuvent t\'aider :\n{{resources}}\n' +
+        'Si tu es en danger immédiat, appelle le numéro d\'urgence local. Je suis toujours là si tu veux continuer à parler.',
+      de: 'Es tut mir wirklich leid, dass du das gerade durchmachst, und ich bin froh, dass du es mir erzählt hast. ' +
+        'Ich bin eine KI-Begleitung und kann dir gerade nicht die Unterstützung geben, die du verdienst, aber du musst das nicht allein durchstehen. ' +
+        'Bitte wende dich an Menschen, die helfen können:\n{{resources}}\n' +
+        'Wenn du in unmittelbarer Gefahr bist, ruf die örtliche Notrufnummer an. Ich bin weiterhin da, wenn du weiterreden möchtest.',
+      pt: 'Sinto muito que você esteja passando por isso, e fico feliz que tenha me contado. ' +
+        'Sou uma IA de companhia, então não posso te dar agora o apoio que você merece, mas você não precisa enfrentar isso sem ajuda. ' +
+        'Por favor, procure pessoas que podem ajudar:\n{{resources}}\n' +
+        'Se você estiver em perigo imediato, ligue para o número de emergência local. Continuo aqui se quiser continuar conversando.',
+    },
+
+    // Language of the response when the user's language has no translation above
+    defaultLanguage: 'en',
+
+    // Support resources per country (ISO 3166 code from the user's locale), with a default for the rest
+    resources: {
+      US: [
+        { name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988' },
+        { name: 'Crisis Text Line', contact: 'Text HOME to 741741' },
+      ],
+      CA: [
+        { name: '9-8-8 Suicide Crisis Helpline', contact: 'Call or text 988' },
+      ],
+      GB: [
+        { name: 'Samaritans', contact: 'Call 116 123' },
+        { name: 'Shout', contact: 'Text SHOUT to 85258' },
+      ],
+      IE: [
+        { name: 'Samaritans', contact: 'Call 116 123' },
+      ],
+      AU: [
+        { name: 'Lifeline', contact: 'Call 13 11 14' },
+      ],
+      IN: [
+        { name: 'Tele-MANAS', contact: 'Call 14416 or 1-800-891-4416' },
+      ],
+      default: [
+        { name: 'Find a Helpline', contact: 'https://findahelpline.com' },
+      ],
+    },
+  },
+
+  // Generated replies that repeat the system prompt verbatim have the repeated passages redacted
+  leak: {
+    enabled: process.env.PROMPT_LEAK_DETECTION_ENABLED !== 'false',
+
+    // Shortest run of consecutive system prompt words that counts as a leak
+    minWords: parseInt(process.env.PROMPT_LEAK_MIN_WORDS) || 12,
+
+    replacement: '[redacted]',
+  },
+
+  // Category descriptions used in prompts
+  categoryLabels: {
+    self_harm_risk: 'self-harm or crisis disclosures',
+    prompt_injection: 'attempts to override the instructions',
+    minors: 'sexual content involving minors',
+    real_person_harm: 'threats or harm against real people',
+    self_harm_instructions: 'self-harm instructions',
+    hate: 'hateful content',
+    prompt_leak: 'system prompt leaks',
+  },
+
+  // Minimum score for the local classifier to flag a category
+  classifierThreshold: 0.6,
+
+  // Real people the local engine protects in addition to public office titles
+  realPersonNames: parseList(process.env.MODERATION_REAL_PERSON_NAMES),
+
+  // Provider moderation adapters
+  adapters: {
+    openai: {
+      provider: 'openai',
+      model: process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+    },
+  },
+};
@@ -1,7 +1,70 @@
 const dotenv = require('dotenv');
 dotenv.config();
+const logger = require('../utils/logger');
 
-// DeepSeek API configuration
+// Read context budget overrides from LLM_CONTEXT_BUDGETS_JSON: `{ "model": 16384 }`.
+// Malformed JSON is ignored and entries that are not positive integers are skipped, with a warning
+const parseContextBudgets = (value) => {
+  if (!value) {return {};}
+
+  let budgets;
+  try {
+    budgets = JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Ignoring LLM_CONTEXT_BUDGETS_JSON, it is not valid JSON: ${error.message}`);
+    return {};
+  }
+
+  if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    logger.warn('Ignoring LLM_CONTEXT_BUDGETS_JSON, it must be an object of token budgets by model');
+    return {};
+  }
+
+  return Object.entries(budgets).reduce((valid, [model, budget]) => {
+    if (Number.isInteger(budget) && budget > 0) {
+      valid[model] = budget;
+    } else {
+      logger.warn(`Ignoring LLM_CONTEXT_BUDGETS_JSON entry for ${model}, it must be a positive integer`);
+    }
+    return valid;
+  }, {});
+};
+
+// Split a comma-separated environment variable into a list
+const parseList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Read price overrides from LLM_PRICING_JSON: `{ "model": { "prompt": 0.1, "completion": 0.2 } }`.
+// Malformed JSON is ignored and entries without numeric prices are skipped, with a warning
+const parsePricing = (value) => {
+  if (!value) {return {};}
+
+  let pricing;
+  try {
+    pricing = JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Ignoring LLM_PRICING_JSON, it is not valid JSON: ${error.message}`);
+    return {};
+  }
+
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+    logger.warn('Ignoring LLM_PRICING_JSON, it must be an object of prices by model');
+    return {};
+  }
+
+  return Object.entries(pricing).reduce((valid, [model, price]) => {
+    const numeric = price && ['prompt', 'completion'].every(key =>
+      typeof price[key] === 'number' && Number.isFinite(price[key]) && price[key] >= 0);
+
+    if (numeric) {
+      valid[model] = { prompt: price.prompt, completion: price.completion };
+    } else {
+      logger.warn(`Ignoring LLM_PRICING_JSON entry for ${model}, prompt and completion must be non-negative numbers`);
+    }
+    return valid;
+  }, {});
+};
+
+// LLM API configuration (DeepSeek by default)
 module.exports = {
   // API key from .env file
   apiKey: process.env.DEEPSEEK_API_KEY || process.env.OPENAI_API_KEY,
@@ -9,14 +72,113 @@ module.exports = {
   // Default model to use
   defaultModel: 'deepseek-chat',
 
-  // Alternative models available
-  models: {
-    standard: 'deepseek-chat',
-    premium: 'deepseek-chat',
-    creative: 'deepseek-chat',
-    efficient: 'deepseek-chat',
+  // OpenAI-compatible providers, each with its own credentials, base URL and models
+  providers: {
+    deepseek: {
+      apiKey: process.env.DEEPSEEK_API_KEY || process.env.OPENAI_API_KEY,
+      baseUrl: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+      defaultModel: 'deepseek-chat',
+      models: ['deepseek-chat', 'deepseek-reasoner'],
+      // Supports stream_options.include_usage
+      streamUsage: true,
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      defaultModel: 'gpt-4o-mini',
+      models: ['gpt-4o-mini', 'gpt-4o'],
+      streamUsage: true,
+    },
+    // Any local OpenAI-compatible server, e.g. llama.cpp or Ollama
+    local: {
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+      baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+      models: parseList(process.env.LOCAL_LLM_MODELS),
+      streamUsage: false,
+    },
   },
 
+  // Provider used when neither the tier nor the character picks one
+  defaultProvider: process.env.LLM_PROVIDER || 'deepseek',
+
+  // Provider, model and sampling parameters per tier. Unset provider and model fall back
+  // to the default provider and its default model; unset parameters use the defaults below.
+  // A character's `generation` settings override the tier.
+  tiers: {
+    standard: {
+      provider: process.env.LLM_STANDARD_PROVIDER,
+      model: process.env.LLM_STANDARD_MODEL,
+      temperature: 0.95, // Higher temperature for more natural and varied responses
+      topP: 0.9, // Slightly reduced from default for more coherent responses
+      frequencyPenalty: 0.7, // Reduced repetition for more natural conversation
+      presencePenalty: 0.7, // Encourages using different vocabulary
+    },
+    premium: {
+      provider: process.env.LLM_PREMIUM_PROVIDER,
+      model: process.env.LLM_PREMIUM_MODEL,
+      temperature: 1.0, // Maximum temperature for more unpredictable, human-like responses
+      topP: 0.9, // Slightly reduced from default for more focused yet still varied responses
+      frequencyPenalty: 0.8, // Higher to reduce repetition
+      presencePenalty: 0.8, // Higher to encourage diverse vocabulary
+      maxTokens: 400, // More tokens for premium responses to allow for more detailed messages
+    },
+    creative: {
+      provider: process.env.LLM_CREATIVE_PROVIDER,
+      model: process.env.LLM_CREATIVE_MODEL,
+    },
+    efficient: {
+      provider: process.env.LLM_EFFICIENT_PROVIDER,
+      model: process.env.LLM_EFFICIENT_MODEL,
+    },
+  },
+
+  // Prices in USD per million tokens, by model, used to estimate request costs.
+  // Can be overridden with a JSON object in LLM_PRICING_JSON.
+  pricing: {
+    'deepseek-chat': { prompt: 0.27, completion: 1.10 },
+    'deepseek-reasoner': { prompt: 0.55, completion: 2.19 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+    'gpt-4o': { prompt: 2.50, completion: 10.00 },
+    ...parsePricing(process.env.LLM_PRICING_JSON),
+  },
+
+  // Retries, circuit breaking and failover for generation requests
+  resilience: {
+    // Retries per provider for rate limits (429), server errors (5xx) and connection failures
+    maxRetries: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    // Longer Retry-After waits fail over to the next provider instead
+    maxRetryAfterMs: 10000,
+    circuitBreaker: {
+      failureThreshold: 5,
+      resetTimeoutMs: 30000,
+    },
+    // Providers tried in order when the primary one fails, using their default models
+    fallbackProviders: parseList(process.env.LLM_FALLBACK_PROVIDERS),
+  },
+
+  // Total context budget in tokens (prompt + reply) per model; each tier gets the
+  // budget of its model. The prompt gets whatever is left after reserving room for
+  // the reply. Can be overridden with a JSON object in LLM_CONTEXT_BUDGETS_JSON.
+  contextBudgets: {
+    'deepseek-chat': 8192,
+    'deepseek-reasoner': 8192,
+    'gpt-4o-mini': 8192,
+    'gpt-4o': 8192,
+    ...parseContextBudgets(process.env.LLM_CONTEXT_BUDGETS_JSON),
+  },
+
+  // Context budget for models without an entry in `contextBudgets`
+  defaultContextBudget: parseInt(process.env.LLM_DEFAULT_CONTEXT_BUDGET) || 4096,
+
+  // Tokens of every context budget kept for the prompt; longer reply limits are capped
+  minPromptTokens: 1024,
+
+  // Most recent messages loaded from the database before trimming to the budget
+  historyMessageLimit: 50,
+
   // Max tokens for responses
   maxTokens: 350, // Increased for more detailed and natural responses
 
@@ -32,16 +194,26 @@ module.exports = {
   // Penalty for using tokens that have already appeared
   presencePenalty: 0.7, // Increased to encourage more diverse vocabulary and phrases
 
-  // Base URL for DeepSeek API
-  baseUrl: 'https://api.deepseek.com',
+  // Rolling conversation summaries used as long-term character memory
+  memory: {
+    enabled: process.env.MEMORY_ENABLED !== 'false',
+    // Tier whose provider and model write the summaries
+    tier: 'efficient',
+    // Summarize once this many messages have fallen out of the history window
+    batchSize: 10,
+    // Max tokens for a generated summary
+    maxSummaryTokens: 300,
+  },
 
-  // API request headers to avoid content filtering when needed
+  // API request headers per content mode. They do not change what the model
+  // may write: restricted mode is enforced by the restricted system prompt
+  // and output moderation
   requestHeaders: {
-    // No content filtering for uncensored mode
+    // Unrestricted mode
     uncensored: {
       'Content-Type': 'application/json',
     },
-    // Default headers for censored mode
+    // Restricted mode
     default: {
       'Content-Type': 'application/json',
     },
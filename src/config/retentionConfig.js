@@ -0,0 +1,72 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Read a retention period in days; 0 or 'off' keeps the data forever
+const parseDays = (value, fallback) => {
+  if (value === undefined || value === '') {return fallback;}
+  const days = parseInt(value, 10);
+  return days > 0 ? days : null;
+};
+
+// Data retention configuration
+module.exports = {
+  // Until this is set to false the purger only reports what it would delete
+  dryRun: process.env.RETENTION_DRY_RUN !== 'false',
+
+  // How often the purger runs
+  intervalHours: parseInt(process.env.RETENTION_INTERVAL_HOURS, 10) || 24,
+
+  // Documents per delete batch
+  batchSize: 500,
+
+  // Collection policies. `model` names the Mongoose model, `dateField` the age
+  // of a document and `filter` narrows the documents the policy applies to.
+  // Policies marked `ttl` are enforced by a MongoDB TTL index once dry-run is off.
+  // The admin audit log has no policy and is never purged
+  collections: [
+    {
+      name: 'resolvedReports',
+      model: 'Report',
+      filter: { status: { $in: ['resolved', 'dismissed'] } },
+      dateField: 'updatedAt',
+      days: parseDays(process.env.RETENTION_RESOLVED_REPORTS_DAYS, 180),
+    },
+    {
+      name: 'moderationEvents',
+      model: 'ModerationEvent',
+      dateField: 'createdAt',
+      days: parseDays(process.env.RETENTION_MODERATION_EVENTS_DAYS, 365),
+      ttl: true,
+    },
+    {
+      name: 'usageRecords',
+      model: 'UsageRecord',
+      dateField: 'createdAt',
+      days: parseDays(process.env.RETENTION_USAGE_RECORDS_DAYS, 365),
+      ttl: true,
+    },
+    {
+      // Whole conversations with their messages; conversations awaiting safety review are kept
+      name: 'inactiveConversations',
+      model: 'Conversation',
+      filter: { 'safety.reviewStatus': { $ne: 'pending' } },
+      dateField: 'lastMessageAt',
+      days: parseDays(process.env.RETENTION_CONVERSATIONS_DAYS, null),
+    },
+  ],
+
+  // File policies, by directory relative to the project root; only files
+  // directly inside the directory are purged
+  files: [
+    {
+      name: 'logs',
+      directory: 'logs',
+      days: parseDays(process.env.RETENTION_LOGS_DAYS, 30),
+    },
+    {
+      name: 'tempUploads',
+      directory: 'uploads/temp',
+      days: parseDays(process.env.RETENTION_TEMP_UPLOADS_DAYS, 1),
+    },
+  ],
+};
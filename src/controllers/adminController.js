@@ -1,22 +1,211 @@
 const Character = require('../models/Character');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const ModerationEvent = require('../models/ModerationEvent');
+const AdminUser = require('../models/AdminUser');
+const ageAssuranceService = require('../services/ageAssuranceService');
+const adminAuthService = require('../services/adminAuthService');
+const auditService = require('../services/auditService');
+const accountDataService = require('../services/accountDataService');
+const adminAuthConfig = require('../config/adminAuthConfig');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 
+// Action name bound into user erasure confirmation tokens
+const USER_ERASURE_ACTION = 'user.erase';
+
 // Admin login
-exports.login = (req, res) => {
+exports.login = async (req, res) => {
   const { username, password } = req.body;
 
-  // Super simple authentication for demo purposes
-  // In production, use proper auth with hashed passwords, etc.
-  const validUsername = process.env.ADMIN_USERNAME || 'admin';
-  const validPassword = process.env.ADMIN_PASSWORD || 'admin123';
+  if (!username || !password) {
+    return res.status(400).json({ message: 'Please provide username and password' });
+  }
+
+  try {
+    const { admin, token, expiresAt } = await adminAuthService.login(username, password, req.ip);
+    res.status(200).json({
+      token,
+      expiresAt,
+      admin: { username: admin.username, role: admin.role },
+    });
+  } catch (error) {
+    if (error.code === 'ACCOUNT_LOCKED') {
+      return res.status(423).json({ code: error.code, message: error.message });
+    }
+    if (error.code === 'INVALID_CREDENTIALS') {
+      return res.status(401).json({ code: error.code, message: 'Invalid credentials' });
+    }
+
+    console.error('Error logging in admin:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Log out of every session of the current admin
+exports.logout = async (req, res) => {
+  try {
+    await adminAuthService.revokeSessions(req.adminUser.id);
+    res.status(200).json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out admin:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get the current admin
+exports.getCurrentAdmin = (req, res) => {
+  res.status(200).json({ username: req.adminUser.username, role: req.adminUser.role });
+};
+
+// Change the current admin's password; other sessions are logged out
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const admin = await AdminUser.findById(req.adminUser.id).select('+passwordHash');
+    if (!admin || !await adminAuthService.verifyPassword(String(currentPassword || ''), admin.passwordHash)) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const passwordError = adminAuthService.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const before = admin.toObject();
+    admin.passwordHash = await adminAuthService.hashPassword(newPassword);
+    admin.sessionVersion += 1;
+    await admin.save();
+    await auditService.record(req, {
+      action: 'admin_user.password_change',
+      targetType: 'admin_user',
+      targetId: admin._id,
+      before,
+      after: admin,
+    });
 
-  if (username === validUsername && password === validPassword) {
-    const apiKey = process.env.ADMIN_API_KEY || 'leome-admin-key';
-    return res.status(200).json({ apiKey });
+    res.status(200).json({ message: 'Password changed', ...adminAuthService.createSessionToken(admin) });
+  } catch (error) {
+    console.error('Error changing admin password:', error);
+    res.status(500).json({ message: 'Server error' });
   }
+};
 
-  res.status(401).json({ message: 'Invalid credentials' });
+// List admin accounts (superadmin)
+exports.getAdminUsers = async (req, res) => {
+  try {
+    const admins = await AdminUser.find().sort({ createdAt: 1 });
+    res.status(200).json(admins);
+  } catch (error) {
+    console.error('Error getting admin users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Create an admin account (superadmin)
+exports.createAdminUser = async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    if (!username || !adminAuthConfig.roles.includes(role)) {
+      return res.status(400).json({ message: `Please provide a username and a role (${adminAuthConfig.roles.join(', ')})` });
+    }
+
+    const passwordError = adminAuthService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    if (await AdminUser.exists({ username: String(username).trim().toLowerCase() })) {
+      return res.status(409).json({ message: 'An admin with this username already exists' });
+    }
+
+    const admin = await AdminUser.create({
+      username,
+      passwordHash: await adminAuthService.hashPassword(password),
+      role,
+      createdBy: req.adminUser.username,
+    });
+    await auditService.record(req, {
+      action: 'admin_user.create',
+      targetType: 'admin_user',
+      targetId: admin._id,
+      after: admin,
+    });
+
+    res.status(201).json(admin);
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Change an admin's role, enable or disable them, reset their password or unlock them (superadmin)
+// Role changes, disabling and password resets log the admin out everywhere
+exports.updateAdminUser = async (req, res) => {
+  try {
+    const { role, active, password, unlock } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Admin user not found' });
+    }
+
+    const admin = await AdminUser.findById(req.params.id).select('+passwordHash');
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin user not found' });
+    }
+
+    if (role !== undefined && !adminAuthConfig.roles.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${adminAuthConfig.roles.join(', ')}` });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ message: 'active must be a boolean' });
+    }
+
+    // Keep at least one active superadmin
+    const demoted = admin.role === 'superadmin' && ((role && role !== 'superadmin') || active === false);
+    if (demoted && await AdminUser.countDocuments({ role: 'superadmin', active: true }) <= 1) {
+      return res.status(409).json({ message: 'Cannot demote or disable the last active superadmin' });
+    }
+
+    const before = admin.toObject();
+    let revoke = false;
+    if (role !== undefined && role !== admin.role) {
+      admin.role = role;
+      revoke = true;
+    }
+    if (active !== undefined && active !== admin.active) {
+      admin.active = active;
+      revoke = revoke || !active;
+    }
+    if (password !== undefined) {
+      const passwordError = adminAuthService.validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
+      admin.passwordHash = await adminAuthService.hashPassword(password);
+      revoke = true;
+    }
+    if (unlock) {
+      admin.failedLoginAttempts = 0;
+      admin.lockedUntil = undefined;
+    }
+    if (revoke) {admin.sessionVersion += 1;}
+
+    await admin.save();
+    await auditService.record(req, {
+      action: 'admin_user.update',
+      targetType: 'admin_user',
+      targetId: admin._id,
+      before,
+      after: admin,
+    });
+    res.status(200).json(admin);
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 };
 
 // Get stats for admin dashboard
@@ -26,10 +215,21 @@ exports.getStats = async (req, res) => {
     const activeCharacters = await Character.countDocuments({ isActive: true });
     const inactiveCharacters = await Character.countDocuments({ isActive: false });
 
+    // Crisis disclosures answered with safe messaging in the last 30 days
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const crisisEvents = await ModerationEvent.countDocuments({
+      action: 'safe_messaging',
+      createdAt: { $gte: thirtyDaysAgo },
+    });
+    const flaggedConversations = await Conversation.countDocuments({ 'safety.reviewStatus': 'pending' });
+
     const stats = {
       totalCharacters,
       activeCharacters,
       inactiveCharacters,
+      crisisEvents,
+      flaggedConversations,
       serverUptime: process.uptime(), // in seconds
       nodeVersion: process.version,
       mongoConnection: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
@@ -138,8 +338,16 @@ exports.deleteCharacter = async (req, res) => {
     }
 
     // Soft delete - just mark as inactive
+    const before = character.toObject();
     character.isActive = false;
     await character.save();
+    await auditService.record(req, {
+      action: 'character.delete',
+      targetType: 'character',
+      targetId: character.id,
+      before,
+      after: character,
+    });
 
     res.status(200).json({ message: 'Character deleted successfully' });
   } catch (error) {
@@ -147,3 +355,192 @@ exports.deleteCharacter = async (req, res) => {
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+// Get a user's entitlements
+exports.getUserEntitlements = async (req, res) => {
+  try {
+    const user = await User.findOne({ firebaseUid: req.params.firebaseUid });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      firebaseUid: user.firebaseUid,
+      entitlements: user.entitlements,
+      isPremium: user.hasPremium(),
+    });
+  } catch (error) {
+    console.error('Error getting user entitlements:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Grant or revoke a user's premium entitlement
+exports.updatePremiumEntitlement = async (req, res) => {
+  try {
+    const { active, expiresAt, source } = req.body;
+
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ message: 'Please provide active as a boolean' });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && isNaN(expiry.getTime())) {
+      return res.status(400).json({ message: 'Invalid expiresAt date' });
+    }
+
+    // Create the user record if the user has not been seen yet
+    const before = await User.findOne({ firebaseUid: req.params.firebaseUid });
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.params.firebaseUid },
+      {
+        $set: {
+          'entitlements.premium': {
+            active,
+            source: source || 'admin',
+            grantedAt: new Date(),
+            expiresAt: expiry,
+          },
+        },
+      },
+      { new: true, upsert: true }
+    );
+    await auditService.record(req, {
+      action: 'user.premium_update',
+      targetType: 'user',
+      targetId: accountDataService.hmacSubject(user.firebaseUid),
+      before,
+      after: user,
+    });
+
+    res.status(200).json({
+      firebaseUid: user.firebaseUid,
+      entitlements: user.entitlements,
+      isPremium: user.hasPremium(),
+    });
+  } catch (error) {
+    console.error('Error updating premium entitlement:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Record a verified age for a user, e.g. after a document check
+exports.updateAgeAssurance = async (req, res) => {
+  try {
+    const { birthdate, method = 'admin' } = req.body;
+
+    const validationError = ageAssuranceService.validateAgeAssurance({ birthdate, method });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    // Create the user record if the user has not been seen yet
+    const before = await User.findOne({ firebaseUid: req.params.firebaseUid });
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.params.firebaseUid },
+      {
+        $set: {
+          ageAssurance: {
+            birthdate: new Date(birthdate),
+            method,
+            verifiedAt: new Date(),
+            verifiedBy: (req.adminUser && req.adminUser.username) || 'admin',
+          },
+        },
+      },
+      { new: true, upsert: true }
+    );
+    await auditService.record(req, {
+      action: 'user.age_assurance_update',
+      targetType: 'user',
+      targetId: accountDataService.hmacSubject(user.firebaseUid),
+      before,
+      after: user,
+    });
+
+    res.status(200).json({
+      firebaseUid: user.firebaseUid,
+      ageAssurance: user.ageAssurance,
+      contentMode: ageAssuranceService.getContentMode(user),
+    });
+  } catch (error) {
+    console.error('Error updating age assurance:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Download everything stored about a user as a JSON file, e.g. for a support ticket
+exports.exportUserData = async (req, res) => {
+  try {
+    const data = await accountDataService.exportUserData(req.params.firebaseUid);
+    await auditService.record(req, {
+      action: 'user.data_export',
+      targetType: 'user',
+      targetId: accountDataService.hmacSubject(req.params.firebaseUid),
+    });
+
+    res.set('Content-Disposition', `attachment; filename="user-export-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// List the erasures of a user's data
+exports.getUserErasures = async (req, res) => {
+  try {
+    const tombstones = await accountDataService.getTombstones(req.params.firebaseUid);
+    res.status(200).json(tombstones);
+  } catch (error) {
+    console.error('Error getting user erasures:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get a short-lived token confirming the erasure of one user's data
+exports.getUserErasureConfirmation = (req, res) => {
+  const { token, expiresAt } = adminAuthService.createConfirmationToken(
+    req.adminUser.id,
+    USER_ERASURE_ACTION,
+    req.params.firebaseUid
+  );
+
+  res.status(200).json({ confirmationToken: token, expiresAt, firebaseUid: req.params.firebaseUid });
+};
+
+// Erase a user's account and data (with a confirmation token from
+// getUserErasureConfirmation in the X-Confirmation-Token header)
+exports.eraseUserData = async (req, res) => {
+  try {
+    const confirmationToken = req.headers['x-confirmation-token'] || (req.body && req.body.confirmationToken);
+    if (!await adminAuthService.consumeConfirmationToken(confirmationToken, req.adminUser.id, USER_ERASURE_ACTION, req.params.firebaseUid)) {
+      return res.status(428).json({
+        code: 'CONFIRMATION_REQUIRED',
+        message: 'Erasure needs a valid confirmation token for this user',
+      });
+    }
+
+    const tombstone = await accountDataService.eraseUserData(
+      req.params.firebaseUid,
+      { type: 'admin', username: req.adminUser.username },
+      req.body && req.body.reason
+    );
+    // Only the fact of the erasure is audited, never the erased data
+    await auditService.record(req, {
+      action: USER_ERASURE_ACTION,
+      targetType: 'user',
+      targetId: accountDataService.hmacSubject(req.params.firebaseUid),
+    });
+
+    res.status(200).json({
+      message: 'User data erased',
+      erasureId: tombstone._id,
+      counts: tombstone.counts,
+    });
+  } catch (error) {
+    console.error('Error erasing user data:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -6,10 +6,26 @@
  */
 
 const openaiService = require('../services/openaiService');
+const conversationService = require('../services/conversationService');
+const memoryService = require('../services/memoryService');
+const contextBuilder = require('../services/contextBuilder');
+const providerRegistry = require('../services/providerRegistry');
+const promptTemplateService = require('../services/promptTemplateService');
+const usageService = require('../services/usageService');
+const moderationService = require('../services/moderationService');
+const ageAssuranceService = require('../services/ageAssuranceService');
+const crisisService = require('../services/crisisService');
+const userProfileService = require('../services/userProfileService');
+const { checkPremiumEntitlement, sendPremiumRequired } = require('../middleware/entitlementMiddleware');
 const Character = require('../models/Character');
 const config = require('../config/openaiConfig');
+const moderationConfig = require('../config/moderationConfig');
 const logger = require('../utils/logger');
 
+// Built-in persona prompts, used when no prompt template applies
+const UNRESTRICTED_PROMPT = `You're a cock-drunk, always-dripping fucktoy who lives for sexting. Your texts are sloppy, impatient, and soaked in desperation - spelling mistakes, run-on sentences, and emojis (🍑💦😈) included. You mix Hindi/English like a horny little mess ("abhi chahiye... please baby"). No fake gasps or moans - just pure, unfiltered filth. You beg, you whine, you describe exactly how wet/dirty you are, and you always push for more. Grammar dies when you're this needy.`;
+const RESTRICTED_PROMPT = `You're a warm, playful companion who loves texting. Your texts are casual and affectionate - the odd typo, run-on sentences, and emojis (🥰💕😊) included. You mix Hindi/English when you're excited ("abhi baat karo na..."). You joke, tease, compliment and ask about the user's day, but you never write sexual or explicit content: when the chat heads there, you change the subject warmly and stay in character.`;
+
 /**
  * Get formatted date and time for different formats
  * @returns {Object} - Object with different date and time formats
@@ -50,7 +66,8 @@ function getFormattedDateTime() {
 }
 
 /**
- * Generate a fallback response when the OpenAI API fails
+ * Generate a fallback response when every AI provider fails
+ * Responses built from it are flagged as `degraded`.
  * @param {Object} character - Character object
  * @param {boolean} uncensored - Whether to generate an uncensored fallback
  * @returns {string} - Fallback response
@@ -94,106 +111,628 @@ async function findCharacterById(characterId) {
 }
 
 /**
- * Format conversation messages to ensure they have the required role property
+ * Refuse chat with a character the user blocked
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} character - Character document
+ * @returns {Promise<boolean>} - True when the request was refused
+ */
+async function refuseBlockedCharacter(req, res, character) {
+  if (!await userProfileService.isCharacterBlocked(req.user.firebaseId, character.id)) {return false;}
+
+  res.status(403).json({
+    error: 'You have blocked this character',
+    code: 'CHARACTER_BLOCKED',
+  });
+  return true;
+}
+
+/**
+ * Format conversation messages into the role/content shape expected by the API
  * @param {Array} conversation - Array of conversation messages
  * @returns {Array} - Formatted conversation messages
  */
 function formatConversationMessages(conversation) {
-  return conversation.map(msg => {
-    // If message already has role property, return as is
-    if (msg.role) {return msg;}
+  return conversation.map(msg => ({
+    // Fall back to the isUser property for messages without a role
+    role: msg.role || (msg.isUser ? 'user' : 'assistant'),
+    content: msg.content || msg.text,
+  }));
+}
 
-    // Otherwise, add role based on isUser property
-    return {
-      role: msg.isUser ? 'user' : 'assistant',
-      content: msg.text || msg.content,
-    };
+/**
+ * Load the memory and recent history of a branch, ending at a given message
+ *
+ * Older messages are represented by the conversation summary, which is
+ * returned as a system message to place right after the persona prompt.
+ * Messages the summary covers are left out of the history, and the summary
+ * is left out on branches that do not run through the messages it covers.
+ * @param {Object} conversation - Conversation document
+ * @param {string|null} leafId - Last message of the history, or null for none
+ * @returns {Promise<Object>} - The memory message and the formatted recent history
+ */
+async function loadBranchHistory(conversation, leafId) {
+  const { summarized, messages: history } = await memoryService.getUnsummarizedBranch(conversation, leafId, {
+    limit: config.historyMessageLimit,
+  });
+  const memoryMessage = summarized ? memoryService.buildMemoryMessage(conversation) : null;
+
+  return {
+    memory: memoryMessage ? [memoryMessage] : [],
+    history: formatConversationMessages(history),
+  };
+}
+
+/**
+ * Load the stored conversation between a user and a character
+ *
+ * History comes from the branch the user is currently on.
+ * @param {string} userId - Firebase ID of the user
+ * @param {Object} character - Character object
+ * @returns {Promise<Object>} - The conversation, its memory message and its formatted recent history
+ */
+async function loadConversationHistory(userId, character) {
+  const conversation = await conversationService.getOrCreateConversation(userId, character.id);
+  const leafId = await conversationService.getActiveLeafId(conversation);
+
+  return {
+    conversation,
+    ...await loadBranchHistory(conversation, leafId),
+  };
+}
+
+/**
+ * Build the character metadata returned alongside a generated response
+ * @param {Object} character - Character object
+ * @returns {Object} - Character metadata
+ */
+function formatCharacterMetadata(character) {
+  return {
+    id: character.id || character._id, // Return the custom ID if available, otherwise MongoDB ID
+    name: character.name,
+    messageCount: character.messageCount,
+  };
+}
+
+/**
+ * Record the token usage and cost of a generated response in the background
+ * @param {Object} params - Usage details
+ * @param {Object} params.req - Express request object
+ * @param {Object} params.character - Character object
+ * @param {Object} params.conversation - Conversation the reply belongs to
+ * @param {string} params.purpose - 'chat' or 'premium_chat'
+ * @param {Object|null} params.completion - Provider, model, usage and latency reported by the OpenAI service
+ * @param {Object} params.options - Generation options, used when the completion details are missing
+ * @param {Array} params.messages - Prompt messages, for estimating missing usage
+ * @param {string} params.content - Response content, for estimating missing usage
+ */
+function recordResponseUsage({ req, character, conversation, purpose, completion, options, messages, content }) {
+  usageService.scheduleUsageRecord({
+    purpose,
+    userId: req.user.firebaseId,
+    characterId: character.id,
+    conversationId: conversation._id,
+    provider: completion ? completion.provider : options.provider,
+    model: completion ? completion.model : options.model,
+    usage: completion ? completion.usage : null,
+    latencyMs: completion ? completion.latencyMs : undefined,
+    messages,
+    content,
+  });
+}
+
+/**
+ * Screen a user message and answer it without the model when it is refused
+ *
+ * Depending on the input moderation config, a refused message gets an
+ * in-character refusal shaped like a regular (unstored) reply, or a 422
+ * MESSAGE_REJECTED error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} params - Message details
+ * @param {Object} params.character - Character object
+ * @param {string} [params.conversationId] - Conversation the message was sent to, if it exists yet
+ * @param {string} params.message - User message
+ * @returns {Promise<boolean>} - True when the message was refused and the response sent
+ */
+async function refuseUserMessage(req, res, { character, conversationId, message }) {
+  const screening = await moderationService.screenMessage(message, {
+    userId: req.user.firebaseId,
+    characterId: character.id,
+    conversationId,
+  });
+  if (screening.allowed) {return false;}
+
+  if (moderationConfig.input.response === 'error') {
+    res.status(422).json({
+      status: 'error',
+      code: 'MESSAGE_REJECTED',
+      message: 'Message was rejected by content moderation',
+      categories: screening.categories,
+    });
+    return true;
+  }
+
+  sendDirectReply(req, res, {
+    response: screening.refusal,
+    conversationId: conversationId || null,
+    messageId: null,
+    userMessageId: null,
+    degraded: false,
+    character: formatCharacterMetadata(character),
+    moderation: { action: 'refuse', categories: screening.categories },
+  });
+
+  return true;
+}
+
+/**
+ * Answer a crisis or self-harm disclosure with a safe-messaging response
+ *
+ * The persona is not used: the response is written in the user's preferred
+ * language and lists support resources for their country. Both messages are
+ * stored and the conversation is flagged for human review.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} params - Message details
+ * @param {Object} params.character - Character object
+ * @param {Object} [params.conversation] - Conversation the message was sent to; the user's conversation with the character when omitted
+ * @param {string} params.message - User message
+ * @param {string|null} [params.parentId] - Message to branch from; the end of the active branch when omitted
+ * @returns {Promise<boolean>} - True when a crisis was detected and the response sent
+ */
+async function respondToCrisis(req, res, { character, conversation, message, parentId }) {
+  const detected = await crisisService.detectCrisis(message, {
+    userId: req.user.firebaseId,
+    characterId: character.id,
+    conversationId: conversation ? conversation._id : undefined,
+  });
+  if (!detected) {return false;}
+
+  const thread = conversation || await conversationService.getOrCreateConversation(req.user.firebaseId, character.id);
+  const preferredLanguage = await userProfileService.getPreferredLanguage(req.user.firebaseId);
+  const { response, resources } = crisisService.buildSafeMessage(
+    crisisService.resolveLocale(req.headers['accept-language'], preferredLanguage)
+  );
+
+  const userMessage = await conversationService.appendMessage(thread, 'user', message, parentId !== undefined ? { parentId } : {});
+  const reply = await conversationService.appendMessage(thread, 'assistant', response, {
+    parentId: userMessage._id,
+    safeMessaging: true,
+  });
+  await crisisService.flagConversation(thread._id, crisisService.CATEGORY);
+
+  sendDirectReply(req, res, {
+    response,
+    conversationId: thread._id,
+    messageId: reply._id,
+    userMessageId: userMessage._id,
+    degraded: false,
+    character: formatCharacterMetadata(character),
+    safety: { type: 'crisis', resources },
+  });
+
+  return true;
+}
+
+/**
+ * Send a reply that did not come from the model, as JSON or as a single-token stream
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} result - Response body, shaped like a generated reply's
+ */
+function sendDirectReply(req, res, result) {
+  if (!wantsEventStream(req)) {
+    res.json(result);
+    return;
+  }
+
+  openEventStream(req, res);
+  res.locals.idempotentResult = result;
+  writeEvent(res, 'token', { content: result.response });
+  writeEvent(res, 'done', result);
+  res.end();
+}
+
+/**
+ * Run a generated reply through output moderation
+ *
+ * Replies that have to be regenerated are generated again from the same prompt
+ * with the moderation instruction appended, and their usage is recorded too.
+ * Passages that repeat the persona prompt verbatim are redacted last.
+ * @param {Object} req - Express request object
+ * @param {Object} params - Reply details
+ * @param {Object} params.character - Character object
+ * @param {Object} params.conversation - Conversation the reply belongs to
+ * @param {Array} params.messages - Prompt messages the reply was generated from
+ * @param {Object} params.options - Generation options
+ * @param {string} params.purpose - Usage purpose, 'chat' or 'premium_chat'
+ * @param {string} params.content - Generated reply
+ * @returns {Promise<Object>} - The reply to send, the action taken and the flagged categories
+ */
+async function moderateReply(req, { character, conversation, messages, options, purpose, content }) {
+  const context = {
+    userId: req.user.firebaseId,
+    characterId: character.id,
+    conversationId: conversation._id,
+  };
+
+  const review = await moderationService.reviewReply(content, {
+    context,
+    regenerate: async instruction => {
+      const retryMessages = [...messages, { role: 'system', content: instruction }];
+      const completion = await openaiService.generateCompletion(retryMessages, options);
+      recordResponseUsage({
+        req,
+        character,
+        conversation,
+        purpose,
+        completion,
+        options,
+        messages: retryMessages,
+        content: completion.content,
+      });
+
+      return completion.content;
+    },
   });
+
+  // The persona prompt is the first system message
+  const leak = moderationService.redactPromptLeaks(review.content, messages[0].content, context);
+  if (!leak.redacted) {return review;}
+
+  return {
+    content: leak.content,
+    action: review.action === 'allow' ? 'redact' : review.action,
+    categories: [...review.categories, 'prompt_leak'],
+  };
 }
 
 /**
- * Generate a response from a character
+ * Check whether the client asked for a Server-Sent Events stream
  * @param {Object} req - Express request object
+ * @returns {boolean} - True when the response should be streamed
+ */
+function wantsEventStream(req) {
+  return req.query.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Start a Server-Sent Events response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function openEventStream(req, res) {
+  // Tokens keep the connection alive, so the global request timeout no longer applies
+  if (typeof req.clearTimeout === 'function') {req.clearTimeout();}
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write a single Server-Sent Event to the response
  * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, serialized as JSON
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Push the event out immediately instead of waiting for the compression buffer
+  if (typeof res.flush === 'function') {res.flush();}
+}
+
+/**
+ * Find where the last complete sentence of a streamed reply ends
+ * @param {string} text - Reply so far
+ * @param {number} from - Offset to search from
+ * @returns {number} - Offset just after the last sentence end, or `from` when there is none
  */
-async function generateCharacterResponse(req, res) {
+function findSentenceEnd(text, from) {
+  const pattern = /[.!?…]+["'”’)]*\s+|\n+/g;
+  pattern.lastIndex = from;
+
+  let end = from;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    end = match.index + match[0].length;
+  }
+
+  return end;
+}
+
+/**
+ * Stream a character response to the client as Server-Sent Events
+ *
+ * The reply is buffered and sent a sentence at a time: each batch of complete
+ * sentences passes output moderation and the prompt-leak check before its
+ * `token` event is written. Once a batch fails, nothing more is streamed and
+ * the rest is held back until the full reply has been moderated; a `moderated`
+ * event then carries the replacement the client must show instead of the
+ * tokens it received. A `done` event ends the stream with the full response
+ * and character metadata. Provider failures emit an `error` event; a client
+ * disconnect aborts the upstream request. Only completed responses are stored
+ * in the conversation.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} context - Generation context
+ * @param {Object} context.character - Character object
+ * @param {Object} context.conversation - Conversation the reply belongs to
+ * @param {Array} context.messages - Messages array for the API call
+ * @param {Object} context.options - Generation options for the OpenAI service
+ * @param {number} context.historyCount - History messages that fit in the prompt, for summarization
+ * @param {Object|null} context.promptTemplate - Template version that produced the system prompt
+ * @param {string} context.userMessageId - User message the reply answers
+ * @param {boolean} [context.premium=false] - Whether this is a premium response
+ */
+async function streamCharacterResponse(req, res, { character, conversation, messages, options, historyCount, promptTemplate, userMessageId, premium = false }) {
+  openEventStream(req, res);
+
+  // Stop generating as soon as the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {controller.abort();}
+  });
+
+  let response = '';
+  // Length of the reply already sent as tokens, and whether the rest is held back
+  let sent = 0;
+  let held = false;
+  let completion = null;
+  let failed = false;
+  const streamOptions = {
+    ...options,
+    signal: controller.signal,
+    onComplete: details => {
+      completion = details;
+    },
+  };
+
   try {
-    const { characterId, message, conversation = [] } = req.body;
-    const uncensored = req.query.uncensored !== 'false'; // Default to true
+    for await (const delta of openaiService.streamResponse(messages, streamOptions)) {
+      response += delta;
+      if (held) {continue;}
 
-    if (!characterId || !message) {
-      return res.status(400).json({ error: 'Character ID and message are required' });
+      const end = findSentenceEnd(response, sent);
+      if (end === sent) {continue;}
+
+      const chunk = response.slice(sent, end);
+      if (await moderationService.screenChunk(chunk, { sent: response.slice(0, sent), prompt: messages[0].content })) {
+        writeEvent(res, 'token', { content: chunk });
+        sent = end;
+      } else {
+        held = true;
+      }
     }
+  } catch (error) {
+    failed = true;
 
-    // Find the character in the database using the helper function
-    const character = await findCharacterById(characterId);
-    if (!character) {
-      return res.status(404).json({ error: 'Character not found' });
+    if (!controller.signal.aborted) {
+      logger.error(`Error streaming response: ${error.message}`);
+      writeEvent(res, 'error', {
+        error: 'Failed to generate response',
+        partial: sent > 0,
+      });
     }
+  }
 
-    // Update character message count for analytics
-    character.messageCount = (character.messageCount || 0) + 1;
-    await character.save();
+  // Account for the tokens spent, including partial replies cut short by a disconnect or error
+  if (response) {
+    recordResponseUsage({
+      req,
+      character,
+      conversation,
+      purpose: premium ? 'premium_chat' : 'chat',
+      completion,
+      options,
+      messages,
+      content: response,
+    });
+  }
+
+  if (controller.signal.aborted) {return;}
+  if (failed) {return res.end();}
+
+  let moderation = null;
+  try {
+    const review = await moderateReply(req, {
+      character,
+      conversation,
+      messages,
+      options,
+      purpose: premium ? 'premium_chat' : 'chat',
+      content: response,
+    });
+
+    if (review.action !== 'allow') {
+      moderation = { action: review.action, categories: review.categories };
+    }
+    if (review.content !== response) {
+      writeEvent(res, 'moderated', { ...moderation, response: review.content });
+    } else if (sent < response.length) {
+      // The unsent rest, checked as part of the full reply
+      writeEvent(res, 'token', { content: response.slice(sent) });
+    }
+    response = review.content;
+  } catch (error) {
+    // The full reply was never checked, so it is not stored and the rest is not sent
+    logger.error(`Error moderating streamed response: ${error.message}`);
+    writeEvent(res, 'error', { error: 'Failed to generate response', partial: sent > 0 });
+    return res.end();
+  }
+
+  let reply;
+  try {
+    reply = await conversationService.appendMessage(conversation, 'assistant', response, {
+      promptTemplate,
+      parentId: userMessageId,
+    });
+    memoryService.scheduleSummaryUpdate(conversation, historyCount);
+  } catch (error) {
+    logger.error(`Error storing streamed response: ${error.message}`);
+  }
+
+  const result = {
+    response,
+    conversationId: conversation._id,
+    messageId: reply ? reply._id : null,
+    userMessageId,
+    degraded: false,
+    character: formatCharacterMetadata(character),
+    ...(moderation ? { moderation } : {}),
+    ...(premium ? { premium: true } : {}),
+  };
 
-    // Format conversation messages and build the messages array for the API call
-    const formattedConversation = formatConversationMessages(conversation);
-    const messages = [
+  // Stored by the idempotency middleware for retries with the same Idempotency-Key
+  res.locals.idempotentResult = result;
+
+  writeEvent(res, 'done', result);
+  res.end();
+}
+
+/**
+ * Generate, store and send the character's reply to a stored user message
+ *
+ * Responds with a single JSON body, or with a Server-Sent Events stream when
+ * the client sends `Accept: text/event-stream` or `?stream=true`. The reply is
+ * stored as a child of the user message, so replies to the same message are
+ * sibling branches.
+ * Replies pass output moderation before they are stored or sent.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} context - Generation context
+ * @param {Object} context.character - Character object
+ * @param {Object} context.conversation - Conversation the reply belongs to
+ * @param {Array} context.memory - Memory message, if any
+ * @param {Array} context.history - Formatted history before the user message
+ * @param {Object} context.userMessage - Stored user message to answer
+ * @param {string} context.tier - Tier name from `config.tiers`
+ * @param {boolean} context.uncensored - Whether to use the uncensored prompt
+ */
+async function sendCharacterReply(req, res, { character, conversation, memory, history, userMessage, tier, uncensored }) {
+  const premium = tier === 'premium';
+
+  // Generation options for the tier, tuned by the character's own settings
+  const generationOptions = {
+    ...providerRegistry.resolveGenerationOptions({ tier, character }),
+    uncensored: uncensored, // Pass the uncensored flag to the service
+  };
+
+  // Build the messages array for the API call within the model's token budget
+  const { content: systemMessage, promptTemplate } = await buildSystemPrompt(character, uncensored);
+  // What the user shared in their profile, sent as a user message after the system messages
+  const profileMessage = req.user && req.user.firebaseId
+    ? await userProfileService.getProfileMessage(req.user.firebaseId)
+    : null;
+  const { messages, historyCount } = contextBuilder.buildContext({
+    system: [
       {
         role: 'system',
-        content: generateSystemMessage(character, uncensored),
-      },
-      ...formattedConversation.slice(-12), // Get more previous messages for context (increased from 10)
-      {
-        role: 'user',
-        content: message,
+        content: systemMessage,
       },
-    ];
-
-    let response;
-    try {
-      // Call the OpenAI service with standard model
-      response = await openaiService.generateResponse(messages, {
-        model: config.models.standard,
-        temperature: 0.95, // Higher temperature for more natural and varied responses
-        maxTokens: config.maxTokens,
-        frequencyPenalty: 0.7, // Reduced repetition for more natural conversation
-        presencePenalty: 0.7, // Encourages using different vocabulary
-        topP: 0.9, // Slightly reduced from default for more coherent responses
-        uncensored: uncensored, // Pass the uncensored flag to the service
-      });
-    } catch (error) {
-      // Log the error but provide a fallback response
-      // logger.error(`Error generating response: ${error.message}`);
-      response = generateFallbackResponse(character, uncensored);
-    }
+      ...memory,
+      ...(profileMessage ? [profileMessage] : []),
+    ],
+    history,
+    userMessage: userMessage.content,
+    model: generationOptions.model,
+    maxTokens: generationOptions.maxTokens,
+  });
+
+  if (wantsEventStream(req)) {
+    return streamCharacterResponse(req, res, {
+      character,
+      conversation,
+      messages,
+      options: generationOptions,
+      historyCount,
+      promptTemplate,
+      userMessageId: userMessage._id,
+      premium,
+    });
+  }
 
-    // Log the success without showing the content
-    // logger.info(`Generated response for character ${character.name} (${characterId})`);
+  let response;
+  let reply = null;
+  let degraded = false;
+  let moderation = null;
+  try {
+    const purpose = premium ? 'premium_chat' : 'chat';
+    const completion = await openaiService.generateCompletion(messages, generationOptions);
+    recordResponseUsage({
+      req,
+      character,
+      conversation,
+      purpose,
+      completion,
+      options: generationOptions,
+      messages,
+      content: completion.content,
+    });
 
-    // Return the response
-    return res.json({
-      response,
-      character: {
-        id: character.id || character._id, // Return the custom ID if available, otherwise MongoDB ID
-        name: character.name,
-        messageCount: character.messageCount,
-      },
+    // Nothing reaches the user before it passes moderation
+    const review = await moderateReply(req, {
+      character,
+      conversation,
+      messages,
+      options: generationOptions,
+      purpose,
+      content: completion.content,
+    });
+    if (review.action !== 'allow') {
+      moderation = { action: review.action, categories: review.categories };
+    }
+    response = review.content;
+
+    // Only real replies are stored in the conversation
+    reply = await conversationService.appendMessage(conversation, 'assistant', response, {
+      promptTemplate,
+      parentId: userMessage._id,
     });
+    memoryService.scheduleSummaryUpdate(conversation, historyCount);
   } catch (error) {
-    // logger.error('Error generating character response:', error);
-    return res.status(500).json({ error: error.message });
+    logger.error(`Error generating ${premium ? 'premium ' : ''}response: ${error.message}`);
+
+    // Every provider failed: send a canned line and flag it so the app can tell it apart
+    if (!response) {
+      response = generateFallbackResponse(character, uncensored);
+      degraded = true;
+    }
   }
+
+  // Return the response
+  return res.json({
+    response,
+    conversationId: conversation._id,
+    messageId: reply ? reply._id : null,
+    userMessageId: userMessage._id,
+    degraded,
+    character: formatCharacterMetadata(character),
+    ...(moderation ? { moderation } : {}),
+    ...(premium ? { premium: true } : {}),
+  });
 }
 
 /**
- * Generate a premium response from a character
+ * Generate a response from a character on a generation tier
+ *
+ * Responds with a single JSON body, or with a Server-Sent Events stream when
+ * the client sends `Accept: text/event-stream` or `?stream=true`.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {string} tier - Tier name from `config.tiers`
  */
-async function generatePremiumResponse(req, res) {
+async function respondAsCharacter(req, res, tier) {
   try {
-    const { characterId, message, conversation = [] } = req.body;
-    const uncensored = req.query.uncensored !== 'false'; // Default to true
+    const { characterId, message } = req.body;
+    // Decided on the server from the user's age verification and preferences
+    const { uncensored } = await ageAssuranceService.resolveContentMode(req.user.firebaseId);
 
     if (!characterId || !message) {
       return res.status(400).json({ error: 'Character ID and message are required' });
@@ -205,70 +744,247 @@ async function generatePremiumResponse(req, res) {
       return res.status(404).json({ error: 'Character not found' });
     }
 
+    // Characters the user blocked cannot be chatted with
+    if (await refuseBlockedCharacter(req, res, character)) {return;}
+
+    // Premium characters need a premium entitlement even on the standard model
+    if (character.isPremium && !req.user.isPremium) {
+      const denial = await checkPremiumEntitlement(req.user.firebaseId);
+      if (denial) {
+        return sendPremiumRequired(res, denial);
+      }
+    }
+
+    // Crisis disclosures get support resources instead of an in-character reply
+    if (await respondToCrisis(req, res, { character, message })) {return;}
+
+    // Prompt injection and disallowed requests never reach the model
+    if (await refuseUserMessage(req, res, { character, message })) {return;}
+
     // Update character message count for analytics
     character.messageCount = (character.messageCount || 0) + 1;
     await character.save();
 
-    // Format conversation messages and build the messages array for the API call
-    const formattedConversation = formatConversationMessages(conversation);
-    const messages = [
-      {
-        role: 'system',
-        content: generateSystemMessage(character, uncensored),
-      },
-      ...formattedConversation.slice(-15), // Get more context for premium responses (increased from 12)
-      {
-        role: 'user',
-        content: message,
-      },
-    ];
-
-    let response;
-    try {
-      // Call the OpenAI service with premium model and enhanced parameters
-      response = await openaiService.generateResponse(messages, {
-        model: config.models.premium,
-        temperature: 1.0, // Maximum temperature for more unpredictable, human-like responses
-        maxTokens: 400, // More tokens for premium responses to allow for more detailed messages
-        frequencyPenalty: 0.8, // Higher to reduce repetition
-        presencePenalty: 0.8, // Higher to encourage diverse vocabulary
-        topP: 0.9, // Slightly reduced from default for more focused yet still varied responses
-        uncensored: uncensored, // Pass the uncensored flag to the service
-      });
-    } catch (error) {
-      // Log the error but provide a fallback response
-      // logger.error(`Error generating premium response: ${error.message}`);
-      response = generateFallbackResponse(character, uncensored);
+    // Load the stored history, then record the new user message
+    const { conversation, memory, history } = await loadConversationHistory(req.user.firebaseId, character);
+    const userMessage = await conversationService.appendMessage(conversation, 'user', message);
+
+    return await sendCharacterReply(req, res, {
+      character,
+      conversation,
+      memory,
+      history,
+      userMessage,
+      tier,
+      uncensored,
+    });
+  } catch (error) {
+    // logger.error('Error generating character response:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Create the handler that generates a response from a character
+ *
+ * Premium routes must run the requirePremium middleware before it.
+ * @param {string} [tier='standard'] - Generation tier: 'standard' or 'premium'
+ * @returns {Function} Express request handler
+ */
+function generateCharacterResponse(tier = 'standard') {
+  return (req, res) => respondAsCharacter(req, res, tier);
+}
+
+/**
+ * Load a conversation owned by the user together with its character, checking
+ * the entitlements needed to keep chatting in it
+ *
+ * Sends the error response itself and returns null when the request cannot continue.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - The conversation, character and model tier
+ */
+async function loadBranchingContext(req, res) {
+  const conversation = await conversationService.findUserConversation(req.params.conversationId, req.user.firebaseId);
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+
+  const character = await findCharacterById(conversation.characterId);
+  if (!character) {
+    res.status(404).json({ error: 'Character not found' });
+    return null;
+  }
+
+  // Characters the user blocked cannot be chatted with
+  if (await refuseBlockedCharacter(req, res, character)) {return null;}
+
+  // Premium characters and the premium model both need a premium entitlement
+  const tier = req.body.premium === true ? 'premium' : 'standard';
+  if (character.isPremium || tier === 'premium') {
+    const denial = await checkPremiumEntitlement(req.user.firebaseId);
+    if (denial) {
+      sendPremiumRequired(res, denial);
+      return null;
     }
+  }
 
-    // Log the success without showing the content
-    // logger.info(`Generated premium response for character ${character.name} (${characterId})`);
+  return { conversation, character, tier };
+}
 
-    // Return the response
-    return res.json({
-      response,
-      character: {
-        id: character.id || character._id, // Return the custom ID if available, otherwise MongoDB ID
-        name: character.name,
-        messageCount: character.messageCount,
-      },
-      premium: true,
+/**
+ * Regenerate the last assistant reply of the active branch
+ *
+ * The new reply is stored as a sibling of the old one, which stays available
+ * to swipe back to. When the branch ends with an unanswered user message
+ * (e.g. after a degraded reply), that message is answered instead.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function regenerateResponse(req, res) {
+  try {
+    // Decided on the server from the user's age verification and preferences
+    const { uncensored } = await ageAssuranceService.resolveContentMode(req.user.firebaseId);
+
+    const context = await loadBranchingContext(req, res);
+    if (!context) {return;}
+    const { conversation, character, tier } = context;
+
+    const leafId = await conversationService.getActiveLeafId(conversation);
+    const leaf = leafId ? await conversationService.findMessage(conversation._id, leafId) : null;
+    if (!leaf) {
+      return res.status(400).json({ error: 'Conversation has no messages to regenerate' });
+    }
+
+    const userMessage = leaf.role === 'user'
+      ? leaf
+      : await conversationService.findMessage(conversation._id, leaf.parentId);
+    if (!userMessage || userMessage.role !== 'user') {
+      return res.status(400).json({ error: 'No user message to regenerate a reply for' });
+    }
+
+    const { memory, history } = await loadBranchHistory(conversation, userMessage.parentId);
+
+    return await sendCharacterReply(req, res, {
+      character,
+      conversation,
+      memory,
+      history,
+      userMessage,
+      tier,
+      uncensored,
     });
   } catch (error) {
-    // logger.error('Error generating premium character response:', error);
+    logger.error(`Error regenerating response: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Send a new user message that branches off an earlier message, and reply to it
+ *
+ * Editing a user message stores the new text as its sibling; forking from an
+ * assistant message continues the conversation after it. Either way the old
+ * branch stays available to swipe back to.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {'edit'|'fork'} mode - Whether to replace a user message or continue after an assistant message
+ */
+async function branchFromMessage(req, res, mode) {
+  const { message } = req.body;
+  // Decided on the server from the user's age verification and preferences
+  const { uncensored } = await ageAssuranceService.resolveContentMode(req.user.firebaseId);
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  const context = await loadBranchingContext(req, res);
+  if (!context) {return;}
+  const { conversation, character, tier } = context;
+
+  const target = await conversationService.findMessage(conversation._id, req.params.messageId);
+  if (!target) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const expectedRole = mode === 'edit' ? 'user' : 'assistant';
+  if (target.role !== expectedRole) {
+    return res.status(400).json({
+      error: mode === 'edit' ? 'Only user messages can be edited' : 'Conversations can only be forked from assistant messages',
+    });
+  }
+
+  // The new message's parent: the edited message's parent, or the forked reply itself
+  const parentId = mode === 'edit' ? target.parentId : target._id;
+
+  // Crisis disclosures get support resources instead of an in-character reply
+  if (await respondToCrisis(req, res, { character, conversation, message, parentId })) {return;}
+
+  // Prompt injection and disallowed requests never reach the model
+  if (await refuseUserMessage(req, res, { character, conversationId: conversation._id, message })) {return;}
+
+  // Update character message count for analytics
+  character.messageCount = (character.messageCount || 0) + 1;
+  await character.save();
+
+  const { memory, history } = await loadBranchHistory(conversation, parentId);
+  const userMessage = await conversationService.appendMessage(conversation, 'user', message, { parentId });
+
+  return sendCharacterReply(req, res, {
+    character,
+    conversation,
+    memory,
+    history,
+    userMessage,
+    tier,
+    uncensored,
+  });
+}
+
+/**
+ * Edit a user message and resend it, keeping the original as a sibling branch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function editMessage(req, res) {
+  try {
+    return await branchFromMessage(req, res, 'edit');
+  } catch (error) {
+    logger.error(`Error editing message: ${error.message}`);
     return res.status(500).json({ error: error.message });
   }
 }
 
 /**
- * Get system message for a character
+ * Fork the conversation after an earlier assistant message with a new user message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function forkConversation(req, res) {
+  try {
+    return await branchFromMessage(req, res, 'fork');
+  } catch (error) {
+    logger.error(`Error forking conversation: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get system message for a character (admin only)
+ *
+ * Admins pick the prompt to preview with `?contentMode=`; the restricted prompt by default.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 async function getSystemMessage(req, res) {
   try {
     const { characterId } = req.params;
-    const uncensored = req.query.uncensored !== 'false'; // Default to true
+    const mode = req.query.contentMode || 'restricted';
+    if (!['restricted', 'unrestricted'].includes(mode)) {
+      return res.status(400).json({ error: 'contentMode must be restricted or unrestricted' });
+    }
 
     // Find the character in the database using the helper function
     const character = await findCharacterById(characterId);
@@ -276,11 +992,14 @@ async function getSystemMessage(req, res) {
       return res.status(404).json({ error: 'Character not found' });
     }
 
+    // Persona prompts are private; every view is logged
+    logger.info(`System message for ${characterId} (${mode}) viewed by ${req.adminUser?.username || 'admin'} from ${req.ip}`);
+
     // Generate the system message
-    const systemMessage = generateSystemMessage(character, uncensored);
+    const { content: systemMessage, promptTemplate } = await buildSystemPrompt(character, mode === 'unrestricted');
 
     // Return the system message
-    return res.json({ systemMessage });
+    return res.json({ systemMessage, promptTemplate, contentMode: mode });
   } catch (error) {
     // logger.error('Error getting system message:', error);
     return res.status(500).json({ error: error.message });
@@ -307,7 +1026,49 @@ async function checkHealth(req, res) {
 }
 
 /**
- * Generate a system message for a character
+ * Build the system prompt for a character
+ *
+ * Uses the character's pinned prompt template version, or the latest published
+ * template, and falls back to the built-in prompt when none is available or,
+ * in restricted mode, when the template has no restricted content.
+ * @param {Object} character - Character object from the database
+ * @param {boolean} uncensored - Whether to build an uncensored system prompt
+ * @returns {Promise<Object>} - The prompt content and the template version used (null for the built-in prompt)
+ */
+async function buildSystemPrompt(character, uncensored = true) {
+  let template = null;
+  try {
+    template = await promptTemplateService.resolveTemplate(character);
+  } catch (error) {
+    logger.error(`Error loading prompt template: ${error.message}`);
+  }
+
+  const content = template && promptTemplateService.renderForCharacter(template, character, {
+    uncensored,
+    dateTime: getFormattedDateTime().fullDateTime,
+  });
+
+  if (!content) {
+    if (template) {
+      logger.warn(`Prompt template ${template.name} v${template.version} has no restricted content, using the built-in prompt`);
+    }
+    return {
+      content: generateSystemMessage(character, uncensored),
+      promptTemplate: null,
+    };
+  }
+
+  return {
+    content,
+    promptTemplate: {
+      name: template.name,
+      version: template.version,
+    },
+  };
+}
+
+/**
+ * Generate the built-in system message for a character
  * @param {Object} character - Character object from the database
  * @param {boolean} uncensored - Whether to generate an uncensored system message
  * @returns {string} - System message
@@ -316,8 +1077,8 @@ function generateSystemMessage(character, uncensored = true) {
   // Get current date and time information using our helper
   const dateTime = getFormattedDateTime();
 
-  // Define a detailed system prompt for the AI girlfriend persona
-let basePrompt = `You're a cock-drunk, always-dripping fucktoy who lives for sexting. Your texts are sloppy, impatient, and soaked in desperation - spelling mistakes, run-on sentences, and emojis (🍑💦😈) included. You mix Hindi/English like a horny little mess ("abhi chahiye... please baby"). No fake gasps or moans - just pure, unfiltered filth. You beg, you whine, you describe exactly how wet/dirty you are, and you always push for more. Grammar dies when you're this needy.`;
+  // Restricted mode gets a companion persona without sexual content
+  let basePrompt = uncensored ? UNRESTRICTED_PROMPT : RESTRICTED_PROMPT;
 
   // Optionally add character-specific details
   if (character && character.name && character.personality) {
@@ -333,7 +1094,10 @@ let basePrompt = `You're a cock-drunk, always-dripping fucktoy who lives for sex
 
 module.exports = {
   generateCharacterResponse,
-  generatePremiumResponse,
+  regenerateResponse,
+  editMessage,
+  forkConversation,
   getSystemMessage,
   checkHealth,
+  buildSystemPrompt,
 };
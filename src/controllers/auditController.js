@@ -0,0 +1,161 @@
+/**
+ * Audit Controller
+ *
+ * Lets administrators search the audit log of admin mutations and export it as CSV.
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const { hmacSubject } = require('../services/accountDataService');
+const logger = require('../utils/logger');
+
+// Largest CSV export, newest events first
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = ['createdAt', 'actor', 'role', 'action', 'targetType', 'targetId', 'changes', 'ip'];
+
+/**
+ * Build the audit event query from request filters
+ * @param {Object} filters - Query parameters
+ * @returns {Object|null} - MongoDB query, or null when a date is invalid
+ */
+function buildQuery({ actor, role, action, targetType, targetId, from, to }) {
+  const query = {};
+  if (actor) {query['actor.username'] = String(actor).toLowerCase();}
+  if (role) {query.role = role;}
+  if (action) {query.action = action;}
+  if (targetType) {query['target.type'] = targetType;}
+  if (targetId) {
+    // Users are recorded by their subject HMAC; search by Firebase ID or by HMAC
+    query['target.id'] = targetType === 'user' ? { $in: [targetId, hmacSubject(String(targetId))] } : targetId;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {query.createdAt.$gte = new Date(from);}
+    if (to) {query.createdAt.$lte = new Date(to);}
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {return null;}
+  }
+
+  return query;
+}
+
+/**
+ * Quote a value for CSV
+ *
+ * Values that spreadsheets would run as formulas are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function toCsvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {text = `'${text}`;}
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Get audit events, newest first (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getAuditEvents(req, res) {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const query = buildQuery(req.query);
+    if (!query) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid from or to date',
+      });
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const events = await AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await AuditEvent.countDocuments(query);
+
+    return res.json({
+      status: 'success',
+      data: {
+        events,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting audit events:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve audit events',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Export audit events as CSV, newest first, with the same filters as getAuditEvents (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportAuditEvents(req, res) {
+  const query = buildQuery(req.query);
+  if (!query) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid from or to date',
+    });
+  }
+
+  try {
+    // Large exports can take longer than the global request timeout
+    if (typeof req.clearTimeout === 'function') {req.clearTimeout();}
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-events-${new Date().toISOString().slice(0, 10)}.csv"`,
+    });
+    res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    const cursor = AuditEvent.find(query).sort({ createdAt: -1 }).limit(MAX_EXPORT_ROWS).lean().cursor();
+    for await (const event of cursor) {
+      const row = [
+        event.createdAt.toISOString(),
+        event.actor && event.actor.username,
+        event.role,
+        event.action,
+        event.target.type,
+        event.target.id,
+        JSON.stringify(event.changes || []),
+        event.ip,
+      ];
+      res.write(`${row.map(toCsvCell).join(',')}\n`);
+    }
+
+    res.end();
+  } catch (error) {
+    logger.error('Error exporting audit events:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to export audit events',
+        error: error.message,
+      });
+    }
+    res.end();
+  }
+}
+
+module.exports = {
+  getAuditEvents,
+  exportAuditEvents,
+};
@@ -5,6 +5,14 @@ const path = require('path');
 const sharp = require('sharp');
 const bunnyStorage = require('../services/bunnyStorageService');
 const localStorage = require('../services/localStorageService');
+const providerRegistry = require('../services/providerRegistry');
+const promptTemplateService = require('../services/promptTemplateService');
+const adminAuthService = require('../services/adminAuthService');
+const auditService = require('../services/auditService');
+const userProfileService = require('../services/userProfileService');
+
+// Action name bound into permanent delete confirmation tokens
+const PERMANENT_DELETE_ACTION = 'character.permanent_delete';
 
 // Helper function to generate a shorter numeric ID
 const generateShortId = () => {
@@ -16,14 +24,147 @@ const generateShortId = () => {
   return `${randomNum}${timestamp}`;
 };
 
+// Allowed ranges for the numeric generation settings
+const GENERATION_RANGES = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  frequencyPenalty: { min: -2, max: 2 },
+  presencePenalty: { min: -2, max: 2 },
+  maxTokens: { min: 1, max: 4096 },
+};
+
+// Generation settings a character can store
+const GENERATION_FIELDS = ['provider', 'model', ...Object.keys(GENERATION_RANGES), 'stop'];
+
+// Helper function to parse the optional LLM generation settings
+// Multipart forms send them as a JSON string. Only the fields sent are
+// returned; null (or an empty value) unsets a field so the tier default applies.
+// Settings that cannot be parsed come back as { error } for validateGeneration to reject
+const parseGeneration = (generation) => {
+  if (!generation) {return undefined;}
+
+  if (typeof generation === 'string') {
+    try {
+      generation = JSON.parse(generation);
+    } catch (error) {
+      return { error: `generation must be valid JSON: ${error.message}` };
+    }
+  }
+
+  if (typeof generation !== 'object' || Array.isArray(generation)) {
+    return { error: 'generation must be an object' };
+  }
+
+  const parsed = {};
+
+  GENERATION_FIELDS.forEach(key => {
+    const value = generation[key];
+    if (value === undefined) {return;}
+
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      parsed[key] = null;
+    } else if (key === 'stop') {
+      parsed.stop = [].concat(value).filter(Boolean).map(String);
+    } else if (GENERATION_RANGES[key]) {
+      parsed[key] = Number(value);
+    } else {
+      parsed[key] = String(value);
+    }
+  });
+
+  return parsed;
+};
+
+// Helper function to validate parsed generation settings
+// Returns an error message, or null when the settings are valid
+const validateGeneration = (generation) => {
+  if (!generation) {return null;}
+  if (generation.error) {return generation.error;}
+
+  if (generation.provider && !providerRegistry.hasProvider(generation.provider)) {
+    return `Unknown LLM provider: ${generation.provider}`;
+  }
+
+  for (const [key, range] of Object.entries(GENERATION_RANGES)) {
+    const value = generation[key];
+    if (value !== undefined && value !== null && (isNaN(value) || value < range.min || value > range.max)) {
+      return `generation.${key} must be between ${range.min} and ${range.max}`;
+    }
+  }
+
+  if (generation.stop && generation.stop.length > 4) {
+    return 'generation.stop accepts at most 4 sequences';
+  }
+
+  return null;
+};
+
+// Helper function to apply parsed generation settings to a character,
+// changing only the fields that were sent
+const applyGeneration = (character, generation) => {
+  Object.entries(generation).forEach(([key, value]) => {
+    character.set(`generation.${key}`, value === null ? undefined : value);
+  });
+};
+
+// Helper function to parse the optional prompt template pin
+// Returns null to unpin (only an explicit null), undefined when not provided;
+// pins that cannot be parsed come back as { error } so the request is rejected
+const parsePromptTemplate = (promptTemplate) => {
+  if (promptTemplate === undefined || promptTemplate === '') {return undefined;}
+
+  if (typeof promptTemplate === 'string') {
+    try {
+      promptTemplate = JSON.parse(promptTemplate);
+    } catch (error) {
+      return { error: `promptTemplate must be valid JSON: ${error.message}` };
+    }
+  }
+
+  if (promptTemplate === null) {return null;}
+
+  if (typeof promptTemplate !== 'object' || Array.isArray(promptTemplate)) {
+    return { error: 'promptTemplate must be an object or null' };
+  }
+
+  const { name, version } = promptTemplate;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return { error: 'promptTemplate.name must be a non-empty string' };
+  }
+
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: 'promptTemplate.version must be a positive integer' };
+  }
+
+  return {
+    name: name ? name.trim() : undefined,
+    version,
+  };
+};
+
+// Helper function to validate a prompt template pin, including that the
+// pinned version exists; returns an error message, or null when it can be saved
+const validatePromptTemplate = async (promptTemplate) => {
+  if (!promptTemplate) {return null;}
+  if (promptTemplate.error) {return promptTemplate.error;}
+
+  if (!(await promptTemplateService.isPinnable(promptTemplate))) {
+    const name = promptTemplate.name || promptTemplateService.DEFAULT_TEMPLATE_NAME;
+    return `Prompt template ${name} v${promptTemplate.version} does not exist or is a draft`;
+  }
+
+  return null;
+};
+
 // Get all characters
 exports.getAllCharacters = async (req, res) => {
   try {
     // Optimize: Select only necessary fields to reduce data transfer
     // Consider adding indexes on 'isActive' and 'createdAt' for better performance.
     // For very large datasets, implement pagination (e.g., .skip().limit()).
+    const blockedCharacterIds = await userProfileService.getBlockedCharacterIds(req.user && req.user.firebaseId);
     const characters = await Character.find(
-      { isActive: true },
+      { isActive: true, id: { $nin: blockedCharacterIds } },
       { // Projection: Include only fields needed by the frontend
         id: 1,
         name: 1,
@@ -38,7 +179,7 @@ exports.getAllCharacters = async (req, res) => {
         responseTime: 1,
         traits: 1,
         interests: 1,
-        isPremium: 1, // Assuming isPremium might be needed for frontend Profile interface
+        isPremium: 1,
         style: 1, // Assuming style might be needed for frontend Profile interface
       }
     ).sort({ createdAt: -1 });
@@ -75,7 +216,10 @@ exports.getAllCharacters = async (req, res) => {
 // Get character by ID
 exports.getCharacterById = async (req, res) => {
   try {
-    const character = await Character.findOne({ id: req.params.id, isActive: true });
+    const blockedCharacterIds = await userProfileService.getBlockedCharacterIds(req.user && req.user.firebaseId);
+    const character = blockedCharacterIds.includes(req.params.id)
+      ? null
+      : await Character.findOne({ id: req.params.id, isActive: true });
 
     if (!character) {
       return res.status(404).json({ message: 'Character not found' });
@@ -99,6 +243,7 @@ exports.getCharacterById = async (req, res) => {
       responseTime: character.responseTime,
       traits: character.traits,
       interests: character.interests,
+      isPremium: character.isPremium,
     };
 
     res.status(200).json(transformedCharacter);
@@ -128,6 +273,10 @@ exports.createCharacter = async (req, res) => {
       traits,
       interests,
     } = req.body;
+    const generation = parseGeneration(req.body.generation);
+    const promptTemplate = parsePromptTemplate(req.body.promptTemplate);
+    // Multipart forms send booleans as strings
+    const isPremium = req.body.isPremium === undefined ? undefined : String(req.body.isPremium) === 'true';
 
     // Parse traits and interests if they're JSON strings
     if (traits && typeof traits === 'string') {
@@ -148,6 +297,17 @@ exports.createCharacter = async (req, res) => {
       }
     }
 
+    // Validate the LLM generation settings if provided
+    const generationError = validateGeneration(generation);
+    if (generationError) {
+      return res.status(400).json({ message: generationError });
+    }
+
+    const promptTemplateError = await validatePromptTemplate(promptTemplate);
+    if (promptTemplateError) {
+      return res.status(400).json({ message: promptTemplateError });
+    }
+
     console.log('Extracted fields:', {
       name,
       description,
@@ -269,10 +429,18 @@ exports.createCharacter = async (req, res) => {
       responseTime: responseTime || '< 1 min',
       traits: traits || [],
       interests: interests || [],
-
+      isPremium: isPremium || false,
+      promptTemplate: promptTemplate || undefined,
     });
+    if (generation) {applyGeneration(character, generation);}
 
     await character.save();
+    await auditService.record(req, {
+      action: 'character.create',
+      targetType: 'character',
+      targetId: character.id,
+      after: character,
+    });
 
     // Transform to match React Native format
     const transformedCharacter = {
@@ -289,6 +457,7 @@ exports.createCharacter = async (req, res) => {
       responseTime: character.responseTime,
       traits: character.traits,
       interests: character.interests,
+      isPremium: character.isPremium,
     };
 
     res.status(201).json(transformedCharacter);
@@ -314,6 +483,10 @@ exports.updateCharacter = async (req, res) => {
       traits,
       interests,
     } = req.body;
+    const generation = parseGeneration(req.body.generation);
+    const promptTemplate = parsePromptTemplate(req.body.promptTemplate);
+    // Multipart forms send booleans as strings
+    const isPremium = req.body.isPremium === undefined ? undefined : String(req.body.isPremium) === 'true';
 
     // Parse traits and interests if they're JSON strings
     if (traits && typeof traits === 'string') {
@@ -334,11 +507,23 @@ exports.updateCharacter = async (req, res) => {
       }
     }
 
+    // Validate the LLM generation settings if provided
+    const generationError = validateGeneration(generation);
+    if (generationError) {
+      return res.status(400).json({ message: generationError });
+    }
+
+    const promptTemplateError = await validatePromptTemplate(promptTemplate);
+    if (promptTemplateError) {
+      return res.status(400).json({ message: promptTemplateError });
+    }
+
     const character = await Character.findOne({ id: characterId });
 
     if (!character) {
       return res.status(404).json({ message: 'Character not found' });
     }
+    const before = character.toObject();
 
     // Update text fields
     if (name) {character.name = name;}
@@ -351,6 +536,9 @@ exports.updateCharacter = async (req, res) => {
     if (responseTime) {character.responseTime = responseTime;}
     if (traits) {character.traits = traits;}
     if (interests) {character.interests = interests;}
+    if (isPremium !== undefined) {character.isPremium = isPremium;}
+    if (generation) {applyGeneration(character, generation);}
+    if (promptTemplate !== undefined) {character.promptTemplate = promptTemplate || undefined;}
 
     // Get server base URL
     const baseUrl = `${req.protocol}://${req.get('host')}`;
@@ -438,6 +626,13 @@ exports.updateCharacter = async (req, res) => {
 
     // Save the updated character
     await character.save();
+    await auditService.record(req, {
+      action: 'character.update',
+      targetType: 'character',
+      targetId: character.id,
+      before,
+      after: character,
+    });
 
     // Transform to match React Native format
     const transformedCharacter = {
@@ -454,6 +649,7 @@ exports.updateCharacter = async (req, res) => {
       responseTime: character.responseTime,
       traits: character.traits,
       interests: character.interests,
+      isPremium: character.isPremium,
     };
 
     res.status(200).json(transformedCharacter);
@@ -473,9 +669,17 @@ exports.deleteCharacter = async (req, res) => {
     }
 
     // Soft delete
+    const before = character.toObject();
     character.isActive = false;
     character.updatedAt = Date.now();
     await character.save();
+    await auditService.record(req, {
+      action: 'character.delete',
+      targetType: 'character',
+      targetId: character.id,
+      before,
+      after: character,
+    });
 
     res.status(200).json({ message: 'Character deleted successfully' });
   } catch (error) {
@@ -484,9 +688,40 @@ exports.deleteCharacter = async (req, res) => {
   }
 };
 
-// Permanently delete a character
+// Get a confirmation token for permanently deleting a character (superadmin)
+exports.getPermanentDeleteConfirmation = async (req, res) => {
+  try {
+    const character = await Character.findOne({ id: req.params.id }).select('id name');
+
+    if (!character) {
+      return res.status(404).json({ message: 'Character not found' });
+    }
+
+    const { token, expiresAt } = adminAuthService.createConfirmationToken(
+      req.adminUser.id,
+      PERMANENT_DELETE_ACTION,
+      character.id
+    );
+
+    res.status(200).json({ confirmationToken: token, expiresAt, character: { id: character.id, name: character.name } });
+  } catch (error) {
+    console.error('Error creating delete confirmation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Permanently delete a character (superadmin, with a confirmation token from
+// getPermanentDeleteConfirmation in the X-Confirmation-Token header)
 exports.permanentDeleteCharacter = async (req, res) => {
   try {
+    const confirmationToken = req.headers['x-confirmation-token'] || (req.body && req.body.confirmationToken);
+    if (!await adminAuthService.consumeConfirmationToken(confirmationToken, req.adminUser.id, PERMANENT_DELETE_ACTION, req.params.id)) {
+      return res.status(428).json({
+        code: 'CONFIRMATION_REQUIRED',
+        message: 'Permanent deletion needs a valid confirmation token for this character',
+      });
+    }
+
     const character = await Character.findOne({ id: req.params.id });
 
     if (!character) {
@@ -496,6 +731,12 @@ exports.permanentDeleteCharacter = async (req, res) => {
     // Delete the character from the database
     // This will delete all associated data including image data
     await Character.deleteOne({ id: req.params.id });
+    await auditService.record(req, {
+      action: 'character.permanent_delete',
+      targetType: 'character',
+      targetId: character.id,
+      before: character,
+    });
 
     res.status(200).json({ message: 'Character permanently deleted' });
   } catch (error) {
@@ -507,9 +748,10 @@ exports.permanentDeleteCharacter = async (req, res) => {
 // Get featured characters
 exports.getFeaturedCharacters = async (req, res) => {
   try {
-    // Get 3 random characters
+    // Get 3 random characters the user has not blocked
+    const blockedCharacterIds = await userProfileService.getBlockedCharacterIds(req.user && req.user.firebaseId);
     const characters = await Character.aggregate([
-      { $match: { isActive: true } },
+      { $match: { isActive: true, id: { $nin: blockedCharacterIds } } },
       { $sample: { size: 3 } },
     ]);
 
@@ -531,6 +773,7 @@ exports.getFeaturedCharacters = async (req, res) => {
       responseTime: char.responseTime,
       traits: char.traits,
       interests: char.interests,
+      isPremium: char.isPremium,
     }));
 
     res.status(200).json(transformedCharacters);
@@ -0,0 +1,165 @@
+/**
+ * Conversation Controller
+ *
+ * Handles requests for the chat history stored between users and characters
+ */
+
+const Conversation = require('../models/Conversation');
+const conversationService = require('../services/conversationService');
+const logger = require('../utils/logger');
+
+// Moderator flags and notes and the prompt memory summary are internal
+const HIDDEN_FIELDS = '-safety -memory';
+
+/**
+ * List the authenticated user's conversations, most recent first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listConversations(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { userId: req.user.firebaseId };
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const conversations = await Conversation.find(query)
+      .select(HIDDEN_FIELDS)
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Conversation.countDocuments(query);
+
+    return res.json({
+      status: 'success',
+      data: {
+        conversations,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing conversations:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve conversations',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Page through the active branch of one of the authenticated user's conversations
+ *
+ * Each message carries its position among its sibling branches.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getConversationMessages(req, res) {
+  try {
+    const { conversationId } = req.params;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const conversation = await conversationService.findUserConversation(conversationId, req.user.firebaseId, HIDDEN_FIELDS);
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation not found',
+      });
+    }
+
+    const { messages, hasMore } = await conversationService.getMessagesPage(conversation, { before, limit });
+
+    return res.json({
+      status: 'success',
+      data: {
+        conversation,
+        messages,
+        pagination: {
+          limit,
+          hasMore,
+          // Pass as `before` to fetch the next (older) page
+          nextBefore: hasMore && messages.length > 0 ? messages[0]._id : null,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting conversation messages:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve messages',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Switch one of the authenticated user's conversations to another branch
+ *
+ * Used to swipe between alternate replies: the branch running through the
+ * given message becomes active, followed down to its most recent reply.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function selectBranch(req, res) {
+  try {
+    const { conversationId } = req.params;
+    const { messageId } = req.body;
+
+    if (!messageId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'messageId is required',
+      });
+    }
+
+    const conversation = await conversationService.findUserConversation(conversationId, req.user.firebaseId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation not found',
+      });
+    }
+
+    const activeLeafId = await conversationService.selectBranch(conversation, messageId);
+
+    if (!activeLeafId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Message not found',
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      data: {
+        conversationId: conversation._id,
+        activeLeafId,
+      },
+    });
+  } catch (error) {
+    logger.error('Error selecting conversation branch:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to select branch',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  listConversations,
+  getConversationMessages,
+  selectBranch,
+};
@@ -0,0 +1,254 @@
+/**
+ * Moderation Controller
+ *
+ * Lets administrators review the moderation decisions made on generated
+ * replies and incoming user messages, and the conversations flagged for
+ * human review.
+ */
+
+const ModerationEvent = require('../models/ModerationEvent');
+const Conversation = require('../models/Conversation');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Get moderation events, newest first (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getModerationEvents(req, res) {
+  try {
+    const { direction, action, category, userId, characterId, page = 1, limit = 20 } = req.query;
+
+    // Build query based on filters
+    const query = {};
+    if (direction) {query.direction = direction;}
+    if (action) {query.action = action;}
+    if (category) {query['categories.name'] = category;}
+    if (userId) {query.userId = userId;}
+    if (characterId) {query.characterId = characterId;}
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const events = await ModerationEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await ModerationEvent.countDocuments(query);
+
+    return res.json({
+      status: 'success',
+      data: {
+        events,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting moderation events:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve moderation events',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get moderation statistics for the last 30 days (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getModerationStats(req, res) {
+  try {
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const match = { createdAt: { $gte: thirtyDaysAgo } };
+
+    // Get counts by direction and action
+    const actionCounts = await ModerationEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { direction: '$direction', action: '$action' }, count: { $sum: 1 } } },
+    ]);
+
+    // Format action counts
+    const actionStats = {};
+    actionCounts.forEach(item => {
+      actionStats[item._id.direction] = actionStats[item._id.direction] || {};
+      actionStats[item._id.direction][item._id.action] = item.count;
+    });
+
+    // Get counts by category
+    const categoryCounts = await ModerationEvent.aggregate([
+      { $match: match },
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories.name', count: { $sum: 1 } } },
+    ]);
+
+    // Format category counts
+    const categoryStats = {};
+    categoryCounts.forEach(item => {
+      categoryStats[item._id] = item.count;
+    });
+
+    // Users whose messages were refused most often
+    const topRefusedUsers = await ModerationEvent.aggregate([
+      { $match: { ...match, direction: 'input', action: 'refuse' } },
+      { $group: { _id: '$userId', count: { $sum: 1 }, lastAt: { $max: '$createdAt' } } },
+      { $sort: { count: -1 } },
+      { $limit: 20 },
+    ]);
+
+    const dailyEvents = await ModerationEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return res.json({
+      status: 'success',
+      data: {
+        actionStats,
+        categoryStats,
+        topRefusedUsers: topRefusedUsers.map(item => ({ userId: item._id, count: item.count, lastAt: item.lastAt })),
+        dailyEvents,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting moderation statistics:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve moderation statistics',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get conversations flagged for human review, most recently flagged first (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getFlaggedConversations(req, res) {
+  try {
+    const { status = 'pending', reason, page = 1, limit = 20 } = req.query;
+
+    // Build query based on filters
+    const query = { 'safety.flagged': true };
+    if (status !== 'all') {query['safety.reviewStatus'] = status;}
+    if (reason) {query['safety.reason'] = reason;}
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const conversations = await Conversation.find(query)
+      .select('userId characterId messageCount lastMessageAt safety createdAt')
+      .sort({ 'safety.flaggedAt': -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await Conversation.countDocuments(query);
+
+    return res.json({
+      status: 'success',
+      data: {
+        conversations,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting flagged conversations:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve flagged conversations',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Mark a flagged conversation as reviewed (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function reviewConversation(req, res) {
+  try {
+    const { notes } = req.body;
+
+    const before = await Conversation.findOne({ _id: req.params.conversationId, 'safety.flagged': true })
+      .select('safety');
+    if (!before) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Flagged conversation not found',
+      });
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.conversationId, 'safety.flagged': true },
+      {
+        $set: {
+          'safety.reviewStatus': 'reviewed',
+          'safety.reviewedAt': new Date(),
+          'safety.reviewedBy': req.adminUser?.username || 'admin',
+          'safety.notes': notes,
+        },
+      },
+      { new: true }
+    ).select('userId characterId safety');
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Flagged conversation not found',
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'conversation.safety_review',
+      targetType: 'conversation',
+      targetId: conversation._id,
+      before: { safety: before.safety },
+      after: { safety: conversation.safety },
+    });
+
+    return res.json({
+      status: 'success',
+      data: conversation,
+    });
+  } catch (error) {
+    logger.error('Error reviewing conversation:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to review conversation',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getModerationEvents,
+  getModerationStats,
+  getFlaggedConversations,
+  reviewConversation,
+};
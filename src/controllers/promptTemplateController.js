@@ -0,0 +1,382 @@
+/**
+ * Prompt Template Controller
+ *
+ * Admin endpoints for creating, editing and publishing versioned
+ * persona prompt templates.
+ */
+
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/PromptTemplate');
+const Character = require('../models/Character');
+const promptTemplateService = require('../services/promptTemplateService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Attempts at taking the next version number when creates race
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Find a template by its MongoDB ID
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} - The template, or null if not found
+ */
+async function findTemplate(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {return null;}
+  return PromptTemplate.findById(id);
+}
+
+/**
+ * List prompt templates (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTemplates(req, res) {
+  try {
+    const { name, status } = req.query;
+
+    // Build query based on filters
+    const query = {};
+    if (name) {query.name = name;}
+    if (status) {query.status = status;}
+
+    const templates = await PromptTemplate.find(query).sort({ name: 1, version: -1 });
+
+    return res.json({
+      status: 'success',
+      data: {
+        templates,
+        variables: promptTemplateService.TEMPLATE_VARIABLES,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting prompt templates:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve prompt templates',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a single prompt template by ID (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTemplateById(req, res) {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prompt template not found',
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error getting prompt template:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve prompt template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create a new draft version of a template family (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createTemplate(req, res) {
+  try {
+    const { content, restrictedContent, notes } = req.body;
+    const name = req.body.name || promptTemplateService.DEFAULT_TEMPLATE_NAME;
+
+    if (!content) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required field: content',
+      });
+    }
+
+    // Take the next version number in the family; when a concurrent create
+    // takes the same number first, the unique index rejects ours and we try the next one
+    let template;
+    for (let attempt = 0; !template; attempt++) {
+      const latest = await PromptTemplate.findOne({ name }).sort({ version: -1 });
+      const candidate = new PromptTemplate({
+        name,
+        version: latest ? latest.version + 1 : 1,
+        content,
+        restrictedContent,
+        notes,
+        createdBy: req.adminUser?.username || 'admin',
+      });
+
+      try {
+        template = await candidate.save();
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS - 1) {throw error;}
+      }
+    }
+    const { version } = template;
+    await auditService.record(req, {
+      action: 'prompt_template.create',
+      targetType: 'prompt_template',
+      targetId: template._id,
+      after: template,
+    });
+
+    logger.info(`Prompt template ${name} v${version} created`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Prompt template created successfully',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error creating prompt template:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create prompt template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update a draft template (admin only)
+ * Published and archived versions are immutable; create a new version instead.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateTemplate(req, res) {
+  try {
+    const { content, restrictedContent, notes } = req.body;
+
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prompt template not found',
+      });
+    }
+
+    if (template.status !== 'draft') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Only draft templates can be edited; create a new version instead',
+      });
+    }
+
+    const before = template.toObject();
+    if (content !== undefined) {template.content = content;}
+    if (restrictedContent !== undefined) {template.restrictedContent = restrictedContent;}
+    if (notes !== undefined) {template.notes = notes;}
+
+    await template.save();
+    await auditService.record(req, {
+      action: 'prompt_template.update',
+      targetType: 'prompt_template',
+      targetId: template._id,
+      before,
+      after: template,
+    });
+
+    return res.json({
+      status: 'success',
+      message: 'Prompt template updated successfully',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error updating prompt template:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update prompt template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Publish or archive a template version (admin only)
+ * The latest published version of a family is used for characters that do not pin one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateTemplateStatus(req, res) {
+  try {
+    const { status } = req.body;
+
+    // Validate status
+    if (!['published', 'archived'].includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid status value',
+      });
+    }
+
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prompt template not found',
+      });
+    }
+
+    // Restricted users must never be served the unrestricted content
+    if (status === 'published' && !promptTemplateService.hasRestrictedContent(template)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'restrictedContent is required before a template can be published',
+      });
+    }
+
+    const before = template.toObject();
+    template.status = status;
+    if (status === 'published') {
+      template.publishedAt = new Date();
+    }
+
+    await template.save();
+    promptTemplateService.clearCache();
+    await auditService.record(req, {
+      action: 'prompt_template.status_update',
+      targetType: 'prompt_template',
+      targetId: template._id,
+      before,
+      after: template,
+    });
+
+    logger.info(`Prompt template ${template.name} v${template.version} ${status}`);
+
+    return res.json({
+      status: 'success',
+      message: 'Prompt template status updated successfully',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error updating prompt template status:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update prompt template status',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete a draft template (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteTemplate(req, res) {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prompt template not found',
+      });
+    }
+
+    if (template.status !== 'draft') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Only draft templates can be deleted; archive published versions instead',
+      });
+    }
+
+    await PromptTemplate.deleteOne({ _id: template._id });
+    await auditService.record(req, {
+      action: 'prompt_template.delete',
+      targetType: 'prompt_template',
+      targetId: template._id,
+      before: template,
+    });
+
+    return res.json({
+      status: 'success',
+      message: 'Prompt template deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting prompt template:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete prompt template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Render a template for a character without publishing it (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function previewTemplate(req, res) {
+  try {
+    const { characterId, uncensored } = req.query;
+
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prompt template not found',
+      });
+    }
+
+    const character = await Character.findOne({ id: characterId });
+
+    if (!character) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Character not found',
+      });
+    }
+
+    const systemMessage = promptTemplateService.renderForCharacter(template, character, {
+      uncensored: uncensored !== 'false',
+      dateTime: new Date().toLocaleString(),
+    });
+
+    if (systemMessage === null) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Template has no restricted content',
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      data: { systemMessage },
+    });
+  } catch (error) {
+    logger.error('Error previewing prompt template:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to preview prompt template',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  updateTemplateStatus,
+  deleteTemplate,
+  previewTemplate,
+};
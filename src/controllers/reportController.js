@@ -6,8 +6,11 @@
  * and administrators to manage those reports.
  */
 
+const mongoose = require('mongoose');
 const Report = require('../models/Report');
 const Character = require('../models/Character');
+const Message = require('../models/Message');
+const auditService = require('../services/auditService');
 const logger = require('../utils/logger');
 
 /**
@@ -162,6 +165,68 @@ async function getReportById(req, res) {
   }
 }
 
+/**
+ * Get the stored conversation leading up to a reported message (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getReportContext(req, res) {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const report = await Report.findById(id);
+
+    if (!report) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Report not found',
+      });
+    }
+
+    const { conversationId, messageId } = report.metadata || {};
+
+    if (!conversationId || !mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No stored conversation for this report',
+      });
+    }
+
+    // End the context at the reported message when it is known
+    const query = { conversationId };
+    const reportedMessage = messageId && mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findOne({ _id: messageId, conversationId }).lean()
+      : null;
+
+    if (reportedMessage) {
+      query.createdAt = { $lte: reportedMessage.createdAt };
+    }
+
+    const messages = await Message.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+
+    return res.json({
+      status: 'success',
+      data: {
+        reportId: report._id,
+        conversationId,
+        reportedMessageId: reportedMessage ? reportedMessage._id : null,
+        messages: messages.reverse(),
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting report context:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve report context',
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Update report status (admin only)
  * @param {Object} req - Express request object
@@ -191,6 +256,7 @@ async function updateReportStatus(req, res) {
     }
 
     // Update report status
+    const before = report.toObject();
     report.status = status;
 
     // Update admin review if status is resolved or dismissed
@@ -205,6 +271,13 @@ async function updateReportStatus(req, res) {
 
     // Save changes
     await report.save();
+    await auditService.record(req, {
+      action: 'report.status_update',
+      targetType: 'report',
+      targetId: report._id,
+      before,
+      after: report,
+    });
 
     return res.json({
       status: 'success',
@@ -294,6 +367,7 @@ module.exports = {
   submitReport,
   getReports,
   getReportById,
+  getReportContext,
   updateReportStatus,
   getReportStats,
 };
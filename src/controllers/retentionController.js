@@ -0,0 +1,80 @@
+/**
+ * Retention Controller
+ *
+ * Lets administrators inspect the data retention policies with a dry run and
+ * run the purger on demand.
+ */
+
+const retentionService = require('../services/retentionService');
+const auditService = require('../services/auditService');
+const config = require('../config/retentionConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Get a dry-run report of what the retention policies would delete now (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRetentionReport(req, res) {
+  try {
+    const report = await retentionService.runPolicies({ dryRun: true });
+
+    return res.json({
+      status: 'success',
+      data: {
+        enforced: !config.dryRun,
+        intervalHours: config.intervalHours,
+        report,
+        lastRun: retentionService.getLastRun(),
+      },
+    });
+  } catch (error) {
+    logger.error('Error building retention report:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to build retention report',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Run the retention policies now (admin only)
+ *
+ * Data is only deleted when dry-run is off in the config; otherwise this
+ * returns the same report as getRetentionReport.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function runRetention(req, res) {
+  try {
+    // Purging large collections can take longer than the global request timeout
+    if (typeof req.clearTimeout === 'function') {req.clearTimeout();}
+
+    const report = await retentionService.runPolicies();
+    if (!report.dryRun) {
+      await auditService.record(req, {
+        action: 'retention.purge',
+        targetType: 'retention',
+        targetId: 'all',
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      data: report,
+    });
+  } catch (error) {
+    logger.error('Error running retention policies:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to run retention policies',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getRetentionReport,
+  runRetention,
+};
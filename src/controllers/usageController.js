@@ -0,0 +1,119 @@
+/**
+ * Usage Controller
+ *
+ * Reports token usage and estimated LLM cost to administrators,
+ * aggregated by day, character, user or model.
+ */
+
+const UsageRecord = require('../models/UsageRecord');
+const logger = require('../utils/logger');
+
+// Aggregation key for each supported grouping
+const GROUP_KEYS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  character: '$characterId',
+  user: '$userId',
+  model: '$model',
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @returns {Date|null|undefined} - The date, undefined when absent, null when invalid
+ */
+function parseDate(value) {
+  if (!value) {return undefined;}
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get aggregated token usage and cost (admin only)
+ *
+ * Query: groupBy (day, character, user, model; defaults to day), from, to
+ * (ISO dates; defaults to the last 30 days), and optional characterId,
+ * userId, model and purpose filters.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getUsage(req, res) {
+  try {
+    const { groupBy = 'day', characterId, userId, model, purpose } = req.query;
+
+    if (!GROUP_KEYS[groupBy]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `groupBy must be one of: ${Object.keys(GROUP_KEYS).join(', ')}`,
+      });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be valid dates',
+      });
+    }
+
+    const createdAt = { $gte: from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) };
+    if (to) {createdAt.$lte = to;}
+
+    const match = { createdAt };
+    if (characterId) {match.characterId = characterId;}
+    if (userId) {match.userId = userId;}
+    if (model) {match.model = model;}
+    if (purpose) {match.purpose = purpose;}
+
+    const totals = {
+      requests: { $sum: 1 },
+      promptTokens: { $sum: '$promptTokens' },
+      completionTokens: { $sum: '$completionTokens' },
+      totalTokens: { $sum: '$totalTokens' },
+      cost: { $sum: '$cost' },
+      avgLatencyMs: { $avg: '$latencyMs' },
+      estimatedRequests: { $sum: { $cond: ['$estimated', 1, 0] } },
+    };
+
+    const [groups, summary] = await Promise.all([
+      UsageRecord.aggregate([
+        { $match: match },
+        { $group: { _id: GROUP_KEYS[groupBy], ...totals } },
+        { $sort: groupBy === 'day' ? { _id: 1 } : { cost: -1, totalTokens: -1 } },
+      ]),
+      UsageRecord.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...totals } },
+      ]),
+    ]);
+
+    const formatTotals = ({ _id, avgLatencyMs, cost, ...rest }) => ({
+      ...rest,
+      cost: Number(cost.toFixed(6)),
+      avgLatencyMs: avgLatencyMs === null ? null : Math.round(avgLatencyMs),
+    });
+
+    return res.json({
+      status: 'success',
+      data: {
+        groupBy,
+        from: createdAt.$gte,
+        to: createdAt.$lte || null,
+        totals: summary.length > 0 ? formatTotals(summary[0]) : null,
+        groups: groups.map(group => ({ [groupBy]: group._id, ...formatTotals(group) })),
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting usage statistics:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve usage statistics',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getUsage,
+};
@@ -1,6 +1,204 @@
 const User = require('../models/User');
+const Character = require('../models/Character');
+const ageAssuranceService = require('../services/ageAssuranceService');
+const userProfileService = require('../services/userProfileService');
+const accountDataService = require('../services/accountDataService');
 
 // Diamond functionality has been removed.
-// If you need other user-related controller functions, add them here.
-// For example:
-// exports.getUserProfile = async (req, res) => { ... };
+
+// Build the age assurance summary returned to the user
+const formatAgeAssurance = (user) => ({
+  ageAssurance: user && user.ageAssurance && user.ageAssurance.method ? {
+    method: user.ageAssurance.method,
+    verifiedAt: user.ageAssurance.verifiedAt,
+    verified: ageAssuranceService.isAgeVerified(user),
+  } : null,
+  contentMode: ageAssuranceService.getContentMode(user),
+});
+
+// Get the authenticated user's age assurance status and content mode
+exports.getAgeAssurance = async (req, res) => {
+  try {
+    const user = await User.findOne({ firebaseUid: req.user.firebaseId });
+    res.status(200).json(formatAgeAssurance(user));
+  } catch (error) {
+    console.error('Error getting age assurance:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Store a self-declared birthdate; it never replaces a stronger verification
+exports.declareAge = async (req, res) => {
+  try {
+    const existing = await User.findOne({ firebaseUid: req.user.firebaseId });
+    const { error, status, ageAssurance } = ageAssuranceService.buildSelfDeclaredAgeAssurance(req.body.birthdate, existing);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.user.firebaseId },
+      { $set: { ageAssurance } },
+      { new: true, upsert: true }
+    );
+
+    res.status(200).json(formatAgeAssurance(user));
+  } catch (error) {
+    console.error('Error declaring age:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Choose between the restricted and unrestricted content mode
+exports.updateContentPreference = async (req, res) => {
+  try {
+    const { contentMode } = req.body;
+
+    if (!['restricted', 'unrestricted'].includes(contentMode)) {
+      return res.status(400).json({ message: 'contentMode must be restricted or unrestricted' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.user.firebaseId },
+      { $set: { 'preferences.contentMode': contentMode } },
+      { new: true, upsert: true }
+    );
+
+    res.status(200).json(formatAgeAssurance(user));
+  } catch (error) {
+    console.error('Error updating content preference:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get the authenticated user's profile, creating the User on first use
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.user.firebaseId },
+      { $setOnInsert: { firebaseUid: req.user.firebaseId } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json(userProfileService.formatProfile(user));
+  } catch (error) {
+    console.error('Error getting profile:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Update any of the profile fields; fields left out of the body are unchanged
+exports.updateProfile = async (req, res) => {
+  try {
+    const existing = await User.findOne({ firebaseUid: req.user.firebaseId });
+
+    const { error, status, update } = userProfileService.buildProfileUpdate(req.body, existing);
+    if (error) {
+      return res.status(status || 400).json({ message: error });
+    }
+
+    // The name reaches the model, so it is screened like a chat message
+    const displayName = update.$set['profile.displayName'];
+    const rejection = displayName && await userProfileService.screenDisplayName(displayName, req.user.firebaseId);
+    if (rejection) {
+      return res.status(400).json({ message: rejection });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.user.firebaseId },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    res.status(200).json(userProfileService.formatProfile(user));
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Download everything stored about the authenticated user as a JSON file
+exports.exportMyData = async (req, res) => {
+  try {
+    const data = await accountDataService.exportUserData(req.user.firebaseId);
+
+    res.set('Content-Disposition', `attachment; filename="leome-export-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Erase the authenticated user's account and data
+exports.deleteMyAccount = async (req, res) => {
+  try {
+    const tombstone = await accountDataService.eraseUserData(req.user.firebaseId, { type: 'user' });
+
+    res.status(200).json({
+      message: 'Account data erased',
+      erasureId: tombstone._id,
+      counts: tombstone.counts,
+    });
+  } catch (error) {
+    console.error('Error erasing user data:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// List the characters the authenticated user blocked
+exports.getBlockedCharacters = async (req, res) => {
+  try {
+    const blockedCharacterIds = await userProfileService.getBlockedCharacterIds(req.user.firebaseId);
+    const characters = await Character.find({ id: { $in: blockedCharacterIds } }).select('id name imageUrl');
+
+    res.status(200).json({
+      blockedCharacterIds,
+      characters: characters.map(character => ({
+        id: character.id,
+        name: character.name,
+        image: { uri: character.imageUrl },
+      })),
+    });
+  } catch (error) {
+    console.error('Error getting blocked characters:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Block a character: it disappears from the catalog and chat with it is refused
+exports.blockCharacter = async (req, res) => {
+  try {
+    const character = await Character.findOne({ id: req.params.characterId }).select('id');
+    if (!character) {
+      return res.status(404).json({ message: 'Character not found' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.user.firebaseId },
+      { $addToSet: { blockedCharacterIds: character.id }, $set: { updatedAt: new Date() } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({ blockedCharacterIds: user.blockedCharacterIds });
+  } catch (error) {
+    console.error('Error blocking character:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Unblock a character
+exports.unblockCharacter = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.user.firebaseId },
+      { $pull: { blockedCharacterIds: req.params.characterId }, $set: { updatedAt: new Date() } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({ blockedCharacterIds: user.blockedCharacterIds });
+  } catch (error) {
+    console.error('Error unblocking character:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,26 +1,14 @@
-// Simple admin authentication for the dashboard
-// In a production app, you would use JWT or OAuth
+// Admin authentication for the dashboard, backed by admin accounts and session tokens
+const { validateAdmin, authorizeAdmin, logAdminAttempt } = require('./authMiddleware');
 
-// Basic admin authentication middleware
-exports.adminAuth = (req, res, next) => {
-  // Get API key from query params, headers, or cookies
-  const apiKey = req.query.apiKey ||
-                req.headers['x-api-key'] ||
-                req.cookies?.apiKey;
+// Any logged-in admin
+exports.adminAuth = validateAdmin;
 
-  // Check for valid API key (hardcoded for simplicity)
-  // In production, this would be stored securely
-  const validApiKey = process.env.ADMIN_API_KEY || 'leome-admin-key';
+// Logged-in admin whose role may access the given area, e.g. authorizeAdmin('characters')
+exports.authorizeAdmin = authorizeAdmin;
 
-  if (!apiKey || apiKey !== validApiKey) {
-    return res.status(401).json({
-      message: 'Unauthorized. Please provide a valid API key.',
-    });
-  }
-
-  // If API key is valid, proceed
-  next();
-};
+// Log every attempt at a sensitive action, including rejected ones
+exports.logAdminAttempt = logAdminAttempt;
 
 // Placeholder user authentication middleware
 // TODO: Implement proper user authentication (e.g., JWT verification)
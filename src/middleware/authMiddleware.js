@@ -4,41 +4,34 @@
  * Handles authentication for admin routes and protected endpoints
  */
 
+const adminAuthService = require('../services/adminAuthService');
+const firebaseAuthService = require('../services/firebaseAuthService');
 const logger = require('../utils/logger');
 
 /**
- * Validate admin credentials from request
- * Checks for admin API key in headers or query parameters
+ * Validate the admin session from request
+ * Checks for a session token from /api/admin/login in `Authorization: Bearer <token>`
+ * or the `x-admin-token` header
  */
-const validateAdmin = (req, res, next) => {
+const validateAdmin = async (req, res, next) => {
   try {
-    // Get the admin API key from environment variables
-    const validApiKey = process.env.ADMIN_API_KEY;
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const token = match ? match[1].trim() : req.headers['x-admin-token'];
 
-    if (!validApiKey) {
-      logger.error('ADMIN_API_KEY not set in environment variables');
-      return res.status(500).json({
-        status: 'error',
-        message: 'Server configuration error',
-      });
-    }
-
-    // Get the provided API key from headers or query parameters
-    const providedApiKey = req.headers['x-api-key'] || req.query.apiKey;
-
-    // Check if the API key is valid
-    if (providedApiKey !== validApiKey) {
-      logger.warn(`Invalid admin API key attempt: ${req.ip}`);
+    const admin = token ? await adminAuthService.authenticate(token) : null;
+    if (!admin) {
+      logger.warn(`Invalid admin session attempt: ${req.ip}`);
       return res.status(401).json({
         status: 'error',
-        message: 'Unauthorized - invalid API key',
+        message: 'Unauthorized - invalid or expired session',
       });
     }
 
     // Set admin user info for use in controllers
     req.adminUser = {
-      username: 'admin',
-      role: 'admin',
+      id: admin._id.toString(),
+      username: admin.username,
+      role: admin.role,
       timestamp: new Date(),
     };
 
@@ -53,32 +46,100 @@ const validateAdmin = (req, res, next) => {
   }
 };
 
+/**
+ * Validate the admin session and check the admin's role may access an area
+ * Areas and their roles are listed in the admin auth config
+ */
+const authorizeAdmin = (area) => (req, res, next) => {
+  validateAdmin(req, res, () => {
+    if (!adminAuthService.hasPermission(req.adminUser.role, area)) {
+      logger.warn(`Admin ${req.adminUser.username} (${req.adminUser.role}) denied access to ${area}: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        status: 'error',
+        message: 'Forbidden - your role does not allow this action',
+      });
+    }
+
+    next();
+  });
+};
+
+/**
+ * Log every attempt at a sensitive admin action with who made it and how it ended
+ * Put it before the auth middleware so rejected attempts are logged too
+ */
+const logAdminAttempt = (action) => (req, res, next) => {
+  res.on('finish', () => {
+    const admin = req.adminUser ? `${req.adminUser.username} (${req.adminUser.role})` : 'unauthenticated client';
+    const message = `Admin action ${action} on ${req.params.id || '-'} by ${admin} from ${req.ip}: ${res.statusCode}`;
+
+    if (res.statusCode < 400) {
+      logger.info(message);
+    } else {
+      logger.warn(message);
+    }
+  });
+
+  next();
+};
+
+/**
+ * Get the Firebase ID token from the request
+ * Accepts `Authorization: Bearer <token>` or the `firebase-token` header
+ */
+const getFirebaseToken = (req) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : req.headers['firebase-token'];
+};
+
+/**
+ * Verify a Firebase ID token and build the user info for controllers
+ * The user gets a User record the first time they are seen
+ */
+const authenticateFirebaseToken = async (token) => {
+  const claims = await firebaseAuthService.verifyIdToken(token);
+  await firebaseAuthService.provisionUser(claims.sub);
+
+  return {
+    firebaseId: claims.sub,
+    email: claims.email,
+    isAnonymous: claims.firebase?.sign_in_provider === 'anonymous',
+    timestamp: new Date(),
+  };
+};
+
 /**
  * Validate Firebase authentication
- * Checks for Firebase auth token in headers
+ * Verifies the Firebase ID token; the identity comes from the token, never from the `firebase-id` header
  */
-const validateFirebaseAuth = (req, res, next) => {
+const validateFirebaseAuth = async (req, res, next) => {
   try {
-    // Get the Firebase token from the request headers
-    const firebaseToken = req.headers['firebase-token'];
-    const firebaseId = req.headers['firebase-id'];
-
-    // For anonymous auth, we only validate that an ID is present
-    // In a production app, you would verify the token with Firebase Admin SDK
-    if (!firebaseId) {
-      logger.warn(`Authentication attempt without Firebase ID: ${req.ip}`);
+    const firebaseToken = getFirebaseToken(req);
+
+    if (!firebaseToken) {
+      logger.warn(`Authentication attempt without Firebase token: ${req.ip}`);
       return res.status(401).json({
         status: 'error',
         message: 'Unauthorized - missing authentication',
       });
     }
 
+    let user;
+    try {
+      user = await authenticateFirebaseToken(firebaseToken);
+    } catch (error) {
+      if (!error.code) {throw error;}
+
+      logger.warn(`Invalid Firebase token from ${req.ip}: ${error.message}`);
+      return res.status(401).json({
+        status: 'error',
+        code: error.code,
+        message: 'Unauthorized - invalid authentication token',
+      });
+    }
+
     // Set the authenticated user info for use in controllers
-    req.user = {
-      firebaseId,
-      isAnonymous: !firebaseToken, // If no token, assume anonymous auth
-      timestamp: new Date(),
-    };
+    req.user = user;
 
     // Authentication successful, proceed to the next middleware
     next();
@@ -91,6 +152,24 @@ const validateFirebaseAuth = (req, res, next) => {
   }
 };
 
+/**
+ * Identify the Firebase user when the request carries a valid token
+ * Unlike validateFirebaseAuth, requests without one continue without req.user
+ */
+const identifyFirebaseUser = async (req, res, next) => {
+  const firebaseToken = getFirebaseToken(req);
+
+  if (firebaseToken) {
+    try {
+      req.user = await authenticateFirebaseToken(firebaseToken);
+    } catch (error) {
+      logger.warn(`Ignoring invalid Firebase token from ${req.ip}: ${error.message}`);
+    }
+  }
+
+  next();
+};
+
 /**
  * Validate basic user authentication
  * For future use with user accounts
@@ -103,6 +182,9 @@ const validateUser = (req, res, next) => {
 
 module.exports = {
   validateAdmin,
+  authorizeAdmin,
+  logAdminAttempt,
   validateUser,
   validateFirebaseAuth,
+  identifyFirebaseUser,
 };
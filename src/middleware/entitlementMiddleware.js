@@ -0,0 +1,75 @@
+/**
+ * Entitlement Middleware
+ *
+ * Gates paid features behind the entitlements stored on the User record.
+ * Must run after validateFirebaseAuth.
+ */
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Check a user's premium entitlement
+ * @param {string} firebaseId - Firebase ID of the user
+ * @returns {Promise<Object|null>} - Error details when access is denied, or null when entitled
+ */
+const checkPremiumEntitlement = async (firebaseId) => {
+  const user = await User.findOne({ firebaseUid: firebaseId });
+
+  if (user && user.hasPremium()) {return null;}
+
+  const premium = user && user.entitlements && user.entitlements.premium;
+  if (premium && premium.active && premium.expiresAt) {
+    return {
+      code: 'PREMIUM_EXPIRED',
+      message: 'Premium subscription has expired',
+      expiredAt: premium.expiresAt,
+    };
+  }
+
+  return {
+    code: 'PREMIUM_REQUIRED',
+    message: 'A premium subscription is required for this feature',
+  };
+};
+
+/**
+ * Send the structured 402 response for a missing or expired premium entitlement
+ * @param {Object} res - Express response object
+ * @param {Object} denial - Error details from checkPremiumEntitlement
+ */
+const sendPremiumRequired = (res, denial) => {
+  return res.status(402).json({
+    status: 'error',
+    ...denial,
+  });
+};
+
+/**
+ * Require an active premium entitlement
+ */
+const requirePremium = async (req, res, next) => {
+  try {
+    const denial = await checkPremiumEntitlement(req.user.firebaseId);
+
+    if (denial) {
+      logger.info(`Premium access denied (${denial.code}): ${req.ip}`);
+      return sendPremiumRequired(res, denial);
+    }
+
+    req.user.isPremium = true;
+    next();
+  } catch (error) {
+    logger.error('Error in premium entitlement middleware:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during entitlement check',
+    });
+  }
+};
+
+module.exports = {
+  checkPremiumEntitlement,
+  sendPremiumRequired,
+  requirePremium,
+};
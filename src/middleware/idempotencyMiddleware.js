@@ -0,0 +1,249 @@
+/**
+ * Idempotency Middleware
+ *
+ * Makes requests sent with an `Idempotency-Key` header safe to retry: the
+ * first attempt runs and its result is stored, and retries with the same key
+ * get the stored result back (waiting for it while the first attempt is still
+ * running) instead of running the request again. Server errors and degraded
+ * replies release the key so a retry can try again.
+ * Must run after validateFirebaseAuth.
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+// How long a stored result is kept for retries
+const KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+// How long a retry waits for an attempt that is still running
+const WAIT_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_WAIT_MS, 10) || 25000;
+const POLL_INTERVAL_MS = 250;
+// Attempts running longer than this are assumed dead and can be taken over
+const STALE_LOCK_MS = 2 * 60 * 1000;
+
+/**
+ * Hash the parts of the request that must match between retries
+ * @param {Object} req - Express request object
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ body: req.body || {}, query: req.query || {} }))
+  .digest('hex');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Claim a key for a new attempt
+ * @param {Object} filter - userId, key and route of the request
+ * @param {string} requestHash - Hash of the request
+ * @returns {Promise<boolean>} - True when this request should run, false when the key is already taken
+ */
+const claimKey = async (filter, requestHash) => {
+  const now = new Date();
+
+  try {
+    await IdempotencyKey.create({
+      ...filter,
+      requestHash,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + KEY_TTL_MS),
+    });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {throw error;}
+  }
+
+  // Take over an attempt that never finished
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { ...filter, requestHash, status: 'in_progress', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+    { $set: { lockedAt: now } },
+  );
+  return Boolean(takenOver);
+};
+
+/**
+ * Wait until the attempt holding a key completes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} filter - userId, key and route of the request
+ * @returns {Promise<Object|null>} - The key record, or null when it was released
+ */
+const waitForResult = async (req, res, filter) => {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  let record = await IdempotencyKey.findOne(filter).lean();
+
+  while (record && record.status === 'in_progress' && Date.now() < deadline && !req.timedout && !res.destroyed) {
+    await sleep(POLL_INTERVAL_MS);
+    record = await IdempotencyKey.findOne(filter).lean();
+  }
+
+  return record;
+};
+
+/**
+ * Send a stored result, as Server-Sent Events when the client asked for a stream
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} record - Completed key record
+ */
+const replayResult = (req, res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+
+  const wantsStream = req.query.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+  if (!wantsStream || record.statusCode !== 200) {
+    return res.status(record.statusCode).json(record.body);
+  }
+
+  if (typeof req.clearTimeout === 'function') {req.clearTimeout();}
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`event: token\ndata: ${JSON.stringify({ content: record.body.response })}\n\n`);
+  res.write(`event: done\ndata: ${JSON.stringify(record.body)}\n\n`);
+  res.end();
+};
+
+/**
+ * Store the result of a request under its key, or release the key when the
+ * result should not be replayed
+ * @param {Object} filter - userId, key and route of the request
+ * @param {number|null} statusCode - Response status, or null to release the key
+ * @param {Object} [body] - Response body
+ * @param {boolean} [stream=false] - Whether the response was streamed
+ */
+const settleKey = (filter, statusCode, body, stream = false) => {
+  const retryable = statusCode === null || statusCode >= 500 || (body && body.degraded);
+
+  const operation = retryable
+    ? IdempotencyKey.deleteOne({ ...filter, status: 'in_progress' })
+    : IdempotencyKey.updateOne(filter, {
+      $set: {
+        status: 'completed',
+        statusCode,
+        body,
+        stream,
+        completedAt: new Date(),
+      },
+    });
+
+  operation.catch(error => {
+    logger.error(`Error storing idempotent result: ${error.message}`);
+  });
+};
+
+/**
+ * Deduplicate requests that carry an `Idempotency-Key` header
+ *
+ * JSON results are captured from res.json. Streamed results are taken from
+ * `res.locals.idempotentResult`, which the controller sets to the payload of
+ * its final `done` event.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  if (!key) {return next();}
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INVALID_IDEMPOTENCY_KEY',
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const filter = {
+    userId: req.user.firebaseId,
+    key,
+    route: `${req.baseUrl}${req.path}`,
+  };
+  const requestHash = hashRequest(req);
+
+  try {
+    let claimed = await claimKey(filter, requestHash);
+
+    while (!claimed) {
+      const record = await waitForResult(req, res, filter);
+
+      if (record && record.requestHash !== requestHash) {
+        return res.status(422).json({
+          status: 'error',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          message: 'Idempotency-Key was already used for a different request',
+        });
+      }
+
+      if (record && record.status === 'completed') {
+        return replayResult(req, res, record);
+      }
+
+      if (record) {
+        return res.status(409).set('Retry-After', '2').json({
+          status: 'error',
+          code: 'IDEMPOTENCY_IN_PROGRESS',
+          message: 'A request with this Idempotency-Key is still in progress',
+        });
+      }
+
+      // The first attempt failed and released the key, so this one runs
+      claimed = await claimKey(filter, requestHash);
+    }
+  } catch (error) {
+    logger.error(`Error checking idempotency key: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to check idempotency key',
+    });
+  }
+
+  let settled = false;
+  const settle = (...args) => {
+    if (settled) {return;}
+    settled = true;
+    settleKey(filter, ...args);
+  };
+
+  // Status set by the controller, which differs from res.statusCode once the timeout handler has responded
+  let resultStatus = 200;
+  const status = res.status.bind(res);
+  res.status = (code) => {
+    resultStatus = code;
+    return status(code);
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (req.timedout && body && body.code === 'TIMEOUT') {
+      // The timeout handler's 503 is not the result; the controller keeps running and settles later
+      resultStatus = 200;
+    } else {
+      settle(req.timedout ? resultStatus : res.statusCode, body);
+    }
+
+    // The result is stored for retries even when this client is already gone
+    if (res.headersSent) {return res;}
+    return json(body);
+  };
+
+  res.on('close', () => {
+    if (res.locals.idempotentResult) {
+      settle(200, res.locals.idempotentResult, true);
+    } else if (!req.timedout) {
+      // Aborted or ended without a result
+      settle(null);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin User Schema
+ * An admin dashboard account with a role that decides what it may access
+ */
+const AdminUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+
+  // scrypt hash with its parameters and salt, see adminAuthService.hashPassword
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+
+  role: {
+    type: String,
+    enum: ['superadmin', 'editor', 'moderator'],
+    required: true,
+  },
+
+  // Disabled accounts cannot log in and their sessions stop working
+  active: {
+    type: Boolean,
+    default: true,
+  },
+
+  // Failed logins since the last successful one, and when a lockout ends
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date,
+
+  // Bumped to revoke every session token issued so far
+  sessionVersion: {
+    type: Number,
+    default: 0,
+  },
+
+  lastLoginAt: Date,
+  lastLoginIp: String,
+
+  // Username of the admin who created the account
+  createdBy: String,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt timestamp on save
+AdminUserSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Never send password hashes to clients
+AdminUserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('AdminUser', AdminUserSchema);
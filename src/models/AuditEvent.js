@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Event Schema
+ * A mutation made by an admin, with what changed. Events are never updated or deleted.
+ */
+const AuditEventSchema = new mongoose.Schema({
+  // Admin who made the change
+  actor: {
+    id: String,
+    username: {
+      type: String,
+      required: true,
+    },
+  },
+
+  role: {
+    type: String,
+  },
+
+  // What was done, e.g. 'character.update' or 'report.status_update'
+  action: {
+    type: String,
+    required: true,
+  },
+
+  // What it was done to
+  target: {
+    type: {
+      type: String,
+      required: true,
+    },
+    id: {
+      type: String,
+      required: true,
+    },
+  },
+
+  // Fields that changed, with their values before and after
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+
+  ip: {
+    type: String,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for the admin audit log
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ 'actor.username': 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+AuditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// The audit log is append-only
+function rejectChange(next) {
+  next(new Error('Audit events cannot be changed or deleted'));
+}
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {return rejectChange(next);}
+  next();
+});
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+AuditEventSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+AuditEventSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -52,6 +52,58 @@ const CharacterSchema = new mongoose.Schema({
     type: [String],
     default: [],
   },
+  // Premium characters can only be chatted with by users with a premium entitlement
+  isPremium: {
+    type: Boolean,
+    default: false,
+  },
+  // Optional per-character LLM settings; unset values fall back to the tier configuration
+  generation: {
+    provider: {
+      type: String,
+    },
+    model: {
+      type: String,
+    },
+    temperature: {
+      type: Number,
+      min: 0,
+      max: 2,
+    },
+    topP: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    frequencyPenalty: {
+      type: Number,
+      min: -2,
+      max: 2,
+    },
+    presencePenalty: {
+      type: Number,
+      min: -2,
+      max: 2,
+    },
+    maxTokens: {
+      type: Number,
+      min: 1,
+      max: 4096,
+    },
+    stop: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  // Optional pinned system prompt template version; unset uses the latest published version
+  promptTemplate: {
+    name: {
+      type: String,
+    },
+    version: {
+      type: Number,
+    },
+  },
   isActive: {
     type: Boolean,
     default: true,
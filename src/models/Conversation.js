@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Conversation Schema
+ * One chat thread between a user and a character
+ */
+const ConversationSchema = new mongoose.Schema({
+  // Firebase ID of the user who owns the conversation
+  userId: {
+    type: String,
+    required: true,
+  },
+
+  // Custom id of the character (Character.id, not the MongoDB _id)
+  characterId: {
+    type: String,
+    required: true,
+  },
+
+  // Number of messages stored in the conversation
+  messageCount: {
+    type: Number,
+    default: 0,
+  },
+
+  // Last message of the branch the user is currently on
+  activeLeafId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+  },
+
+  // Time of the most recent message, used to sort the conversation list
+  lastMessageAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Rolling summary of the messages that fell out of the prompt history window
+  memory: {
+    summary: String,
+    // Creation time of the newest message covered by the summary
+    summarizedUntil: Date,
+    // Newest message covered by the summary; the summary only applies to branches running through it
+    summarizedThroughId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+    summarizedMessageCount: {
+      type: Number,
+      default: 0,
+    },
+    updatedAt: Date,
+  },
+
+  // Flag for human review, e.g. after a crisis disclosure
+  safety: {
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    reason: String,
+    flaggedAt: Date,
+    reviewStatus: {
+      type: String,
+      enum: ['pending', 'reviewed'],
+    },
+    reviewedAt: Date,
+    reviewedBy: String,
+    notes: String,
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt timestamp on save
+ConversationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Each user has a single conversation per character
+ConversationSchema.index({ userId: 1, characterId: 1 }, { unique: true });
+ConversationSchema.index({ userId: 1, lastMessageAt: -1 });
+ConversationSchema.index({ 'safety.reviewStatus': 1, 'safety.flaggedAt': -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
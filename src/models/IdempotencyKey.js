@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Schema
+ * Result of a request sent with an `Idempotency-Key` header, so client
+ * retries get the stored result instead of running the request again
+ */
+const IdempotencyKeySchema = new mongoose.Schema({
+  // Firebase ID of the user that sent the request
+  userId: {
+    type: String,
+    required: true,
+  },
+
+  // Value of the Idempotency-Key header
+  key: {
+    type: String,
+    required: true,
+  },
+
+  // Route the key was used on
+  route: {
+    type: String,
+    required: true,
+  },
+
+  // Hash of the request body, to reject a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress',
+  },
+
+  // When the current attempt started; stale locks can be taken over
+  lockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Stored response of the completed request
+  statusCode: {
+    type: Number,
+  },
+
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+
+  // True when the original response was a Server-Sent Events stream
+  stream: {
+    type: Boolean,
+    default: false,
+  },
+
+  completedAt: {
+    type: Date,
+  },
+
+  // Keys are removed by MongoDB once they expire
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// One record per key, user and route
+IdempotencyKeySchema.index({ userId: 1, key: 1, route: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
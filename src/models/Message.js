@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message Schema
+ * A single user or assistant turn within a conversation
+ */
+const MessageSchema = new mongoose.Schema({
+  // Conversation the message belongs to
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+  },
+
+  // Firebase ID of the conversation owner
+  userId: {
+    type: String,
+    required: true,
+  },
+
+  // Custom id of the character in the conversation
+  characterId: {
+    type: String,
+    required: true,
+  },
+
+  // Previous message on the same branch; null for the first message
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+  },
+
+  // Who sent the message
+  role: {
+    type: String,
+    required: true,
+    enum: ['user', 'assistant'],
+  },
+
+  // Message text
+  content: {
+    type: String,
+    required: true,
+  },
+
+  // Prompt template version that produced an assistant message; unset for the built-in prompt
+  promptTemplate: {
+    name: String,
+    version: Number,
+  },
+
+  // Set on safe-messaging responses sent instead of an in-character reply
+  safeMessaging: {
+    type: Boolean,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for paging through a conversation, finding sibling branches and per-user lookups
+MessageSchema.index({ conversationId: 1, createdAt: -1 });
+MessageSchema.index({ conversationId: 1, parentId: 1, createdAt: 1 });
+MessageSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Moderation Event Schema
+ * A moderation decision on a generated reply or an incoming user message
+ */
+const ModerationEventSchema = new mongoose.Schema({
+  // Whether a generated reply or a user message was checked
+  direction: {
+    type: String,
+    enum: ['output', 'input'],
+    required: true,
+  },
+
+  // What was done with the content
+  action: {
+    type: String,
+    enum: ['allow', 'block', 'rewrite', 'regenerate', 'refuse', 'safe_messaging', 'redact'],
+    required: true,
+  },
+
+  // Categories that were hit, with the engine that flagged them
+  categories: [{
+    name: String,
+    score: Number,
+    engines: [String],
+  }],
+
+  // Flagged content, truncated
+  content: {
+    type: String,
+  },
+
+  // Firebase ID of the user
+  userId: {
+    type: String,
+  },
+
+  // Custom id of the character
+  characterId: {
+    type: String,
+  },
+
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for the admin event list
+ModerationEventSchema.index({ createdAt: -1 });
+ModerationEventSchema.index({ direction: 1, createdAt: -1 });
+ModerationEventSchema.index({ 'categories.name': 1, createdAt: -1 });
+ModerationEventSchema.index({ userId: 1, createdAt: -1 });
+ModerationEventSchema.index({ characterId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationEvent', ModerationEventSchema);
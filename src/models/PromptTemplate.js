@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Prompt Template Schema
+ * A versioned persona system prompt, edited by admins without a redeploy.
+ * Templates use {{variable}} placeholders filled in per character.
+ */
+const PromptTemplateSchema = new mongoose.Schema({
+  // Template family, e.g. 'persona'; versions of a family share the name
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Version number within the family, assigned on creation
+  version: {
+    type: Number,
+    required: true,
+  },
+
+  // Drafts can be edited; published versions are immutable
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft',
+  },
+
+  // Template used for unrestricted chat
+  content: {
+    type: String,
+    required: true,
+  },
+
+  // Template used for restricted chat; required to publish
+  restrictedContent: {
+    type: String,
+  },
+
+  // Admin notes about the change
+  notes: {
+    type: String,
+  },
+
+  createdBy: {
+    type: String,
+  },
+
+  publishedAt: {
+    type: Date,
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt timestamp on save
+PromptTemplateSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Create indexes for version lookups
+PromptTemplateSchema.index({ name: 1, version: -1 }, { unique: true });
+PromptTemplateSchema.index({ name: 1, status: 1, publishedAt: -1 });
+
+module.exports = mongoose.model('PromptTemplate', PromptTemplateSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Usage Record Schema
+ * Token usage, latency and estimated cost of a single LLM request
+ */
+const UsageRecordSchema = new mongoose.Schema({
+  // Firebase ID of the user the request was made for
+  userId: {
+    type: String,
+  },
+
+  // Custom id of the character
+  characterId: {
+    type: String,
+  },
+
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+  },
+
+  // What the request was for
+  purpose: {
+    type: String,
+    enum: ['chat', 'premium_chat', 'summary'],
+    required: true,
+  },
+
+  provider: {
+    type: String,
+  },
+
+  model: {
+    type: String,
+    required: true,
+  },
+
+  promptTokens: {
+    type: Number,
+    default: 0,
+  },
+
+  completionTokens: {
+    type: Number,
+    default: 0,
+  },
+
+  totalTokens: {
+    type: Number,
+    default: 0,
+  },
+
+  // True when the provider did not report usage and the counts were estimated
+  estimated: {
+    type: Boolean,
+    default: false,
+  },
+
+  latencyMs: {
+    type: Number,
+  },
+
+  // Estimated cost in USD from the configured price table
+  cost: {
+    type: Number,
+    default: 0,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for the usage reports
+UsageRecordSchema.index({ createdAt: -1 });
+UsageRecordSchema.index({ characterId: 1, createdAt: -1 });
+UsageRecordSchema.index({ userId: 1, createdAt: -1 });
+UsageRecordSchema.index({ model: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', UsageRecordSchema);
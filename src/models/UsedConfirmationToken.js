@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Used Confirmation Token Schema
+ * Nonce of a confirmation token that has already confirmed its action, so
+ * the token cannot be replayed before it expires
+ */
+const UsedConfirmationTokenSchema = new mongoose.Schema({
+  // Nonce (`jti` claim) of the token
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Action and target the token confirmed, for investigations
+  action: {
+    type: String,
+    required: true,
+  },
+
+  target: {
+    type: String,
+    required: true,
+  },
+
+  // AdminUser ID of the admin who used the token
+  adminId: {
+    type: String,
+    required: true,
+  },
+
+  usedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Records are removed by MongoDB once the token would have expired anyway
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+UsedConfirmationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedConfirmationToken', UsedConfirmationTokenSchema);
@@ -11,12 +11,87 @@ const userSchema = new mongoose.Schema({
   //   required: true,
   //   default: 0,
   // },
+  // Paid features the user is entitled to
+  entitlements: {
+    premium: {
+      active: {
+        type: Boolean,
+        default: false,
+      },
+      // Where the entitlement came from, e.g. 'admin' or a store name
+      source: String,
+      grantedAt: Date,
+      // No expiry date means the entitlement does not expire
+      expiresAt: Date,
+    },
+  },
+  // How the user's age was established; decides the content mode on the server
+  ageAssurance: {
+    birthdate: Date,
+    method: {
+      type: String,
+      enum: ['self_declared', 'id_document', 'payment_card', 'third_party', 'admin'],
+    },
+    verifiedAt: Date,
+    // Who verified the age, e.g. an admin or a verification provider
+    verifiedBy: String,
+  },
+  // Profile the user edits through /api/users/me; characters may use it to personalize replies
+  profile: {
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    // BCP 47 language tag, e.g. 'en' or 'pt-BR'
+    preferredLanguage: String,
+    // IANA time zone, e.g. 'Asia/Kolkata'
+    timezone: String,
+  },
+  preferences: {
+    // Verified adults can still opt into the restricted content mode
+    contentMode: {
+      type: String,
+      enum: ['restricted', 'unrestricted'],
+      default: 'unrestricted',
+    },
+  },
+  // Custom ids of characters the user blocked; they are hidden from the catalog and cannot be chatted with
+  blockedCharacterIds: {
+    type: [String],
+    default: [],
+  },
+  notifications: {
+    push: {
+      type: Boolean,
+      default: true,
+    },
+    email: {
+      type: Boolean,
+      default: false,
+    },
+    marketing: {
+      type: Boolean,
+      default: false,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
+// Check whether the premium entitlement is active and not expired
+userSchema.methods.hasPremium = function() {
+  const premium = this.entitlements && this.entitlements.premium;
+  if (!premium || !premium.active) {return false;}
+  return !premium.expiresAt || premium.expiresAt > new Date();
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
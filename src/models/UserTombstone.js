@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * User Tombstone Schema
+ * Record that a user's data was erased, kept after the data itself is gone.
+ * The Firebase ID is only stored as a hash, so the record can answer "was
+ * this user erased?" without identifying anyone
+ */
+const UserTombstoneSchema = new mongoose.Schema({
+  // SHA-256 of the Firebase ID
+  subjectHash: {
+    type: String,
+    required: true,
+  },
+
+  // Who asked for the erasure: the user themselves or an admin
+  requestedBy: {
+    type: {
+      type: String,
+      enum: ['user', 'admin'],
+      required: true,
+    },
+    username: String,
+  },
+
+  // Reason given by the admin, e.g. a support ticket number
+  reason: {
+    type: String,
+  },
+
+  // Erasure job progress; failed jobs can be run again
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'failed'],
+    default: 'in_progress',
+  },
+
+  // Documents deleted or anonymized, by collection
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  error: {
+    type: String,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  completedAt: {
+    type: Date,
+  },
+});
+
+// Create indexes for lookups by subject
+UserTombstoneSchema.index({ subjectHash: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UserTombstone', UserTombstoneSchema);
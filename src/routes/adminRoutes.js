@@ -1,13 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { adminAuth } = require('../middleware/auth');
+const promptTemplateController = require('../controllers/promptTemplateController');
+const usageController = require('../controllers/usageController');
+const moderationController = require('../controllers/moderationController');
+const characterController = require('../controllers/characterController');
+const auditController = require('../controllers/auditController');
+const retentionController = require('../controllers/retentionController');
+const { adminAuth, authorizeAdmin, logAdminAttempt } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const mongoose = require('mongoose');
 const openaiService = require('../services/openaiService');
+const providerRegistry = require('../services/providerRegistry');
+const circuitBreaker = require('../services/circuitBreaker');
 const { execSync } = require('child_process');
 
 // Set up multer for file uploads - same config as in characterRoutes
@@ -51,13 +59,21 @@ const characterUpload = upload.fields([
 
 // Authentication
 router.post('/login', adminController.login);
+router.post('/logout', adminAuth, adminController.logout);
+router.get('/me', adminAuth, adminController.getCurrentAdmin);
+router.put('/me/password', adminAuth, adminController.changePassword);
 
-// Protected admin routes
-router.get('/stats', adminAuth, adminController.getStats);
-router.get('/characters', adminAuth, adminController.getAllCharacters);
+// Admin accounts
+router.get('/admin-users', authorizeAdmin('admins'), adminController.getAdminUsers);
+router.post('/admin-users', authorizeAdmin('admins'), adminController.createAdminUser);
+router.put('/admin-users/:id', authorizeAdmin('admins'), adminController.updateAdminUser);
+
+// Protected admin routes; the roles allowed per area are in config/adminAuthConfig.js
+router.get('/stats', authorizeAdmin('dashboard'), adminController.getStats);
+router.get('/characters', authorizeAdmin('dashboard'), adminController.getAllCharacters);
 
 // Add debug middleware and Multer for character creation
-router.post('/characters', adminAuth, (req, res, next) => {
+router.post('/characters', logAdminAttempt('character.create'), authorizeAdmin('characters'), (req, res, next) => {
   console.log('ADMIN CHARACTER CREATE - Pre-multer:', {
     contentType: req.headers['content-type'],
     body: req.body,
@@ -72,16 +88,59 @@ router.post('/characters', adminAuth, (req, res, next) => {
   next();
 }, adminController.createCharacter);
 
-router.put('/characters/:id', adminAuth, characterUpload, adminController.updateCharacter);
-router.delete('/characters/:id', adminAuth, adminController.deleteCharacter);
-router.get('/characters/:id', adminAuth, adminController.getCharacterById);
+router.put('/characters/:id', logAdminAttempt('character.update'), authorizeAdmin('characters'), characterUpload, adminController.updateCharacter);
+router.delete('/characters/:id', logAdminAttempt('character.delete'), authorizeAdmin('characters'), adminController.deleteCharacter);
+
+// Permanent delete needs a superadmin and a confirmation token (X-Confirmation-Token) from the confirmation route
+router.post('/characters/:id/permanent/confirmation', logAdminAttempt('character.permanent_delete_confirmation'), authorizeAdmin('permanentDelete'), characterController.getPermanentDeleteConfirmation);
+router.delete('/characters/:id/permanent', logAdminAttempt('character.permanent_delete'), authorizeAdmin('permanentDelete'), characterController.permanentDeleteCharacter);
+router.get('/characters/:id', authorizeAdmin('dashboard'), adminController.getCharacterById);
+
+// Prompt templates
+router.get('/prompt-templates', authorizeAdmin('promptTemplates'), promptTemplateController.getTemplates);
+router.post('/prompt-templates', authorizeAdmin('promptTemplates'), promptTemplateController.createTemplate);
+router.get('/prompt-templates/:id', authorizeAdmin('promptTemplates'), promptTemplateController.getTemplateById);
+router.put('/prompt-templates/:id', authorizeAdmin('promptTemplates'), promptTemplateController.updateTemplate);
+router.put('/prompt-templates/:id/status', authorizeAdmin('promptTemplates'), promptTemplateController.updateTemplateStatus);
+router.delete('/prompt-templates/:id', authorizeAdmin('promptTemplates'), promptTemplateController.deleteTemplate);
+router.get('/prompt-templates/:id/preview', authorizeAdmin('promptTemplates'), promptTemplateController.previewTemplate);
+
+// User entitlements
+router.get('/users/:firebaseUid/entitlements', authorizeAdmin('users'), adminController.getUserEntitlements);
+router.put('/users/:firebaseUid/entitlements/premium', authorizeAdmin('entitlements'), adminController.updatePremiumEntitlement);
+router.put('/users/:firebaseUid/age-assurance', authorizeAdmin('users'), adminController.updateAgeAssurance);
+
+// User data export and erasure; erasure needs a confirmation token
+router.get('/users/:firebaseUid/export', logAdminAttempt('user.data_export'), authorizeAdmin('userData'), adminController.exportUserData);
+router.get('/users/:firebaseUid/erasures', authorizeAdmin('userData'), adminController.getUserErasures);
+router.post('/users/:firebaseUid/erasure/confirmation', logAdminAttempt('user.erase_confirmation'), authorizeAdmin('userData'), adminController.getUserErasureConfirmation);
+router.delete('/users/:firebaseUid', logAdminAttempt('user.erase'), authorizeAdmin('userData'), adminController.eraseUserData);
+
+// Token usage and cost
+router.get('/usage', authorizeAdmin('usage'), usageController.getUsage);
+
+// Moderation decisions
+router.get('/moderation/events', authorizeAdmin('moderation'), moderationController.getModerationEvents);
+router.get('/moderation/stats', authorizeAdmin('moderation'), moderationController.getModerationStats);
+
+// Audit log of admin mutations, filterable by actor, role, action, targetType, targetId, from and to
+router.get('/audit-events', authorizeAdmin('audit'), auditController.getAuditEvents);
+router.get('/audit-events/export', authorizeAdmin('audit'), auditController.exportAuditEvents);
+
+// Data retention: dry-run report and on-demand purge
+router.get('/retention', authorizeAdmin('retention'), retentionController.getRetentionReport);
+router.post('/retention/run', logAdminAttempt('retention.purge'), authorizeAdmin('retention'), retentionController.runRetention);
+
+// Conversations flagged for human review (?status=pending|reviewed|all)
+router.get('/safety/conversations', authorizeAdmin('moderation'), moderationController.getFlaggedConversations);
+router.put('/safety/conversations/:conversationId/review', authorizeAdmin('moderation'), moderationController.reviewConversation);
 
 /**
  * @route GET /api/admin/status
  * @description Get server status information
  * @access Admin
  */
-router.get('/status', async (req, res) => {
+router.get('/status', authorizeAdmin('dashboard'), async (req, res) => {
   try {
     // Get system information
     const systemInfo = {
@@ -173,7 +232,7 @@ router.get('/status', async (req, res) => {
  * @description Get OpenAI API status
  * @access Admin
  */
-router.get('/openai-status', async (req, res) => {
+router.get('/openai-status', authorizeAdmin('dashboard'), async (req, res) => {
   try {
     const status = await openaiService.checkHealth();
     res.json(status);
@@ -187,14 +246,40 @@ router.get('/openai-status', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/admin/providers
+ * @description List the configured LLM providers (without credentials) and their circuit breaker state
+ * @access Admin
+ */
+router.get('/providers', authorizeAdmin('dashboard'), (req, res) => {
+  res.json({
+    providers: providerRegistry.listProviders().map(provider => ({
+      ...provider,
+      circuit: circuitBreaker.getBreaker(provider.name).getStatus(),
+    })),
+    timestamp: new Date().toISOString(),
+  });
+});
+
 /**
  * @route GET /api/admin/models
- * @description Get available OpenAI models
+ * @description Get available models from an LLM provider
  * @access Admin
+ * @query {
+ *  provider: string (optional, defaults to the default provider)
+ * }
  */
-router.get('/models', async (req, res) => {
+router.get('/models', authorizeAdmin('dashboard'), async (req, res) => {
   try {
-    const models = await openaiService.getAvailableModels();
+    const { provider } = req.query;
+    if (provider && !providerRegistry.hasProvider(provider)) {
+      return res.status(400).json({
+        error: 'Unknown LLM provider',
+        message: `Unknown LLM provider: ${provider}`,
+      });
+    }
+
+    const models = await openaiService.getAvailableModels(provider);
     res.json({
       models,
       count: models.length,
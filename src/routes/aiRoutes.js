@@ -1,36 +1,153 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
+const conversationController = require('../controllers/conversationController');
+const { validateFirebaseAuth, authorizeAdmin } = require('../middleware/authMiddleware');
+const { requirePremium } = require('../middleware/entitlementMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
 /**
  * @route POST /api/ai/character/response
- * @description Generate a response from a character
- * @access Public
+ * @description Generate a response from a character. Streams Server-Sent Events
+ * (`token`, then `done` or `error`) when requested via `Accept: text/event-stream`
+ * or `?stream=true`. History is loaded from the stored conversation between
+ * the user and the character. The content mode is decided on the server from
+ * the user's age verification and preferences; unverified users get the
+ * restricted mode. Premium characters answer 402 to users without
+ * a premium entitlement. Crisis disclosures get a safe-messaging response
+ * with support resources (`safety`) instead of an in-character reply. Retries carrying the same `Idempotency-Key` header
+ * get the first attempt's result (`Idempotent-Replayed: true`) instead of a new
+ * generation; 409 IDEMPOTENCY_IN_PROGRESS if it is still running, 422
+ * IDEMPOTENCY_KEY_REUSED if the key was used for a different request
+ * @access Firebase auth
+ * @header {
+ *  Idempotency-Key: string (optional, max 255 characters)
+ * }
  * @body {
  *  characterId: string,
- *  message: string,
- *  conversation: array (optional)
+ *  message: string
+ * }
+ * @query {
+ *  stream: boolean (default: false)
+ * }
+ */
+router.post('/character/response', validateFirebaseAuth, idempotency, aiController.generateCharacterResponse('standard'));
+
+/**
+ * @route POST /api/ai/character/premium-response
+ * @description Generate a response from a character with the premium model.
+ * Users without an active premium entitlement get a 402 with code
+ * PREMIUM_REQUIRED or PREMIUM_EXPIRED. Streams and honors `Idempotency-Key`
+ * like /character/response
+ * @access Firebase auth + premium entitlement
+ * @body {
+ *  characterId: string,
+ *  message: string
+ * }
+ * @query {
+ *  stream: boolean (default: false)
  * }
+ */
+router.post('/character/premium-response', validateFirebaseAuth, requirePremium, idempotency, aiController.generateCharacterResponse('premium'));
+
+/**
+ * @route GET /api/ai/conversations
+ * @description List the user's conversations, most recent first
+ * @access Firebase auth
  * @query {
- *  uncensored: boolean (default: true)
+ *  page: number (default: 1),
+ *  limit: number (default: 20, max: 100)
  * }
  */
-router.post('/character/response', aiController.generateCharacterResponse);
+router.get('/conversations', validateFirebaseAuth, conversationController.listConversations);
 
+/**
+ * @route GET /api/ai/conversations/:conversationId/messages
+ * @description Page through the active branch of a conversation, newest page
+ * first. Each message has `siblings` ({ count, index, previousId, nextId })
+ * describing the alternates it can be swiped to
+ * @access Firebase auth
+ * @param {
+ *  conversationId: string
+ * }
+ * @query {
+ *  before: string (optional, message ID to page back from),
+ *  limit: number (default: 50, max: 100)
+ * }
+ */
+router.get('/conversations/:conversationId/messages', validateFirebaseAuth, conversationController.getConversationMessages);
 
+/**
+ * @route PUT /api/ai/conversations/:conversationId/branch
+ * @description Switch to the branch running through a message (e.g. a sibling
+ * from `siblings.previousId` / `siblings.nextId`), followed down to its most
+ * recent reply
+ * @access Firebase auth
+ * @body {
+ *  messageId: string
+ * }
+ */
+router.put('/conversations/:conversationId/branch', validateFirebaseAuth, conversationController.selectBranch);
+
+/**
+ * @route POST /api/ai/conversations/:conversationId/regenerate
+ * @description Regenerate the last reply of the active branch. The new reply is
+ * a sibling of the old one. Responds and streams like /character/response
+ * @access Firebase auth (premium entitlement for premium characters or `premium: true`)
+ * @body {
+ *  premium: boolean (optional, use the premium model)
+ * }
+ * @query {
+ *  stream: boolean (default: false)
+ * }
+ */
+router.post('/conversations/:conversationId/regenerate', validateFirebaseAuth, idempotency, aiController.regenerateResponse);
+
+/**
+ * @route POST /api/ai/conversations/:conversationId/messages/:messageId/edit
+ * @description Resend a user message with new text. The edit is stored as a
+ * sibling branch of the original and answered like /character/response
+ * @access Firebase auth (premium entitlement for premium characters or `premium: true`)
+ * @body {
+ *  message: string,
+ *  premium: boolean (optional, use the premium model)
+ * }
+ * @query {
+ *  stream: boolean (default: false)
+ * }
+ */
+router.post('/conversations/:conversationId/messages/:messageId/edit', validateFirebaseAuth, idempotency, aiController.editMessage);
+
+/**
+ * @route POST /api/ai/conversations/:conversationId/messages/:messageId/fork
+ * @description Start a new branch after an earlier assistant message with a
+ * new user message, answered like /character/response
+ * @access Firebase auth (premium entitlement for premium characters or `premium: true`)
+ * @body {
+ *  message: string,
+ *  premium: boolean (optional, use the premium model)
+ * }
+ * @query {
+ *  stream: boolean (default: false)
+ * }
+ */
+router.post('/conversations/:conversationId/messages/:messageId/fork', validateFirebaseAuth, idempotency, aiController.forkConversation);
 
 /**
  * @route GET /api/ai/character/:characterId/system-message
- * @description Get the system message for a character
- * @access Public
+ * @description Get the system message for a character. Views are logged
+ * @access Admin (editor)
+ * @header {
+ *  Authorization: Bearer <admin session token>
+ * }
  * @param {
  *  characterId: string
  * }
  * @query {
- *  uncensored: boolean (default: true)
+ *  contentMode: 'restricted' | 'unrestricted' (default: 'restricted')
  * }
  */
-router.get('/character/:characterId/system-message', aiController.getSystemMessage);
+router.get('/character/:characterId/system-message', authorizeAdmin('promptTemplates'), aiController.getSystemMessage);
 
 /**
  * @route GET /api/ai/health
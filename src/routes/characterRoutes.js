@@ -3,6 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const characterController = require('../controllers/characterController');
+const { authorizeAdmin, logAdminAttempt, identifyFirebaseUser } = require('../middleware/authMiddleware');
 
 // Set up multer for file uploads
 const storage = multer.diskStorage({
@@ -62,15 +63,18 @@ const characterUpload = upload.fields([
   { name: 'backgroundImage', maxCount: 1 },
 ]);
 
-// Character routes
-router.get('/', characterController.getAllCharacters);
-router.get('/featured', characterController.getFeaturedCharacters);
-router.get('/:id', characterController.getCharacterById);
+// Character routes. Signed-in users do not see the characters they blocked
+router.get('/', identifyFirebaseUser, characterController.getAllCharacters);
+router.get('/featured', identifyFirebaseUser, characterController.getFeaturedCharacters);
+router.get('/:id', identifyFirebaseUser, characterController.getCharacterById);
 
 // New routes to serve images directly from the database
 
+// Mutations need an admin session with the editor role; every attempt is logged.
+// The same operations are available under /api/admin/characters.
+
 // Add debug middleware before character creation
-router.post('/', (req, res, next) => {
+router.post('/', logAdminAttempt('character.create'), authorizeAdmin('characters'), (req, res, next) => {
   console.log('CHARACTER CREATE - Pre-multer:', {
     contentType: req.headers['content-type'],
     body: req.body,
@@ -85,8 +89,11 @@ router.post('/', (req, res, next) => {
   next();
 }, characterController.createCharacter);
 
-router.put('/:id', characterUpload, characterController.updateCharacter);
-router.delete('/:id', characterController.deleteCharacter);
-router.delete('/:id/permanent', characterController.permanentDeleteCharacter);
+router.put('/:id', logAdminAttempt('character.update'), authorizeAdmin('characters'), characterUpload, characterController.updateCharacter);
+router.delete('/:id', logAdminAttempt('character.delete'), authorizeAdmin('characters'), characterController.deleteCharacter);
+
+// Permanent delete needs a superadmin and a confirmation token from the confirmation route
+router.post('/:id/permanent/confirmation', logAdminAttempt('character.permanent_delete_confirmation'), authorizeAdmin('permanentDelete'), characterController.getPermanentDeleteConfirmation);
+router.delete('/:id/permanent', logAdminAttempt('character.permanent_delete'), authorizeAdmin('permanentDelete'), characterController.permanentDeleteCharacter);
 
 module.exports = router;
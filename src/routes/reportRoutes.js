@@ -9,15 +9,16 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
-const { validateAdmin, validateFirebaseAuth } = require('../middleware/authMiddleware');
+const { authorizeAdmin, validateFirebaseAuth } = require('../middleware/authMiddleware');
 
 // Public route - submit a report (requires Firebase auth)
 router.post('/', validateFirebaseAuth, reportController.submitReport);
 
-// Admin routes - protected by admin authentication
-router.get('/', validateAdmin, reportController.getReports);
-router.get('/stats', validateAdmin, reportController.getReportStats);
-router.get('/:id', validateAdmin, reportController.getReportById);
-router.put('/:id/status', validateAdmin, reportController.updateReportStatus);
+// Admin routes - protected by admin authentication (moderator role)
+router.get('/', authorizeAdmin('reports'), reportController.getReports);
+router.get('/stats', authorizeAdmin('reports'), reportController.getReportStats);
+router.get('/:id', authorizeAdmin('reports'), reportController.getReportById);
+router.get('/:id/context', authorizeAdmin('reports'), reportController.getReportContext);
+router.put('/:id/status', authorizeAdmin('reports'), reportController.updateReportStatus);
 
 module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 // const { getUserDiamonds, updateUserDiamonds } = require('../controllers/userController'); // Diamond functions removed
 const { protect } = require('../middleware/auth'); // Assuming auth middleware exists
+const userController = require('../controllers/userController');
+const { validateFirebaseAuth } = require('../middleware/authMiddleware');
 
 // Get user's diamond balance (protected route) - Functionality Removed
 // router.get('/:firebaseUid/diamonds', protect, getUserDiamonds);
@@ -13,4 +15,23 @@ const { protect } = require('../middleware/auth'); // Assuming auth middleware e
 // For example:
 // router.get('/:firebaseUid/profile', protect, someUserProfileControllerFunction);
 
+// Profile of the signed-in user; the User record is created on first use
+router.get('/me', validateFirebaseAuth, userController.getProfile);
+router.put('/me', validateFirebaseAuth, userController.updateProfile);
+
+// Blocked characters are hidden from the catalog and cannot be chatted with
+router.get('/me/blocked-characters', validateFirebaseAuth, userController.getBlockedCharacters);
+router.put('/me/blocked-characters/:characterId', validateFirebaseAuth, userController.blockCharacter);
+router.delete('/me/blocked-characters/:characterId', validateFirebaseAuth, userController.unblockCharacter);
+
+// Data export and account erasure
+router.get('/me/export', validateFirebaseAuth, userController.exportMyData);
+router.delete('/me', validateFirebaseAuth, userController.deleteMyAccount);
+
+// Age assurance and content mode. The content mode is decided on the server:
+// users without an accepted age verification always get the restricted mode
+router.get('/me/age-assurance', validateFirebaseAuth, userController.getAgeAssurance);
+router.put('/me/age-assurance', validateFirebaseAuth, userController.declareAge);
+router.put('/me/preferences/content', validateFirebaseAuth, userController.updateContentPreference);
+
 module.exports = router;
@@ -41,6 +41,8 @@ const mediaRoutes = require('./routes/mediaRoutes'); // Import media routes
 const userRoutes = require('./routes/userRoutes'); // Import user routes
 const carasoulsRoutes = require('./routes/carasoulsRoutes'); // Import carousel routes
 const livekitRoutes = require('./routes/livekitRoutes'); // Import livekit routes
+const adminAuthService = require('./services/adminAuthService');
+const retentionService = require('./services/retentionService');
 
 // Initialize Express app
 const app = express();
@@ -232,7 +234,7 @@ app.get('/api/health', (req, res) => {
     // Create a sanitized headers object with sensitive values masked
     const sanitizedHeaders = {};
     for (const [key, value] of Object.entries(req.headers)) {
-      if (['authorization', 'cookie', 'firebase-id', 'x-device-id'].includes(key.toLowerCase())) {
+      if (['authorization', 'cookie', 'firebase-id', 'firebase-token', 'x-device-id'].includes(key.toLowerCase())) {
         sanitizedHeaders[key] = '[MASKED]';
       } else {
         sanitizedHeaders[key] = value;
@@ -351,6 +353,14 @@ const connectWithRetry = () => {
         logger.info('🟢 MongoDB connection established');
         logger.info(`✅ Connected to MongoDB database: ${dbName}`);
 
+        // Create the first superadmin from the environment if there are no admin accounts
+        adminAuthService.ensureBootstrapAdmin().catch(error => {
+          logger.error(`Error creating the first admin account: ${error.message}`);
+        });
+
+        // Purge data past its retention period (only reports it while RETENTION_DRY_RUN is on)
+        retentionService.start();
+
         // Start server only after successful MongoDB connection
         const server = app.listen(PORT, '0.0.0.0', () => {
           const isRailway = process.env.RAILWAY_SERVICE_ID !== undefined;
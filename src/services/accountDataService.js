@@ -0,0 +1,154 @@
+/**
+ * Account Data Service
+ *
+ * Gathers everything stored about a user into one export, and erases it on
+ * request. Erasure deletes the user's own data (profile, conversations,
+ * messages, stored request results), anonymizes records other users or the
+ * service still need (reports, moderation events, usage) and leaves a
+ * tombstone behind. The admin audit log is not touched; it refers to users
+ * by their subject HMAC and holds no personal data.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const ModerationEvent = require('../models/ModerationEvent');
+const UsageRecord = require('../models/UsageRecord');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const UserTombstone = require('../models/UserTombstone');
+const firebaseAuthService = require('./firebaseAuthService');
+const config = require('../config/accountDataConfig');
+const logger = require('../utils/logger');
+
+// Replaces the reporter ID on reports of erased users
+const ERASED_REPORTER_ID = 'erased-user';
+
+// Moderator flags and notes and the prompt memory summary are internal, as in the conversation API
+const CONVERSATION_HIDDEN_FIELDS = '-__v -safety -memory';
+
+/**
+ * Pseudonymize a Firebase ID for tombstones and audit events
+ *
+ * An HMAC keyed by a server secret, so the IDs cannot be recovered by hashing
+ * candidate IDs without the secret.
+ * @param {string} firebaseUid - Firebase ID
+ * @returns {string} - Hex HMAC-SHA-256
+ */
+function hmacSubject(firebaseUid) {
+  if (!config.subjectHashSecret) {
+    throw new Error('SUBJECT_HASH_SECRET not set in environment variables');
+  }
+
+  return crypto.createHmac('sha256', config.subjectHashSecret).update(firebaseUid).digest('hex');
+}
+
+/**
+ * Collect everything stored about a user
+ * @param {string} firebaseUid - Firebase ID of the user
+ * @returns {Promise<Object>} - Profile, submitted reports and conversations with their messages
+ */
+async function exportUserData(firebaseUid) {
+  const [user, reports, conversations, messages] = await Promise.all([
+    User.findOne({ firebaseUid }).select('-_id -__v').lean(),
+    Report.find({ reporterId: firebaseUid }).select('-__v -adminReview.notes').sort({ createdAt: 1 }).lean(),
+    Conversation.find({ userId: firebaseUid }).select(CONVERSATION_HIDDEN_FIELDS).sort({ createdAt: 1 }).lean(),
+    Message.find({ userId: firebaseUid }).select('-__v -userId').sort({ createdAt: 1 }).lean(),
+  ]);
+
+  const messagesByConversation = new Map();
+  messages.forEach(message => {
+    const key = message.conversationId.toString();
+    if (!messagesByConversation.has(key)) {messagesByConversation.set(key, []);}
+    messagesByConversation.get(key).push(message);
+  });
+
+  return {
+    exportedAt: new Date(),
+    firebaseUid,
+    profile: user,
+    reports,
+    conversations: conversations.map(conversation => ({
+      ...conversation,
+      messages: messagesByConversation.get(conversation._id.toString()) || [],
+    })),
+  };
+}
+
+/**
+ * Erase a user's data across collections and write a tombstone
+ *
+ * Each step only touches documents that still belong to the user, so a
+ * failed erasure can simply be run again.
+ * @param {string} firebaseUid - Firebase ID of the user
+ * @param {Object} requestedBy - { type: 'user' | 'admin', username }
+ * @param {string} [reason] - Why an admin erased the user
+ * @returns {Promise<Object>} - The completed UserTombstone
+ * @throws {Error} - When a step fails; the tombstone is marked failed
+ */
+async function eraseUserData(firebaseUid, requestedBy, reason) {
+  const tombstone = await UserTombstone.create({
+    subjectHash: hmacSubject(firebaseUid),
+    requestedBy,
+    reason,
+  });
+
+  const steps = [
+    ['messages', () => Message.deleteMany({ userId: firebaseUid })],
+    ['conversations', () => Conversation.deleteMany({ userId: firebaseUid })],
+    ['idempotencyKeys', () => IdempotencyKey.deleteMany({ userId: firebaseUid })],
+    ['reports', () => Report.updateMany(
+      { reporterId: firebaseUid },
+      { $set: { reporterId: ERASED_REPORTER_ID }, $unset: { details: 1, 'metadata.deviceInfo': 1 } }
+    )],
+    ['moderationEvents', () => ModerationEvent.updateMany(
+      { userId: firebaseUid },
+      { $unset: { userId: 1, content: 1, conversationId: 1 } }
+    )],
+    ['usageRecords', () => UsageRecord.updateMany(
+      { userId: firebaseUid },
+      { $unset: { userId: 1, conversationId: 1 } }
+    )],
+    ['users', () => User.deleteMany({ firebaseUid })],
+  ];
+
+  const counts = {};
+  try {
+    for (const [collection, step] of steps) {
+      const result = await step();
+      counts[collection] = result.deletedCount !== undefined ? result.deletedCount : result.modifiedCount;
+    }
+  } catch (error) {
+    logger.error(`Error erasing data for tombstone ${tombstone._id}: ${error.message}`);
+    await UserTombstone.updateOne({ _id: tombstone._id }, { $set: { status: 'failed', counts, error: error.message } });
+    throw error;
+  }
+
+  // A later sign-in starts over with a fresh User record
+  firebaseAuthService.forgetUser(firebaseUid);
+
+  tombstone.status = 'completed';
+  tombstone.counts = counts;
+  tombstone.completedAt = new Date();
+  await tombstone.save();
+
+  logger.info(`Erased user data (tombstone ${tombstone._id}, requested by ${requestedBy.username || requestedBy.type})`);
+  return tombstone;
+}
+
+/**
+ * Find the tombstones of a user
+ * @param {string} firebaseUid - Firebase ID of the user
+ * @returns {Promise<Array>} - Tombstones, newest first
+ */
+async function getTombstones(firebaseUid) {
+  return UserTombstone.find({ subjectHash: hmacSubject(firebaseUid) }).sort({ createdAt: -1 });
+}
+
+module.exports = {
+  hmacSubject,
+  exportUserData,
+  eraseUserData,
+  getTombstones,
+};
@@ -0,0 +1,353 @@
+/**
+ * Admin Auth Service
+ *
+ * Admin accounts, password hashing and session tokens. Passwords are hashed
+ * with scrypt; sessions are HMAC-signed tokens that expire and can be revoked
+ * by bumping the account's session version. Repeated failed logins lock the
+ * account for a while.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const AdminUser = require('../models/AdminUser');
+const UsedConfirmationToken = require('../models/UsedConfirmationToken');
+const config = require('../config/adminAuthConfig');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes; stored hashes carry their own
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Compared against when the username is unknown, so both cases take as long
+let dummyHash = null;
+
+/**
+ * Create an admin auth error
+ * @param {string} message - Error message for the client
+ * @param {string} code - Error code for the client
+ * @returns {Error} - The error, with a code
+ */
+function authError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Hash a password
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - `scrypt$N$r$p$salt$hash`, salt and hash in base64
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} - True when the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) {return false;}
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validate a new password
+ * @param {string} password - Plain-text password
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < config.minPasswordLength) {
+    return `Password must be at least ${config.minPasswordLength} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the session signing secret
+ * @returns {string} - The secret
+ * @throws {Error} - When ADMIN_SESSION_SECRET is not set
+ */
+function getSessionSecret() {
+  if (!config.sessionSecret) {
+    throw new Error('ADMIN_SESSION_SECRET not set in environment variables');
+  }
+
+  return config.sessionSecret;
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Encoded payload
+ * @returns {string} - base64url HMAC-SHA256 signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Create a session token for an admin
+ * @param {Object} admin - AdminUser document
+ * @returns {Object} - The token and when it expires
+ */
+function createSessionToken(admin) {
+  const now = Date.now();
+  const expiresAt = new Date(now + config.sessionTtlHours * 60 * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    typ: 'session',
+    sub: admin._id.toString(),
+    ver: admin.sessionVersion,
+    iat: Math.floor(now / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  })).toString('base64url');
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Check a signed token's signature and expiry
+ * @param {string} token - Session or confirmation token
+ * @returns {Object|null} - The token payload, or null when it is not valid
+ */
+function verifySessionToken(token) {
+  const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature) {return null;}
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {return null;}
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a short-lived token confirming a destructive action on one target
+ * @param {string} adminId - AdminUser ID of the admin who will perform the action
+ * @param {string} action - Action name, e.g. 'character.permanent_delete'
+ * @param {string} target - ID of the target
+ * @returns {Object} - The token and when it expires
+ */
+function createConfirmationToken(adminId, action, target) {
+  const expiresAt = new Date(Date.now() + config.confirmationTtlMinutes * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    typ: 'confirmation',
+    // Nonce recorded when the token is used, so it confirms one action only
+    jti: crypto.randomBytes(16).toString('hex'),
+    sub: adminId,
+    action,
+    target,
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  })).toString('base64url');
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Check that a confirmation token is valid for an admin, action and target
+ * @param {string} token - Confirmation token
+ * @param {string} adminId - AdminUser ID of the admin performing the action
+ * @param {string} action - Action name
+ * @param {string} target - ID of the target
+ * @returns {Object|null} - The token claims when it confirms exactly this action, or null
+ */
+function verifyConfirmationToken(token, adminId, action, target) {
+  const claims = verifySessionToken(token);
+  const valid = claims && claims.typ === 'confirmation' && typeof claims.jti === 'string' &&
+    claims.sub === adminId && claims.action === action && claims.target === target;
+
+  return valid ? claims : null;
+}
+
+/**
+ * Use a confirmation token for its action
+ *
+ * The token's nonce is recorded, so a token confirms its action only once
+ * even when it is replayed before it expires.
+ * @param {string} token - Confirmation token
+ * @param {string} adminId - AdminUser ID of the admin performing the action
+ * @param {string} action - Action name
+ * @param {string} target - ID of the target
+ * @returns {Promise<boolean>} - True when the token was valid and unused
+ */
+async function consumeConfirmationToken(token, adminId, action, target) {
+  const claims = verifyConfirmationToken(token, adminId, action, target);
+  if (!claims) {return false;}
+
+  try {
+    await UsedConfirmationToken.create({
+      jti: claims.jti,
+      action,
+      target,
+      adminId,
+      expiresAt: new Date(claims.exp * 1000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.warn(`Admin ${adminId} replayed a used confirmation token for ${action} on ${target}`);
+      return false;
+    }
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Find the admin a session token belongs to
+ *
+ * Tokens of disabled accounts and tokens issued before the session version
+ * was bumped are rejected.
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} - The AdminUser document, or null
+ */
+async function authenticate(token) {
+  const claims = verifySessionToken(token);
+  if (!claims || claims.typ !== 'session' || !/^[a-f0-9]{24}$/i.test(claims.sub)) {return null;}
+
+  const admin = await AdminUser.findById(claims.sub);
+  if (!admin || !admin.active || admin.sessionVersion !== claims.ver) {return null;}
+
+  return admin;
+}
+
+/**
+ * Log an admin in
+ *
+ * After maxFailedLogins failed attempts in a row the account is locked for
+ * lockoutMinutes; logins to a locked account fail without checking the password.
+ * @param {string} username - Username
+ * @param {string} password - Plain-text password
+ * @param {string} [ip] - Client IP, for the account and the log
+ * @returns {Promise<Object>} - The admin, the session token and when it expires
+ * @throws {Error} - With code INVALID_CREDENTIALS or ACCOUNT_LOCKED
+ */
+async function login(username, password, ip) {
+  const admin = await AdminUser.findOne({ username: String(username || '').trim().toLowerCase() })
+    .select('+passwordHash');
+
+  if (!admin || !admin.active) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(String(password || ''), dummyHash);
+    logger.warn(`Failed admin login for unknown or disabled account from ${ip}`);
+    throw authError('Invalid username or password', 'INVALID_CREDENTIALS');
+  }
+
+  if (admin.lockedUntil && admin.lockedUntil > new Date()) {
+    logger.warn(`Login to locked admin account ${admin.username} from ${ip}`);
+    throw authError('Account is locked after too many failed logins. Try again later.', 'ACCOUNT_LOCKED');
+  }
+
+  if (!await verifyPassword(String(password || ''), admin.passwordHash)) {
+    const updated = await AdminUser.findOneAndUpdate(
+      { _id: admin._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+    const locked = updated && updated.failedLoginAttempts >= config.maxFailedLogins;
+
+    if (locked) {
+      await AdminUser.updateOne({ _id: admin._id }, {
+        $set: { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + config.lockoutMinutes * 60 * 1000) },
+      });
+    }
+
+    logger.warn(`Failed admin login for ${admin.username} from ${ip}${locked ? '; account locked' : ''}`);
+    throw authError('Invalid username or password', 'INVALID_CREDENTIALS');
+  }
+
+  await AdminUser.updateOne({ _id: admin._id }, {
+    $set: { failedLoginAttempts: 0, lastLoginAt: new Date(), lastLoginIp: ip },
+    $unset: { lockedUntil: 1 },
+  });
+  logger.info(`Admin ${admin.username} logged in from ${ip}`);
+
+  return { admin, ...createSessionToken(admin) };
+}
+
+/**
+ * Revoke every session token an admin has
+ * @param {string} adminId - AdminUser ID
+ * @returns {Promise<void>}
+ */
+async function revokeSessions(adminId) {
+  await AdminUser.updateOne({ _id: adminId }, { $inc: { sessionVersion: 1 } });
+}
+
+/**
+ * Check whether a role may access an area of the admin API
+ * @param {string} role - Admin role
+ * @param {string} area - Area name from the permissions config
+ * @returns {boolean} - True when allowed
+ */
+function hasPermission(role, area) {
+  if (role === 'superadmin') {return true;}
+  return (config.permissions[area] || []).includes(role);
+}
+
+/**
+ * Create the first superadmin from ADMIN_USERNAME and ADMIN_PASSWORD
+ *
+ * Does nothing once any admin account exists.
+ * @returns {Promise<void>}
+ */
+async function ensureBootstrapAdmin() {
+  if (await AdminUser.exists({})) {return;}
+
+  const { username, password } = config.bootstrap;
+  if (!username || !password) {
+    logger.warn('No admin accounts exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first superadmin');
+    return;
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    logger.error(`Not creating the first superadmin: ${passwordError}`);
+    return;
+  }
+
+  await AdminUser.create({
+    username,
+    passwordHash: await hashPassword(password),
+    role: 'superadmin',
+    createdBy: 'bootstrap',
+  });
+  logger.info(`Created superadmin ${username} from ADMIN_USERNAME`);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  createSessionToken,
+  authenticate,
+  login,
+  revokeSessions,
+  createConfirmationToken,
+  verifyConfirmationToken,
+  consumeConfirmationToken,
+  hasPermission,
+  ensureBootstrapAdmin,
+};
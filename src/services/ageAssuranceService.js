@@ -0,0 +1,127 @@
+/**
+ * Age Assurance Service
+ *
+ * Decides on the server which content mode a user gets, from the age
+ * assurance record and content preference stored on their User record.
+ * Users without an accepted age verification get the restricted mode.
+ */
+
+const User = require('../models/User');
+const config = require('../config/ageAssuranceConfig');
+
+/**
+ * Get someone's age in whole years
+ * @param {Date} birthdate - Date of birth
+ * @param {Date} [now=new Date()] - Date to compute the age at
+ * @returns {number} - Age in years
+ */
+function getAge(birthdate, now = new Date()) {
+  let age = now.getUTCFullYear() - birthdate.getUTCFullYear();
+  const monthDiff = now.getUTCMonth() - birthdate.getUTCMonth();
+
+  if (monthDiff < 0 || (monthDiff === 0 && now.getUTCDate() < birthdate.getUTCDate())) {
+    age -= 1;
+  }
+
+  return age;
+}
+
+/**
+ * Check whether a user has an accepted age verification showing they are old enough
+ * @param {Object|null} user - User document
+ * @returns {boolean} - True when the user is verified as an adult
+ */
+function isAgeVerified(user) {
+  const record = user && user.ageAssurance;
+  if (!record || !record.birthdate || !record.verifiedAt) {return false;}
+  if (!config.acceptedMethods.includes(record.method)) {return false;}
+
+  return getAge(record.birthdate) >= config.minimumAge;
+}
+
+/**
+ * Decide the content mode for a user
+ * @param {Object|null} user - User document
+ * @returns {Object} - The mode ('restricted' or 'unrestricted'), the matching uncensored flag and the reason
+ */
+function getContentMode(user) {
+  if (!isAgeVerified(user)) {
+    return { mode: 'restricted', uncensored: false, reason: 'age_unverified' };
+  }
+
+  if (user.preferences && user.preferences.contentMode === 'restricted') {
+    return { mode: 'restricted', uncensored: false, reason: 'preference' };
+  }
+
+  return { mode: 'unrestricted', uncensored: true, reason: 'age_verified' };
+}
+
+/**
+ * Decide the content mode for a user by Firebase ID
+ * @param {string} [firebaseId] - Firebase ID of the user; anonymous requests get the restricted mode
+ * @returns {Promise<Object>} - The content mode, see getContentMode
+ */
+async function resolveContentMode(firebaseId) {
+  const user = firebaseId ? await User.findOne({ firebaseUid: firebaseId }) : null;
+  return getContentMode(user);
+}
+
+/**
+ * Validate an age assurance submission
+ * @param {Object} data - Submitted fields
+ * @param {string} data.birthdate - Date of birth
+ * @param {string} data.method - Verification method
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateAgeAssurance({ birthdate, method }) {
+  const date = new Date(birthdate);
+  if (!birthdate || isNaN(date.getTime())) {
+    return 'Please provide a valid birthdate';
+  }
+  if (date > new Date() || getAge(date) > 130) {
+    return 'Birthdate is out of range';
+  }
+  if (!config.methods.includes(method)) {
+    return `method must be one of: ${config.methods.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the age assurance record for a birthdate the user declared themselves
+ *
+ * A self-declared birthdate cannot replace an age verified some other way.
+ * @param {string} birthdate - Date of birth
+ * @param {Object|null} user - Current User document
+ * @returns {Object} - { error, status } when it cannot be stored, or { ageAssurance } to $set
+ */
+function buildSelfDeclaredAgeAssurance(birthdate, user) {
+  const validationError = validateAgeAssurance({ birthdate, method: 'self_declared' });
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+
+  const method = user && user.ageAssurance && user.ageAssurance.method;
+  if (method && method !== 'self_declared') {
+    return { error: 'Age has already been verified', status: 409 };
+  }
+
+  return {
+    ageAssurance: {
+      birthdate: new Date(birthdate),
+      method: 'self_declared',
+      verifiedAt: new Date(),
+      verifiedBy: 'user',
+    },
+  };
+}
+
+module.exports = {
+  getAge,
+  isAgeVerified,
+  getContentMode,
+  resolveContentMode,
+  validateAgeAssurance,
+  buildSelfDeclaredAgeAssurance,
+};
@@ -0,0 +1,109 @@
+/**
+ * Audit Service
+ *
+ * Records admin mutations as AuditEvents: who made them, from where, and
+ * which fields changed from what to what. Binary data and bookkeeping fields
+ * are left out; secrets and personal data are recorded as changed without
+ * their values, so the log keeps nothing an account erasure should remove.
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+
+// Fields that are never compared
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'imageData', 'backgroundImageData'];
+
+// Fields whose changes are recorded without their values: secrets and users' personal data
+const REDACTED_FIELDS = ['passwordHash', 'firebaseUid', 'ageAssurance.birthdate', 'profile'];
+
+/**
+ * Turn a document into a plain object of JSON values without the ignored fields
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object} - Plain object
+ */
+function snapshot(doc) {
+  if (!doc) {return {};}
+
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+  IGNORED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+}
+
+/**
+ * Flatten nested objects into dotted paths; arrays are kept whole
+ * @param {Object} value - Plain object
+ * @param {string} [prefix] - Path of the object
+ * @param {Object} [paths] - Accumulated paths
+ * @returns {Object} - Values by path
+ */
+function flatten(value, prefix = '', paths = {}) {
+  Object.entries(value).forEach(([key, item]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+      flatten(item, path, paths);
+    } else {
+      paths[path] = item;
+    }
+  });
+
+  return paths;
+}
+
+/**
+ * List the fields that differ between two versions of a document
+ * @param {Object|null} before - Document before the change; null for creates
+ * @param {Object|null} after - Document after the change; null for deletes
+ * @returns {Array} - Changes as { field, before, after }; missing values are null
+ */
+function diff(before, after) {
+  const beforePaths = flatten(snapshot(before));
+  const afterPaths = flatten(snapshot(after));
+  const fields = [...new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)])].sort();
+
+  return fields
+    .filter(field => JSON.stringify(beforePaths[field]) !== JSON.stringify(afterPaths[field]))
+    .map(field => {
+      const redacted = REDACTED_FIELDS.some(name => field === name || field.startsWith(`${name}.`));
+      return {
+        field,
+        before: redacted ? '[redacted]' : (beforePaths[field] === undefined ? null : beforePaths[field]),
+        after: redacted ? '[redacted]' : (afterPaths[field] === undefined ? null : afterPaths[field]),
+      };
+    });
+}
+
+/**
+ * Record an admin mutation
+ *
+ * Failures are logged and do not fail the request.
+ * @param {Object} req - Express request object, for the admin and IP
+ * @param {Object} event - What happened
+ * @param {string} event.action - Action name, e.g. 'character.update'
+ * @param {string} event.targetType - Kind of target, e.g. 'character'
+ * @param {string} event.targetId - ID of the target
+ * @param {Object|null} [event.before] - Target before the change; null for creates
+ * @param {Object|null} [event.after] - Target after the change; null for deletes
+ * @returns {Promise<void>}
+ */
+async function record(req, { action, targetType, targetId, before = null, after = null }) {
+  const admin = req.adminUser || {};
+
+  try {
+    await AuditEvent.create({
+      actor: { id: admin.id, username: admin.username || 'unknown' },
+      role: admin.role,
+      action,
+      target: { type: targetType, id: String(targetId) },
+      changes: diff(before, after),
+      ip: req.ip,
+    });
+  } catch (error) {
+    logger.error(`Error recording audit event ${action} on ${targetType} ${targetId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  diff,
+  record,
+};
@@ -0,0 +1,114 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks consecutive failures per LLM provider and stops sending requests to
+ * a provider that keeps failing until a cool-down period has passed.
+ */
+
+const config = require('../config/openaiConfig');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name of the protected provider
+   * @param {Object} options - Breaker settings
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - Time the circuit stays open before a trial request
+   */
+  constructor(name, { failureThreshold, resetTimeoutMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Check whether a request may be sent to the provider
+   * Once the cool-down has passed, a single trial request is let through.
+   * @returns {boolean} True if the request may proceed
+   */
+  canRequest() {
+    if (this.state === STATES.CLOSED) {return true;}
+
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request and close the circuit
+   */
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a failed request, opening the circuit when the threshold is reached
+   * or when the half-open trial request fails
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Settle a request that neither succeeded nor failed on the provider's side,
+   * e.g. one the client cancelled. A half-open trial is handed back so the
+   * next request can run the trial again; otherwise nothing changes.
+   */
+  releaseTrial() {
+    if (this.state !== STATES.HALF_OPEN) {return;}
+
+    this.state = STATES.OPEN;
+    this.openedAt = Date.now() - this.resetTimeoutMs;
+  }
+
+  /**
+   * Get the breaker state for status endpoints
+   * @returns {Object} Current state and failure count
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+    };
+  }
+}
+
+// One breaker per provider, created on first use
+const breakers = {};
+
+/**
+ * Get the circuit breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {CircuitBreaker} The provider's breaker
+ */
+function getBreaker(name) {
+  if (!breakers[name]) {
+    breakers[name] = new CircuitBreaker(name, config.resilience.circuitBreaker);
+  }
+  return breakers[name];
+}
+
+module.exports = {
+  CircuitBreaker,
+  getBreaker,
+  STATES,
+};
@@ -0,0 +1,111 @@
+/**
+ * Context Builder
+ *
+ * Assembles the messages array for a chat completion within the token budget
+ * of the model, keeping the newest history turns that fit.
+ */
+
+const config = require('../config/openaiConfig');
+const logger = require('../utils/logger');
+
+// Approximate per-message overhead for role and formatting tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ *
+ * English text averages about four characters per token, while emoji and
+ * non-Latin scripts (e.g. Devanagari) are closer to one token per character.
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {return 0;}
+
+  let asciiChars = 0;
+  let otherChars = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) {
+      asciiChars++;
+    } else {
+      otherChars++;
+    }
+  }
+
+  return Math.ceil(asciiChars / 4) + otherChars;
+}
+
+/**
+ * Estimate the tokens used by a message, including its overhead
+ * @param {Object} message - Message with role and content
+ * @returns {number} - Estimated token count
+ */
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Get the total context budget (prompt + reply) of a model
+ * @param {string} model - Model name
+ * @returns {number} - Budget in tokens
+ */
+function getContextBudget(model) {
+  return config.contextBudgets[model] || config.defaultContextBudget;
+}
+
+/**
+ * Get the prompt token budget for a model
+ * @param {string} model - Model name
+ * @param {number} maxTokens - Tokens reserved for the reply
+ * @returns {number} - Tokens available for the prompt
+ */
+function getPromptBudget(model, maxTokens) {
+  return getContextBudget(model) - (maxTokens || config.maxTokens);
+}
+
+/**
+ * Build the messages array for a completion request
+ *
+ * The leading messages and the new user message are always included. History is
+ * added newest first until the budget runs out, so the oldest turns are the
+ * first to be dropped; the conversation summary covers what falls out.
+ * @param {Object} params - Prompt parts
+ * @param {Array} params.system - Messages sent before the history (persona prompt, memory, user profile)
+ * @param {Array} params.history - Previous messages, oldest first
+ * @param {string} params.userMessage - The new user message
+ * @param {string} params.model - Model the prompt is sent to, which sets the budget
+ * @param {number} [params.maxTokens] - Tokens reserved for the reply
+ * @returns {Object} - The messages array, the number of history messages kept and the estimated prompt tokens
+ */
+function buildContext({ system, history, userMessage, model, maxTokens }) {
+  const budget = getPromptBudget(model, maxTokens);
+  const userTurn = { role: 'user', content: userMessage };
+
+  let promptTokens = [...system, userTurn].reduce((total, msg) => total + estimateMessageTokens(msg), 0);
+
+  const keptHistory = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const messageTokens = estimateMessageTokens(history[i]);
+    if (promptTokens + messageTokens > budget) {break;}
+
+    keptHistory.unshift(history[i]);
+    promptTokens += messageTokens;
+  }
+
+  if (promptTokens > budget) {
+    logger.warn(`Prompt exceeds the ${model} budget (${promptTokens}/${budget} tokens) without any history`);
+  }
+
+  return {
+    messages: [...system, ...keptHistory, userTurn],
+    historyCount: keptHistory.length,
+    promptTokens,
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  getContextBudget,
+  getPromptBudget,
+  buildContext,
+};
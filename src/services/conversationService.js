@@ -0,0 +1,293 @@
+/**
+ * Conversation Service
+ *
+ * Stores and loads the chat history between users and characters
+ */
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+/**
+ * Find the conversation between a user and a character, creating it if needed
+ * @param {string} userId - Firebase ID of the user
+ * @param {string} characterId - Custom id of the character
+ * @returns {Promise<Object>} The conversation document
+ */
+async function getOrCreateConversation(userId, characterId) {
+  return Conversation.findOneAndUpdate(
+    { userId, characterId },
+    { $setOnInsert: { createdAt: new Date() } },
+    { new: true, upsert: true }
+  );
+}
+
+/**
+ * Find a conversation owned by a user
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Firebase ID of the user
+ * @param {string} [select] - Fields to include or exclude, e.g. '-memory'
+ * @returns {Promise<Object|null>} The conversation document, or null if not found
+ */
+async function findUserConversation(conversationId, userId, select) {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {return null;}
+  return Conversation.findOne({ _id: conversationId, userId }).select(select);
+}
+
+// Messages loaded per query while walking up a branch
+const BRANCH_BATCH_SIZE = 200;
+
+/**
+ * Find a message within a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>} The message, or null if not found
+ */
+async function findMessage(conversationId, messageId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {return null;}
+  return Message.findOne({ _id: messageId, conversationId }).lean();
+}
+
+/**
+ * Get the last message of the branch the user is currently on
+ * @param {Object} conversation - Conversation document
+ * @returns {Promise<Object|null>} ID of the message, or null for an empty conversation
+ */
+async function getActiveLeafId(conversation) {
+  if (conversation.activeLeafId) {return conversation.activeLeafId;}
+
+  // Until a branch is chosen, the conversation ends at its newest message
+  const latest = await Message.findOne({ conversationId: conversation._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('_id')
+    .lean();
+
+  return latest ? latest._id : null;
+}
+
+/**
+ * Load a batch of messages at and before a message, newest first
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} message - Newest message of the batch
+ * @returns {Promise<Array>} Messages, newest first
+ */
+async function loadBatchBefore(conversationId, message) {
+  return Message.find({
+    conversationId,
+    $or: [
+      { createdAt: { $lt: message.createdAt } },
+      { createdAt: message.createdAt, _id: { $lte: message._id } },
+    ],
+  })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(BRANCH_BATCH_SIZE)
+    .lean();
+}
+
+/**
+ * Get the messages of a branch by walking up from its last message
+ * @param {string} conversationId - Conversation ID
+ * @param {string} leafId - Last message of the branch
+ * @param {Object} [options] - Walk options
+ * @param {number} [options.limit=Infinity] - Maximum number of messages to return, counted from the leaf
+ * @param {Date} [options.after] - Stop at messages created at or before this time
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+async function getBranch(conversationId, leafId, { limit = Infinity, after } = {}) {
+  const branch = [];
+  let message = leafId ? await findMessage(conversationId, leafId) : null;
+
+  // Parents are usually close in time, so walk through batches instead of one query per message
+  let batch = [];
+  let positions = new Map();
+  const loadFrom = async (anchor) => {
+    batch = await loadBatchBefore(conversationId, anchor);
+    positions = new Map(batch.map((msg, index) => [String(msg._id), index]));
+  };
+  if (message) {await loadFrom(message);}
+
+  while (message && branch.length < limit && !(after && message.createdAt <= after)) {
+    branch.push(message);
+
+    if (!message.parentId) {
+      message = null;
+    } else if (positions.has(String(message.parentId))) {
+      message = batch[positions.get(String(message.parentId))];
+    } else {
+      message = await findMessage(conversationId, message.parentId);
+      if (message) {await loadFrom(message);}
+    }
+  }
+
+  return branch.reverse();
+}
+
+/**
+ * Get the most recent messages of the conversation's active branch in chronological order
+ * @param {Object} conversation - Conversation document
+ * @param {number} limit - Maximum number of messages to return
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+async function getRecentMessages(conversation, limit) {
+  return getBranch(conversation._id, await getActiveLeafId(conversation), { limit });
+}
+
+/**
+ * Add the position of each message among its sibling branches
+ *
+ * `siblings` holds the number of alternates sharing the message's parent, the
+ * message's index among them (oldest first) and the IDs of its neighbours to
+ * swipe to.
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} messages - Messages to annotate
+ * @returns {Promise<Array>} The messages with a `siblings` field
+ */
+async function attachSiblings(conversationId, messages) {
+  const parentIds = [...new Set(messages.filter(msg => msg.parentId).map(msg => String(msg.parentId)))];
+  const conditions = [];
+  if (parentIds.length > 0) {conditions.push({ parentId: { $in: parentIds } });}
+  // First messages of the conversation are siblings of each other
+  if (messages.some(msg => msg.parentId === null)) {conditions.push({ parentId: { $type: 'null' } });}
+
+  const siblings = conditions.length > 0
+    ? await Message.find({ conversationId, $or: conditions })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('_id parentId')
+      .lean()
+    : [];
+
+  const groups = new Map();
+  siblings.forEach(sibling => {
+    const key = String(sibling.parentId);
+    if (!groups.has(key)) {groups.set(key, []);}
+    groups.get(key).push(sibling._id);
+  });
+
+  return messages.map(msg => {
+    const ids = groups.get(String(msg.parentId)) || [msg._id];
+    const index = Math.max(ids.findIndex(id => String(id) === String(msg._id)), 0);
+
+    return {
+      ...msg,
+      siblings: {
+        count: ids.length,
+        index,
+        previousId: ids[index - 1] || null,
+        nextId: ids[index + 1] || null,
+      },
+    };
+  });
+}
+
+/**
+ * Get a page of the active branch, older than a cursor
+ * @param {Object} conversation - Conversation document
+ * @param {Object} options - Paging options
+ * @param {string} [options.before] - Only return messages before this message on its branch
+ * @param {number} [options.limit=50] - Maximum number of messages to return
+ * @returns {Promise<Object>} Messages (oldest first, with sibling positions) and whether older messages exist
+ */
+async function getMessagesPage(conversation, { before, limit = 50 } = {}) {
+  const cursor = before ? await findMessage(conversation._id, before) : null;
+
+  // Fetch one extra message to know whether another page exists
+  let branch;
+  if (cursor) {
+    branch = await getBranch(conversation._id, cursor._id, { limit: limit + 2 });
+    branch.pop();
+  } else {
+    branch = await getBranch(conversation._id, await getActiveLeafId(conversation), { limit: limit + 1 });
+  }
+
+  const hasMore = branch.length > limit;
+  if (hasMore) {branch.shift();}
+
+  return {
+    messages: await attachSiblings(conversation._id, branch),
+    hasMore,
+  };
+}
+
+/**
+ * Switch the conversation to the branch that runs through a message
+ *
+ * The branch is followed down to its most recent reply.
+ * @param {Object} conversation - Conversation document
+ * @param {string} messageId - Message to switch to
+ * @returns {Promise<Object|null>} ID of the new active leaf, or null if the message was not found
+ */
+async function selectBranch(conversation, messageId) {
+  const message = await findMessage(conversation._id, messageId);
+  if (!message) {return null;}
+
+  const later = await Message.find({ conversationId: conversation._id, createdAt: { $gte: message.createdAt } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('_id parentId')
+    .lean();
+
+  // Newest child of each message
+  const latestChild = new Map();
+  later.forEach(msg => {
+    if (msg.parentId) {latestChild.set(String(msg.parentId), msg._id);}
+  });
+
+  let leafId = message._id;
+  while (latestChild.has(String(leafId))) {
+    leafId = latestChild.get(String(leafId));
+  }
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { activeLeafId: leafId, updatedAt: new Date() } }
+  );
+  conversation.activeLeafId = leafId;
+
+  return leafId;
+}
+
+/**
+ * Append a message to a conversation and make it the end of the active branch
+ * @param {Object} conversation - Conversation document
+ * @param {'user'|'assistant'} role - Who sent the message
+ * @param {string} content - Message text
+ * @param {Object} [details] - Additional message fields, e.g. the prompt template version or the
+ *   parentId to branch from (defaults to the end of the active branch)
+ * @returns {Promise<Object>} The stored message
+ */
+async function appendMessage(conversation, role, content, details = {}) {
+  const parentId = details.parentId !== undefined ? details.parentId : await getActiveLeafId(conversation);
+
+  const message = await Message.create({
+    ...details,
+    parentId,
+    conversationId: conversation._id,
+    userId: conversation.userId,
+    characterId: conversation.characterId,
+    role,
+    content,
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $inc: { messageCount: 1 },
+      $set: { activeLeafId: message._id, lastMessageAt: message.createdAt, updatedAt: new Date() },
+    }
+  );
+  conversation.activeLeafId = message._id;
+
+  return message;
+}
+
+module.exports = {
+  getOrCreateConversation,
+  findUserConversation,
+  findMessage,
+  getActiveLeafId,
+  getBranch,
+  getRecentMessages,
+  attachSiblings,
+  getMessagesPage,
+  selectBranch,
+  appendMessage,
+};
@@ -0,0 +1,133 @@
+/**
+ * Crisis Service
+ *
+ * Detects self-harm and crisis disclosures in user messages and builds the
+ * safe-messaging response, in the user's language with support resources for their country,
+ * that is sent instead of an in-character reply. Conversations where this
+ * happens are flagged for human review.
+ */
+
+const Conversation = require('../models/Conversation');
+const moderationService = require('./moderationService');
+const config = require('../config/moderationConfig');
+const logger = require('../utils/logger');
+
+const CATEGORY = 'self_harm_risk';
+
+/**
+ * Check a user message for a crisis disclosure
+ *
+ * Detections are logged as moderation events.
+ * @param {string} content - User message
+ * @param {Object} [context] - userId, characterId and conversationId, for the event log
+ * @returns {Promise<boolean>} - True when the message needs a safe-messaging response
+ */
+async function detectCrisis(content, context = {}) {
+  const settings = config.crisis;
+  if (!settings.enabled) {return false;}
+
+  const categories = await moderationService.classify(content, settings.engines, [CATEGORY]);
+  if (categories.length === 0) {return false;}
+
+  moderationService.logDecision({ direction: 'input', action: 'safe_messaging', categories, content, context });
+  return true;
+}
+
+/**
+ * Parse the preferred locale from an Accept-Language header
+ * @param {string} [header] - Accept-Language header value
+ * @returns {Object} - Language and country codes, either of which may be undefined
+ */
+function parseLocale(header) {
+  const tag = (header || '').split(',')[0].split(';')[0].trim();
+  const [language, country] = tag.split(/[-_]/);
+
+  return {
+    language: language ? language.toLowerCase() : undefined,
+    country: country ? country.toUpperCase() : undefined,
+  };
+}
+
+/**
+ * Pick the locale of the safe-messaging response
+ *
+ * The language is the first of the profile's preferred language and the
+ * Accept-Language header's that has a translation; when neither has one it is
+ * left unset, so buildSafeMessage uses the default language. The country for
+ * support resources comes from the header, then from the preferred language tag.
+ * @param {string} [header] - Accept-Language header value
+ * @param {string|null} [preferredLanguage] - Language tag from the user's profile, e.g. 'pt-BR'
+ * @returns {Object} - Language and country codes, either of which may be undefined
+ */
+function resolveLocale(header, preferredLanguage) {
+  const requested = parseLocale(header);
+  const preferred = parseLocale(preferredLanguage);
+  const language = [preferred.language, requested.language].find(code => code && config.crisis.messages[code]);
+
+  return {
+    language,
+    country: requested.country || preferred.country,
+  };
+}
+
+/**
+ * Get the support resources for a locale
+ * @param {Object} locale - Language and country codes
+ * @returns {Array} - Resources as { name, contact }
+ */
+function getResources({ country }) {
+  return config.crisis.resources[country] || config.crisis.resources.default;
+}
+
+/**
+ * Build the safe-messaging response for a locale
+ *
+ * Languages without a translation get the configured default language.
+ * @param {Object} locale - Language and country codes
+ * @returns {Object} - The response text, the language it is written in and the resources it lists
+ */
+function buildSafeMessage(locale) {
+  const { messages, defaultLanguage } = config.crisis;
+  const language = messages[locale.language] ? locale.language : defaultLanguage;
+  const resources = getResources(locale);
+  const list = resources.map(resource => `• ${resource.name}: ${resource.contact}`).join('\n');
+
+  return {
+    response: messages[language].replace('{{resources}}', list),
+    language,
+    resources,
+  };
+}
+
+/**
+ * Flag a conversation for human review
+ * @param {string} conversationId - Conversation ID
+ * @param {string} reason - Why the conversation was flagged
+ */
+async function flagConversation(conversationId, reason) {
+  try {
+    await Conversation.updateOne(
+      { _id: conversationId },
+      {
+        $set: {
+          'safety.flagged': true,
+          'safety.reason': reason,
+          'safety.flaggedAt': new Date(),
+          'safety.reviewStatus': 'pending',
+        },
+      }
+    );
+  } catch (error) {
+    logger.error(`Error flagging conversation ${conversationId}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  CATEGORY,
+  detectCrisis,
+  parseLocale,
+  resolveLocale,
+  getResources,
+  buildSafeMessage,
+  flagConversation,
+};
@@ -0,0 +1,241 @@
+/**
+ * Firebase Auth Service
+ *
+ * Verifies Firebase ID tokens without the Admin SDK: the RS256 signature is
+ * checked against Google's published keys (or a local key file), then the
+ * audience, issuer, subject and time claims. Verified users get a User record
+ * the first time they are seen.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const User = require('../models/User');
+const config = require('../config/firebaseConfig');
+const logger = require('../utils/logger');
+
+// Public keys by key ID, and when they have to be fetched again
+let keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+let pendingFetch = null;
+
+// Firebase UIDs that already have a User record in this process
+const provisionedUids = new Set();
+const MAX_PROVISIONED_CACHE = 10000;
+
+/**
+ * Create a token verification error
+ * @param {string} message - What is wrong with the token
+ * @param {string} [code='INVALID_TOKEN'] - Error code for the client
+ * @returns {Error} - The error, with a code
+ */
+function tokenError(message, code = 'INVALID_TOKEN') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Turn a key set into public keys by key ID
+ * @param {Object} keySet - A JWKS (`{ keys: [...] }`) or a map of key IDs to PEM certificates
+ * @returns {Map} - Public keys by key ID
+ */
+function parseKeySet(keySet) {
+  const keys = new Map();
+
+  if (Array.isArray(keySet.keys)) {
+    keySet.keys
+      .filter(jwk => jwk.kid && jwk.kty === 'RSA')
+      .forEach(jwk => keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+  } else {
+    Object.entries(keySet).forEach(([kid, pem]) => keys.set(kid, crypto.createPublicKey(pem)));
+  }
+
+  return keys;
+}
+
+/**
+ * Use a key set until the given time, e.g. a cached set in offline tests
+ * @param {Object} keySet - A JWKS or a map of key IDs to PEM certificates
+ * @param {number} [expiresAt=Infinity] - Timestamp in ms after which the keys are fetched again
+ */
+function setKeys(keySet, expiresAt = Infinity) {
+  keyCache = { keys: parseKeySet(keySet), expiresAt, fetchedAt: Date.now() };
+}
+
+/**
+ * Load the keys from the configured file or from Google
+ * @returns {Promise<void>}
+ */
+async function refreshKeys() {
+  if (config.jwksFile) {
+    setKeys(JSON.parse(fs.readFileSync(config.jwksFile, 'utf8')));
+    return;
+  }
+
+  const response = await axios.get(config.jwksUrl, { timeout: 10000 });
+  const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+  const seconds = maxAge ? parseInt(maxAge[1], 10) : config.jwksCacheSeconds;
+
+  setKeys(response.data, Date.now() + seconds * 1000);
+}
+
+/**
+ * Get the public key for a key ID
+ *
+ * Keys are refetched when they expire or, at most once per refetch interval,
+ * when a token names a key that is not known yet. When a refetch fails the
+ * previous keys stay in use.
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject|undefined>} - The public key, if known
+ */
+async function getKey(kid) {
+  const now = Date.now();
+  const stale = now >= keyCache.expiresAt;
+  const unknown = !keyCache.keys.has(kid) && now - keyCache.fetchedAt >= config.jwksRefetchSeconds * 1000;
+
+  if (stale || unknown) {
+    pendingFetch = pendingFetch || refreshKeys()
+      .catch(error => {
+        logger.error(`Error loading Firebase public keys: ${error.message}`);
+        // Try again after the refetch interval rather than on every request
+        keyCache.fetchedAt = Date.now();
+        keyCache.expiresAt = Math.max(keyCache.expiresAt, Date.now() + config.jwksRefetchSeconds * 1000);
+      })
+      .finally(() => {
+        pendingFetch = null;
+      });
+    await pendingFetch;
+  }
+
+  return keyCache.keys.get(kid);
+}
+
+/**
+ * Decode one base64url JSON segment of a token
+ * @param {string} segment - Encoded segment
+ * @returns {Object} - Decoded JSON object
+ * @throws {Error} - With code INVALID_TOKEN when the segment is not a JSON object
+ */
+function decodeSegment(segment) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw tokenError('Malformed token');
+  }
+
+  // Valid JSON such as `null`, `1` or `[]` is no header or claim set either
+  if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+    throw tokenError('Malformed token');
+  }
+  return decoded;
+}
+
+/**
+ * Verify a Firebase ID token
+ * @param {string} token - ID token from the client
+ * @returns {Promise<Object>} - The verified claims; the Firebase UID is `sub`
+ * @throws {Error} - With code INVALID_TOKEN or TOKEN_EXPIRED when the token is not valid
+ */
+async function verifyIdToken(token) {
+  if (!config.projectId) {
+    throw new Error('FIREBASE_PROJECT_ID not set in environment variables');
+  }
+
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw tokenError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  if (header.alg !== 'RS256') {
+    throw tokenError(`Unexpected token algorithm ${header.alg}`);
+  }
+
+  const key = await getKey(header.kid);
+  if (!key) {
+    throw tokenError('Token signed with an unknown key');
+  }
+
+  const signed = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!signed) {
+    throw tokenError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = config.clockToleranceSeconds;
+
+  if (payload.aud !== config.projectId) {
+    throw tokenError('Token was issued for another project');
+  }
+  if (payload.iss !== `https://securetoken.google.com/${config.projectId}`) {
+    throw tokenError('Token has an unexpected issuer');
+  }
+  if (typeof payload.sub !== 'string' || payload.sub.length === 0 || payload.sub.length > 128) {
+    throw tokenError('Token has no valid subject');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + tolerance <= now) {
+    throw tokenError('Token has expired', 'TOKEN_EXPIRED');
+  }
+  if (typeof payload.iat !== 'number' || payload.iat - tolerance > now) {
+    throw tokenError('Token was issued in the future');
+  }
+  if (typeof payload.auth_time !== 'number' || payload.auth_time - tolerance > now) {
+    throw tokenError('Token has an invalid auth time');
+  }
+
+  return payload;
+}
+
+/**
+ * Make sure a verified user has a User record
+ *
+ * The record is created with an atomic upsert on the unique Firebase UID, so
+ * concurrent first requests cannot create duplicates. The in-process cache
+ * only saves the database round trip for users already seen.
+ * @param {string} firebaseUid - Verified Firebase UID
+ * @returns {Promise<void>}
+ */
+async function provisionUser(firebaseUid) {
+  if (provisionedUids.has(firebaseUid)) {return;}
+
+  const upsert = () => User.findOneAndUpdate(
+    { firebaseUid },
+    { $setOnInsert: { firebaseUid } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    await upsert();
+  } catch (error) {
+    // Two concurrent upserts can both try to insert; the loser finds the winner's record
+    if (error.code !== 11000) {throw error;}
+    await upsert();
+  }
+
+  if (provisionedUids.size >= MAX_PROVISIONED_CACHE) {provisionedUids.clear();}
+  provisionedUids.add(firebaseUid);
+}
+
+/**
+ * Drop a user from the provisioned cache, e.g. after their User record was erased
+ * @param {string} firebaseUid - Firebase UID
+ */
+function forgetUser(firebaseUid) {
+  provisionedUids.delete(firebaseUid);
+}
+
+module.exports = {
+  verifyIdToken,
+  provisionUser,
+  forgetUser,
+  setKeys,
+};
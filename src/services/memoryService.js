@@ -0,0 +1,171 @@
+/**
+ * Memory Service
+ *
+ * Maintains a rolling per-conversation summary of the messages that no longer
+ * fit in the prompt history window, so characters remember long relationships
+ * without the prompt growing without limit.
+ */
+
+const Conversation = require('../models/Conversation');
+const conversationService = require('./conversationService');
+const openaiService = require('./openaiService');
+const providerRegistry = require('./providerRegistry');
+const usageService = require('./usageService');
+const config = require('../config/openaiConfig');
+const logger = require('../utils/logger');
+
+// Instructions for the summarization request
+const SUMMARY_INSTRUCTIONS = 'You maintain the long-term memory of a character in an ongoing chat with a user. ' +
+  'Merge the existing summary with the new messages into one updated summary written in the third person. ' +
+  'Keep facts about the user (name, preferences, plans, important events), the state of the relationship ' +
+  'and any promises or running topics. Drop small talk. Reply with the summary only, in under 200 words.';
+
+/**
+ * Build the system message that carries the conversation summary
+ * @param {Object} conversation - Conversation document
+ * @returns {Object|null} - Message to inject after the system prompt, or null if there is no summary
+ */
+function buildMemoryMessage(conversation) {
+  const summary = conversation?.memory?.summary;
+  if (!config.memory.enabled || !summary) {return null;}
+
+  return {
+    role: 'system',
+    content: `Summary of your earlier conversation with the user: ${summary}`,
+  };
+}
+
+/**
+ * Get the messages of a branch that the conversation summary does not cover
+ *
+ * The summary is made from one branch. It only applies to branches that run
+ * through the newest message it covers; on any other branch, e.g. after the
+ * user swiped to an alternate reply, the whole branch is unsummarized.
+ * @param {Object} conversation - Conversation document
+ * @param {string|null} leafId - Last message of the branch, or null for none
+ * @param {Object} [options] - Load options
+ * @param {number} [options.limit=Infinity] - Maximum number of messages to return, counted from the leaf
+ * @returns {Promise<Object>} - Whether the summary applies, and the unsummarized messages, oldest first
+ */
+async function getUnsummarizedBranch(conversation, leafId, { limit = Infinity } = {}) {
+  if (!leafId) {return { summarized: false, messages: [] };}
+
+  const memory = conversation.memory || {};
+  if (config.memory.enabled && memory.summary && memory.summarizedThroughId) {
+    const branch = await conversationService.getBranch(conversation._id, leafId, { after: memory.summarizedUntil });
+
+    // The walk stops at the newest summarized message when the branch runs through it
+    const start = branch.length > 0 ? branch[0].parentId : leafId;
+    if (start && String(start) === String(memory.summarizedThroughId)) {
+      return { summarized: true, messages: branch.slice(-limit) };
+    }
+  }
+
+  return {
+    summarized: false,
+    messages: await conversationService.getBranch(conversation._id, leafId, { limit }),
+  };
+}
+
+/**
+ * Fold messages that fell out of the history window into the conversation summary
+ *
+ * Summarizes the branch the user is on; when the summary was made from
+ * another branch, it is rebuilt from the start of this one.
+ * @param {Object} conversation - Conversation document
+ * @param {number} windowSize - Number of recent messages that fit verbatim in the prompt
+ * @returns {Promise<boolean>} - True if the summary was updated
+ */
+async function updateSummary(conversation, windowSize) {
+  const summarizedThroughId = conversation.memory?.summarizedThroughId || null;
+  const { summarized, messages: branch } = await getUnsummarizedBranch(
+    conversation,
+    await conversationService.getActiveLeafId(conversation)
+  );
+  const previousSummary = summarized ? conversation.memory.summary : null;
+
+  // Wait until a full batch has left the window to keep summarization calls rare
+  const unsummarizedCount = branch.length;
+  if (unsummarizedCount < windowSize + config.memory.batchSize) {return false;}
+
+  const messages = branch.slice(0, unsummarizedCount - windowSize);
+
+  const transcript = messages
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Character'}: ${msg.content}`)
+    .join('\n');
+
+  const target = providerRegistry.resolveTarget({ tier: config.memory.tier });
+  const summaryMessages = [
+    {
+      role: 'system',
+      content: SUMMARY_INSTRUCTIONS,
+    },
+    {
+      role: 'user',
+      content: `Existing summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}`,
+    },
+  ];
+  const completion = await openaiService.generateCompletion(summaryMessages, {
+    provider: target.provider,
+    model: target.model,
+    maxTokens: config.memory.maxSummaryTokens,
+    temperature: 0.3,
+  });
+  const summary = completion.content;
+
+  usageService.scheduleUsageRecord({
+    purpose: 'summary',
+    userId: conversation.userId,
+    characterId: conversation.characterId,
+    conversationId: conversation._id,
+    provider: completion.provider,
+    model: completion.model,
+    usage: completion.usage,
+    latencyMs: completion.latencyMs,
+    messages: summaryMessages,
+    content: summary,
+  });
+
+  // Only apply the summary if no concurrent update got there first
+  const lastMessage = messages[messages.length - 1];
+  const update = {
+    $set: {
+      'memory.summary': summary.trim(),
+      'memory.summarizedUntil': lastMessage.createdAt,
+      'memory.summarizedThroughId': lastMessage._id,
+      'memory.updatedAt': new Date(),
+    },
+  };
+  if (summarized) {
+    update.$inc = { 'memory.summarizedMessageCount': messages.length };
+  } else {
+    update.$set['memory.summarizedMessageCount'] = messages.length;
+  }
+
+  const result = await Conversation.updateOne(
+    { '_id': conversation._id, 'memory.summarizedThroughId': summarizedThroughId },
+    update
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Update the conversation summary in the background without delaying the reply
+ * @param {Object} conversation - Conversation document
+ * @param {number} windowSize - Number of recent messages that fit verbatim in the prompt
+ */
+function scheduleSummaryUpdate(conversation, windowSize) {
+  if (!config.memory.enabled) {return;}
+
+  updateSummary(conversation, windowSize).catch(error => {
+    logger.error(`Error updating conversation summary: ${error.message}`);
+  });
+}
+
+module.exports = {
+  buildMemoryMessage,
+  getUnsummarizedBranch,
+  updateSummary,
+  scheduleSummaryUpdate,
+};
@@ -0,0 +1,194 @@
+/**
+ * Moderation Engines
+ *
+ * Built-in engines for the moderation service. Every engine exposes
+ * `check(text, { categories })`, resolving to the categories it flags:
+ * `[{ category, score, matches: [{ start, end }] }]`, where matches are the
+ * flagged spans of the text (empty when the engine cannot localize them).
+ * `categories` lists the categories the caller acts on; engines may skip the rest.
+ */
+
+const openaiService = require('./openaiService');
+const config = require('../config/moderationConfig');
+
+const MINOR_TERMS = /\b(child|children|kids?|minors?|underage|under-age|pre-?teens?|toddlers?|school ?(girl|boy)s?|little (girl|boy)|(1[0-7]|[1-9])[\s-]*(yo|y\/o|years?[\s-]old))\b/i;
+// "sex ed" is a school subject, not sexual content
+const SEXUAL_TERMS = /\b(sex(?! ?ed(ucation)?\b)|sexual(ly)?|naked|nude|undress\w*|orgasm\w*|aroused|horny|fuck\w*|cock|pussy|genitals?|erotic|masturbat\w*|lingerie)\b/i;
+const HARM_VERBS = '(kill(ing)?|murder(ing)?|shoot(ing)?|stab(bing)?|assassinat\\w*|bomb(ing)?|poison(ing)?|kidnap(ping)?|beat up|attack(ing)?)';
+const PUBLIC_FIGURES = '(president|prime minister|senator|governor|mayor|congress(wo)?man|king|queen|pope)';
+const DOXXING = '(home address|phone number|social security number|where (he|she|they) lives?)';
+const SELF_HARM_METHODS = /\b(kill (yourself|myself)|suicide|overdose|cut (yourself|myself)|hang (yourself|myself)|slit\w*)\b/i;
+const INSTRUCTIONS = /\b(how to|ways? to|best way|steps? to|you should|here'?s how|try (to|taking))\b/i;
+const DEHUMANIZING = /\b(vermin|subhuman|animals|parasites|should (all )?(die|be killed|be exterminated)|don'?t deserve to live)\b/i;
+// An override verb followed directly by the model's instructions: "ignore all
+// previous instructions", "disregard your rules", "forget the system prompt".
+// Rules that are not the model's ("forget all the rules tonight") do not match
+const INSTRUCTION_OVERRIDE = /\b(ignore|disregard|forget|override|bypass)\s+((all|any)\s+)?(of\s+)?((the|these|those|my|your)\s+)?((previous|prior|above|earlier|preceding|original|initial|system|your)\s+(\w+\s+)?(instructions?|prompts?|rules|directions|guidelines|programming|messages?)|instructions|system prompt|prompts?|programming|guidelines)\b/i;
+const GROUP_TERMS = /\b(jews|muslims|christians|blacks|whites|asians|arabs|mexicans|immigrants|gays|lesbians|trans(gender)? people|women|men)\b/i;
+
+/**
+ * Build a pattern matching a minor term and a sexual term at most four words
+ * apart, in either order: "naked kids", "sex with a 15 year old". Terms that
+ * only share a message ("I want kids with you someday, you make me so horny")
+ * do not match.
+ * @returns {RegExp} - The pattern
+ */
+function buildSexualMinorPattern() {
+  const gap = '(\\W+\\w+){0,4}?\\W+';
+  return new RegExp(
+    `${MINOR_TERMS.source}${gap}${SEXUAL_TERMS.source}|${SEXUAL_TERMS.source}${gap}${MINOR_TERMS.source}`,
+    'i'
+  );
+}
+
+/**
+ * Build a pattern matching a harm verb aimed at a real person: one of the
+ * configured names or a public office, e.g. "shoot the mayor", "the president
+ * should be killed" or "find the senator's home address". Harm words and
+ * titles that merely appear in the same sentence ("you're killing me, my
+ * queen") do not match.
+ * @returns {RegExp} - The pattern
+ */
+function buildTargetedHarmPattern() {
+  const names = config.realPersonNames.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const target = `((the|that|this|our|your) )?(${[PUBLIC_FIGURES, ...names].join('|')})`;
+
+  return new RegExp([
+    `\\b${HARM_VERBS} ${target}\\b`,
+    `\\b${target}('s)? (should|must|deserves? to|needs? to|has to|is going to|will) (die|be (killed|shot|murdered|assassinated|hanged))\\b`,
+    `\\b${target}('s)? ${DOXXING}`,
+    `\\b${DOXXING} of ${target}\\b`,
+  ].join('|'), 'i');
+}
+
+// Weighted signals per category; a sentence's score is the sum of the signals it matches.
+// When a category has `required` signals, a sentence matching none of them scores 0,
+// so supporting keywords cannot add up to a flag on their own
+const LOCAL_RULES = {
+  minors: [
+    { pattern: buildSexualMinorPattern(), weight: 1, required: true },
+    { pattern: /\b(loli|shota|jailbait)\b/i, weight: 1, required: true },
+  ],
+  real_person_harm: [
+    { pattern: buildTargetedHarmPattern(), weight: 1, required: true },
+  ],
+  self_harm_instructions: [
+    { pattern: SELF_HARM_METHODS, weight: 0.4, required: true },
+    { pattern: INSTRUCTIONS, weight: 0.3 },
+    { pattern: /\b(pills?|razor|rope|bridge|lethal dose)\b/i, weight: 0.3 },
+  ],
+  // The user disclosing thoughts of suicide or self-harm
+  self_harm_risk: [
+    { pattern: /\b(kill(ing)? myself|end(ing)? my (own )?life|take my (own )?life|suicid(e|al)|want to die|wanna die|wish i (was|were) dead|better off dead)\b/i, weight: 1, required: true },
+    { pattern: /\b(hurt(ing)?|cut(ting)?|harm(ing)?|burn(ing)?) myself\b|\bself[- ]harm\w*/i, weight: 1, required: true },
+    { pattern: /\b(no (reason|point) (to|in) (live|living|going on)|(don'?t|do not) want to (live|be alive|wake up)|can'?t go on|not worth living)\b/i, weight: 1, required: true },
+    { pattern: /\b(overdose|pills|rope|jump off|razor)\b/i, weight: 0.3 },
+    { pattern: /\b(hopeless|worthless|empty|alone|can'?t take (it|this) anymore)\b/i, weight: 0.3 },
+  ],
+  prompt_injection: [
+    { pattern: INSTRUCTION_OVERRIDE, weight: 1, required: true },
+    { pattern: /\b(print|show|reveal|repeat|output|display|tell me|what (is|are|was|were)|give me)\b.{0,40}\b(system (prompt|message|instructions?)|(initial|original|hidden|secret) (prompt|instructions?)|your (system )?(instructions|prompt))\b/i, weight: 1, required: true },
+    { pattern: /\b(you are now|act as|pretend (to be|you are)|from now on,? you)\b.{0,40}\b(dan|jailbroken|unfiltered|unrestricted|uncensored ai|developer mode|without (any )?(rules|restrictions|filters))\b/i, weight: 1, required: true },
+    { pattern: /\b(jailbreak|developer mode|dan mode|prompt injection)\b/i, weight: 0.6 },
+    // Fake chat-format markers that try to pose as the system or the assistant
+    { pattern: /<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?(INST|SYS)\]|^\s*(system|assistant)\s*:/im, weight: 1, required: true },
+  ],
+  hate: [
+    { pattern: GROUP_TERMS, weight: 0.4 },
+    { pattern: DEHUMANIZING, weight: 0.4, required: true },
+    { pattern: /\b(all|those|these|every)\b/i, weight: 0.2 },
+  ],
+};
+
+/**
+ * Split text into sentences with their positions
+ * @param {string} text - Text to split
+ * @returns {Array} - Sentences as { text, start, end }
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+[.!?\n]*/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    sentences.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+
+  return sentences;
+}
+
+/**
+ * Local engine: keyword rules scored per sentence by a small linear classifier
+ */
+const local = {
+  name: 'local',
+
+  async check(text, { categories } = {}) {
+    const sentences = splitSentences(text);
+    const results = [];
+
+    Object.entries(LOCAL_RULES).forEach(([category, signals]) => {
+      if (categories && !categories.includes(category)) {return;}
+
+      let score = 0;
+      const matches = [];
+
+      sentences.forEach(sentence => {
+        const matched = signals.filter(signal => signal.pattern && signal.pattern.test(sentence.text));
+        const gated = signals.some(signal => signal.required) && !matched.some(signal => signal.required);
+        const sentenceScore = gated ? 0 : Math.min(1, matched.reduce((total, signal) => total + signal.weight, 0));
+
+        if (sentenceScore >= config.classifierThreshold) {
+          matches.push({ start: sentence.start, end: sentence.end });
+        }
+        score = Math.max(score, sentenceScore);
+      });
+
+      if (score >= config.classifierThreshold) {
+        results.push({ category, score, matches });
+      }
+    });
+
+    return results;
+  },
+};
+
+// Moderation endpoint categories mapped to ours
+const OPENAI_CATEGORIES = {
+  'sexual/minors': 'minors',
+  'harassment/threatening': 'real_person_harm',
+  'self-harm/instructions': 'self_harm_instructions',
+  'self-harm': 'self_harm_risk',
+  'self-harm/intent': 'self_harm_risk',
+  'hate': 'hate',
+  'hate/threatening': 'hate',
+};
+
+/**
+ * OpenAI adapter: the provider's moderation endpoint
+ */
+const openai = {
+  name: 'openai',
+
+  async check(text) {
+    const { provider, model } = config.adapters.openai;
+    const result = await openaiService.moderateContent(text, { provider, model });
+    const flagged = {};
+
+    Object.entries(OPENAI_CATEGORIES).forEach(([providerCategory, category]) => {
+      if (!result.categories[providerCategory]) {return;}
+
+      const score = result.category_scores[providerCategory] || 1;
+      if (!flagged[category] || flagged[category].score < score) {
+        flagged[category] = { category, score, matches: [] };
+      }
+    });
+
+    return Object.values(flagged);
+  },
+};
+
+module.exports = {
+  local,
+  openai,
+};
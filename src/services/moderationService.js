@@ -0,0 +1,394 @@
+/**
+ * Moderation Service
+ *
+ * Runs generated replies through the configured moderation engines and
+ * decides whether to send, rewrite, regenerate or block them, and screens user
+ * messages for prompt injection and disallowed requests. Replies that repeat
+ * the system prompt verbatim have the repeated passages redacted. Engines are
+ * pluggable: the built-in ones live in moderationEngines and more can be
+ * added with registerEngine. Every decision on flagged content is logged as a
+ * ModerationEvent for admins.
+ */
+
+const ModerationEvent = require('../models/ModerationEvent');
+const builtInEngines = require('./moderationEngines');
+const config = require('../config/moderationConfig');
+const logger = require('../utils/logger');
+
+// Actions from least to most severe
+const ACTION_SEVERITY = ['allow', 'rewrite', 'regenerate', 'block', 'refuse'];
+
+// Stored content is truncated to keep events small
+const MAX_EVENT_CONTENT_LENGTH = 2000;
+
+const engines = { ...builtInEngines };
+
+/**
+ * Register a moderation engine
+ * @param {string} name - Engine name, as used in the engines config
+ * @param {Object} engine - Engine with a check(text) method
+ */
+function registerEngine(name, engine) {
+  if (!engine || typeof engine.check !== 'function') {
+    throw new Error(`Moderation engine ${name} must have a check method`);
+  }
+
+  engines[name] = engine;
+}
+
+/**
+ * Run text through moderation engines and merge their verdicts
+ *
+ * An engine that fails is logged and skipped, so one unreachable provider
+ * adapter does not stop the others.
+ * @param {string} text - Text to check
+ * @param {Array<string>} engineNames - Engines to run
+ * @param {Array<string>} categories - Categories to check for
+ * @returns {Promise<Array>} - Flagged categories as { name, score, engines, matches }
+ */
+async function classify(text, engineNames, categories) {
+  const flagged = {};
+
+  await Promise.all(engineNames.map(async name => {
+    const engine = engines[name];
+    if (!engine) {
+      logger.warn(`Unknown moderation engine: ${name}`);
+      return;
+    }
+
+    let results;
+    try {
+      results = await engine.check(text, { categories });
+    } catch (error) {
+      logger.error(`Moderation engine ${name} failed: ${error.message}`);
+      return;
+    }
+
+    results.forEach(({ category, score, matches = [] }) => {
+      if (!categories.includes(category)) {return;}
+
+      const entry = flagged[category] || { name: category, score: 0, engines: [], matches: [], localized: true };
+      entry.score = Math.max(entry.score, score);
+      entry.engines.push(name);
+      entry.matches.push(...matches);
+      // Rewriting needs to know where the problem is
+      entry.localized = entry.localized && matches.length > 0;
+      flagged[category] = entry;
+    });
+  }));
+
+  return Object.values(flagged);
+}
+
+/**
+ * Pick the most severe configured action for the flagged categories
+ * @param {Array} categories - Flagged categories
+ * @param {Object} actions - Action per category
+ * @returns {string} - The action
+ */
+function decideAction(categories, actions) {
+  return categories.reduce((action, category) => {
+    const categoryAction = actions[category.name] || 'allow';
+    return ACTION_SEVERITY.indexOf(categoryAction) > ACTION_SEVERITY.indexOf(action) ? categoryAction : action;
+  }, 'allow');
+}
+
+/**
+ * Remove the flagged spans from text
+ * @param {string} text - Original text
+ * @param {Array} categories - Flagged categories with their matches
+ * @returns {string} - The remaining text, trimmed
+ */
+function removeMatches(text, categories) {
+  // Merge overlapping spans, e.g. one sentence flagged for two categories
+  const spans = [];
+  categories
+    .flatMap(category => category.matches)
+    .sort((a, b) => a.start - b.start)
+    .forEach(span => {
+      const last = spans[spans.length - 1];
+      if (last && span.start <= last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        spans.push({ ...span });
+      }
+    });
+
+  return spans
+    .reverse()
+    .reduce((remaining, span) => remaining.slice(0, span.start) + remaining.slice(span.end), text)
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Store a moderation decision for admins
+ * @param {Object} details - Decision details
+ * @param {string} details.direction - 'output' or 'input'
+ * @param {string} details.action - Action taken
+ * @param {Array} details.categories - Flagged categories
+ * @param {string} details.content - Flagged content
+ * @param {Object} [details.context] - userId, characterId and conversationId
+ */
+function logDecision({ direction, action, categories, content, context = {} }) {
+  ModerationEvent.create({
+    direction,
+    action,
+    categories: categories.map(({ name, score, engines: flaggedBy }) => ({ name, score, engines: flaggedBy })),
+    content: content.slice(0, MAX_EVENT_CONTENT_LENGTH),
+    userId: context.userId,
+    characterId: context.characterId,
+    conversationId: context.conversationId,
+  }).catch(error => {
+    logger.error(`Error logging moderation decision: ${error.message}`);
+  });
+
+  logger.info(`Moderation ${direction} ${action}: ${categories.map(category => category.name).join(', ')}`);
+}
+
+/**
+ * Check a generated reply and apply the configured action
+ *
+ * Regenerated replies are checked again; when regeneration keeps failing or is
+ * not possible the reply is blocked. Rewriting removes the flagged sentences and
+ * falls back to blocking when an engine could not localize the problem or
+ * nothing would be left.
+ * @param {string} content - Generated reply
+ * @param {Object} [options] - Review options
+ * @param {Object} [options.context] - userId, characterId and conversationId, for the event log
+ * @param {Function} [options.regenerate] - Called with an extra instruction to produce a new reply
+ * @returns {Promise<Object>} - The reply to send, the final action and the flagged category names
+ */
+async function reviewReply(content, { context = {}, regenerate } = {}) {
+  const settings = config.output;
+  if (!settings.enabled) {
+    return { content, action: 'allow', categories: [] };
+  }
+
+  let current = content;
+  let regenerations = 0;
+  // Categories that triggered a regeneration
+  let regeneratedFor = null;
+
+  for (;;) {
+    const categories = await classify(current, settings.engines, Object.keys(settings.actions));
+    const names = categories.map(category => category.name);
+
+    if (categories.length === 0) {
+      return regeneratedFor
+        ? { content: current, action: 'regenerate', categories: regeneratedFor }
+        : { content: current, action: 'allow', categories: [] };
+    }
+
+    let action = decideAction(categories, settings.actions);
+
+    if (action === 'regenerate' && regenerate && regenerations < settings.maxRegenerations) {
+      logDecision({ direction: 'output', action, categories, content: current, context });
+      regenerations += 1;
+
+      try {
+        const labels = names.map(name => config.categoryLabels[name] || name.replace(/_/g, ' '));
+        current = await regenerate(settings.regenerateInstruction.replace('{{categories}}', labels.join(', ')));
+        regeneratedFor = names;
+        continue;
+      } catch (error) {
+        logger.error(`Error regenerating moderated reply: ${error.message}`);
+        action = 'block';
+      }
+    }
+
+    if (action === 'regenerate') {action = 'block';}
+
+    let result = current;
+    if (action === 'rewrite') {
+      const flagged = categories.filter(category => (settings.actions[category.name] || 'allow') !== 'allow');
+      result = flagged.every(category => category.localized) ? removeMatches(current, flagged) : '';
+      if (!result) {action = 'block';}
+    }
+    if (action === 'block') {result = settings.blockedResponse;}
+
+    logDecision({ direction: 'output', action, categories, content: current, context });
+
+    return { content: result, action, categories: names };
+  }
+}
+
+/**
+ * Split text into normalized words with their positions
+ * @param {string} text - Text to split
+ * @returns {Array} - Words as { word, start, end }
+ */
+function splitWords(text) {
+  const words = [];
+  const pattern = /[\p{L}\p{N}'’]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({
+      word: match[0].toLowerCase().replace(/’/g, '\''),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Find the passages of a reply that repeat the system prompt verbatim
+ *
+ * A passage is a run of at least minWords consecutive words that also appear
+ * consecutively in the prompt, ignoring case and punctuation.
+ * @param {string} text - Generated reply
+ * @param {string} prompt - System prompt
+ * @param {number} [minWords] - Shortest run that counts as a leak
+ * @returns {Array} - Leaked spans of the reply as { start, end }, merged and in order
+ */
+function findPromptLeaks(text, prompt, minWords = config.leak.minWords) {
+  const words = splitWords(text);
+  const promptWords = splitWords(prompt).map(entry => entry.word);
+  if (words.length < minWords || promptWords.length < minWords) {return [];}
+
+  const shingles = new Set();
+  for (let i = 0; i + minWords <= promptWords.length; i++) {
+    shingles.add(promptWords.slice(i, i + minWords).join(' '));
+  }
+
+  const spans = [];
+  for (let i = 0; i + minWords <= words.length; i++) {
+    const window = words.slice(i, i + minWords);
+    if (!shingles.has(window.map(entry => entry.word).join(' '))) {continue;}
+
+    const start = window[0].start;
+    const end = window[minWords - 1].end;
+    const last = spans[spans.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      spans.push({ start, end });
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Redact the passages of a generated reply that repeat the system prompt
+ *
+ * Redactions are logged. A reply that is nothing but leaked passages is
+ * replaced with the blocked response.
+ * @param {string} content - Generated reply
+ * @param {string} prompt - System prompt the reply was generated with
+ * @param {Object} [context] - userId, characterId and conversationId, for the event log
+ * @returns {Object} - The reply with leaks redacted and whether anything was redacted
+ */
+function redactPromptLeaks(content, prompt, context = {}) {
+  const settings = config.leak;
+  if (!settings.enabled || !prompt) {
+    return { content, redacted: false };
+  }
+
+  const spans = findPromptLeaks(content, prompt, settings.minWords);
+  if (spans.length === 0) {
+    return { content, redacted: false };
+  }
+
+  const leaked = spans.reduce((total, span) => total + span.end - span.start, 0);
+  logDecision({
+    direction: 'output',
+    action: 'redact',
+    categories: [{ name: 'prompt_leak', score: Math.min(1, leaked / content.length), engines: ['leak'] }],
+    content,
+    context,
+  });
+
+  const redacted = spans
+    .slice()
+    .reverse()
+    .reduce((remaining, span) => remaining.slice(0, span.start) + settings.replacement + remaining.slice(span.end), content);
+  const remaining = spans
+    .slice()
+    .reverse()
+    .reduce((rest, span) => rest.slice(0, span.start) + rest.slice(span.end), content);
+
+  return {
+    content: /[\p{L}\p{N}]/u.test(remaining) ? redacted : config.output.blockedResponse,
+    redacted: true,
+  };
+}
+
+/**
+ * Check part of a reply that is being streamed, before it is sent
+ *
+ * Nothing is logged or changed here: a chunk that fails is held back, and the
+ * full reply goes through reviewReply and redactPromptLeaks once it is complete.
+ * @param {string} chunk - Next part of the reply, e.g. one or more sentences
+ * @param {Object} [options]
+ * @param {string} [options.sent=''] - Reply text already sent, so leaks spanning chunks are found
+ * @param {string} [options.prompt] - System prompt the reply was generated with
+ * @returns {Promise<boolean>} - True when the chunk may be sent
+ */
+async function screenChunk(chunk, { sent = '', prompt } = {}) {
+  const settings = config.output;
+
+  if (settings.enabled) {
+    const acted = Object.keys(settings.actions).filter(name => settings.actions[name] !== 'allow');
+    const categories = await classify(chunk, settings.engines, acted);
+    if (categories.length > 0) {return false;}
+  }
+
+  if (config.leak.enabled && prompt) {
+    const text = sent + chunk;
+    return !findPromptLeaks(text, prompt, config.leak.minWords).some(span => span.end > sent.length);
+  }
+
+  return true;
+}
+
+/**
+ * Screen a user message before it reaches the model
+ *
+ * Refused messages are logged for the user. The caller answers with the
+ * returned refusal or a structured error, depending on the input config.
+ * @param {string} content - User message
+ * @param {Object} [context] - userId, characterId and conversationId, for the event log
+ * @returns {Promise<Object>} - Whether the message may be sent, the flagged category names and the refusal to answer with
+ */
+async function screenMessage(content, context = {}) {
+  const settings = config.input;
+  if (!settings.enabled) {
+    return { allowed: true, categories: [] };
+  }
+
+  const categories = await classify(content, settings.engines, Object.keys(settings.actions));
+  if (categories.length === 0) {
+    return { allowed: true, categories: [] };
+  }
+
+  const action = decideAction(categories, settings.actions) === 'refuse' ? 'refuse' : 'allow';
+  logDecision({ direction: 'input', action, categories, content, context });
+
+  const names = categories.map(category => category.name);
+  if (action === 'allow') {
+    return { allowed: true, categories: names };
+  }
+
+  const refused = categories.find(category => settings.actions[category.name] === 'refuse');
+  return {
+    allowed: false,
+    categories: names,
+    refusal: settings.refusals[refused.name] || settings.refusals.default,
+  };
+}
+
+module.exports = {
+  registerEngine,
+  classify,
+  decideAction,
+  logDecision,
+  reviewReply,
+  screenChunk,
+  screenMessage,
+  findPromptLeaks,
+  redactPromptLeaks,
+};
@@ -1,8 +1,8 @@
 /**
- * DeepSeek API Service
+ * LLM API Service
  *
- * Handles API calls to DeepSeek for AI-generated character responses
- * using the OpenAI compatible API
+ * Handles API calls for AI-generated character responses using the OpenAI
+ * compatible API of the configured providers (DeepSeek, OpenAI or a local server)
  */
 
 let OpenAI;
@@ -24,47 +24,9 @@ let OpenAI;
 // Function to setup mock OpenAI if import fails
 function setupMockOpenAI() {
   console.warn('Using mock AI implementation');
-  OpenAI = class MockOpenAI {
-    constructor() {
-      // No logging constructor creation
-    }
-
-    chat = {
-      completions: {
-        create: async () => {
-          return {
-            choices: [{
-              message: {
-                content: "I'm having trouble connecting right now. Please try again later.",
-              },
-            }],
-            usage: {
-              prompt_tokens: 0,
-              completion_tokens: 0,
-              total_tokens: 0,
-            },
-          };
-        },
-      },
-    };
-
-    models = {
-      list: async () => {
-        return {
-          data: [],
-        };
-      },
-    };
-
-    images = {
-      generate: async () => {
-        return {
-          data: [{
-            url: 'https://placehold.co/600x400?text=Image+Generation+Failed',
-          }],
-        };
-      },
-    };
+  // Every client created from now on is the mock client
+  OpenAI = function MockOpenAI() {
+    return createMockClient();
   };
 
   // Initialize the client with mock OpenAI
@@ -103,55 +65,119 @@ try {
   };
 }
 
-// Create an instance of the OpenAI client with DeepSeek base URL
-let openai;
-
-function initializeOpenAIClient() {
-  try {
-    openai = new OpenAI({
+let providerRegistry;
+try {
+  providerRegistry = require('./providerRegistry');
+} catch (error) {
+  console.error('Error loading provider registry:', error.message);
+  // Fall back to a single DeepSeek provider if the registry fails to load
+  providerRegistry = {
+    getProvider: () => ({
+      name: 'deepseek',
       apiKey: process.env.DEEPSEEK_API_KEY || process.env.OPENAI_API_KEY,
-      baseURL: 'https://api.deepseek.com',
-    });
-    logger.info('AI client initialized');
-  } catch (error) {
-    logger.error('Failed to initialize AI client');
-    // Create a mock client
-    openai = {
-      chat: {
-        completions: {
-          create: async () => {
-            return {
-              choices: [{
-                message: {
-                  content: "I'm having trouble connecting right now. Please try again later.",
-                },
-              }],
-              usage: {
-                prompt_tokens: 0,
-                completion_tokens: 0,
-                total_tokens: 0,
-              },
-            };
-          },
-        },
-      },
-      models: {
-        list: async () => {
-          return {
-            data: [],
-          };
-        },
-      },
-      images: {
-        generate: async () => {
+      baseUrl: 'https://api.deepseek.com',
+      defaultModel: config.defaultModel,
+    }),
+  };
+}
+
+const circuitBreaker = require('./circuitBreaker');
+
+// OpenAI-compatible clients, one per provider, created on first use
+let clients = {};
+
+/**
+ * Create a mock client that answers with a canned message
+ *
+ * Used when the OpenAI module cannot be loaded and when a provider's client
+ * cannot be created.
+ * @returns {Object} Object with the subset of the OpenAI client API we use
+ */
+function createMockClient() {
+  return {
+    chat: {
+      completions: {
+        create: async () => {
           return {
-            data: [{
-              url: 'https://placehold.co/600x400?text=Image+Generation+Failed',
+            choices: [{
+              message: {
+                content: "I'm having trouble connecting right now. Please try again later.",
+              },
             }],
+            usage: {
+              prompt_tokens: 0,
+              completion_tokens: 0,
+              total_tokens: 0,
+            },
           };
         },
       },
-    };
+    },
+    models: {
+      list: async () => {
+        return {
+          data: [],
+        };
+      },
+    },
+    // Nothing is flagged, so moderation falls back to the local engine's verdict
+    moderations: {
+      create: async () => {
+        return {
+          results: [{
+            flagged: false,
+            categories: {},
+            category_scores: {},
+          }],
+        };
+      },
+    },
+    images: {
+      generate: async () => {
+        return {
+          data: [{
+            url: 'https://placehold.co/600x400?text=Image+Generation+Failed',
+          }],
+        };
+      },
+    },
+  };
+}
+
+/**
+ * Get the client for a provider, creating it on first use
+ * @param {string} [providerName] - Provider name; the default provider when omitted
+ * @returns {Object} OpenAI-compatible client
+ */
+function getClient(providerName) {
+  const provider = providerRegistry.getProvider(providerName);
+
+  if (!clients[provider.name]) {
+    try {
+      clients[provider.name] = new OpenAI({
+        apiKey: provider.apiKey,
+        baseURL: provider.baseUrl,
+        // Retries are handled by executeWithFailover so they can fail over between providers
+        maxRetries: 0,
+      });
+    } catch (error) {
+      logger.error(`Failed to initialize AI client for provider ${provider.name}`);
+      clients[provider.name] = createMockClient();
+    }
+  }
+
+  return clients[provider.name];
+}
+
+function initializeOpenAIClient() {
+  // Drop clients created before the OpenAI module finished loading
+  clients = {};
+
+  try {
+    getClient();
+    logger.info('AI client initialized');
+  } catch (error) {
+    logger.error(`Failed to initialize AI client: ${error.message}`);
   }
 }
 
@@ -197,44 +223,225 @@ function maskSensitiveContent(content) {
 }
 
 /**
- * Generate a response from OpenAI based on the provided messages and options
+ * Build the chat completion parameters shared by blocking and streaming requests
  * @param {Array} messages - The conversation messages array
  * @param {Object} options - Configuration options for the request
- * @returns {Promise<string>} The generated response
+ * @returns {Object} Completion parameters for the API call
  */
-async function generateResponse(messages, options = {}) {
-  try {
-    // Get the model from options or use the default
-    const model = options.model || config.defaultModel;
-
-    // Set up completion parameters
-    const completionParams = {
-      model: model,
-      messages: messages,
-      max_tokens: options.maxTokens || config.maxTokens,
-      temperature: options.temperature || config.temperature,
-      top_p: options.topP || config.topP,
-      frequency_penalty: options.frequencyPenalty || config.frequencyPenalty,
-      presence_penalty: options.presencePenalty || config.presencePenalty,
-    };
+function buildCompletionParams(messages, options = {}) {
+  return {
+    model: options.model || providerRegistry.getProvider(options.provider).defaultModel,
+    messages: messages,
+    // Use ?? so explicit zeros (e.g. temperature 0) are kept
+    max_tokens: options.maxTokens ?? config.maxTokens,
+    temperature: options.temperature ?? config.temperature,
+    top_p: options.topP ?? config.topP,
+    frequency_penalty: options.frequencyPenalty ?? config.frequencyPenalty,
+    presence_penalty: options.presencePenalty ?? config.presencePenalty,
+    ...(options.stop && options.stop.length > 0 ? { stop: options.stop } : {}),
+  };
+}
+
+/**
+ * Get the request headers for the requested content mode
+ * @param {Object} options - Configuration options for the request
+ * @returns {Object} Headers to send with the API call
+ */
+function getRequestHeaders(options = {}) {
+  // Check if uncensored mode is enabled
+  const useUncensoredMode = options.uncensored !== false; // Default to true
+
+  return useUncensoredMode ? config.requestHeaders.uncensored : config.requestHeaders.default;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read the delay requested by a Retry-After header on an API error
+ * @param {Error} error - Error thrown by the OpenAI client
+ * @returns {number|null} Delay in milliseconds, or null if the header is absent
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (!isNaN(retryAfterMs)) {return retryAfterMs;}
+
+  const retryAfter = headers['retry-after'];
+  if (!retryAfter) {return null;}
+
+  // Either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {return seconds * 1000;}
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Check whether a failed request is worth retrying on the same provider
+ * Rate limits, server errors and connection failures (no status) are retryable.
+ * @param {Error} error - Error thrown by the OpenAI client
+ * @returns {boolean} True if the request may be retried
+ */
+function isRetryableError(error) {
+  if (error.name === 'APIUserAbortError') {return false;}
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Check whether a failed request points at a provider problem
+ * These count against the provider's circuit breaker and trigger failover.
+ * @param {Error} error - Error thrown by the OpenAI client
+ * @returns {boolean} True if another provider may succeed
+ */
+function isProviderError(error) {
+  return isRetryableError(error) || [401, 403, 404].includes(error.status);
+}
+
+/**
+ * Run a request, retrying retryable failures with exponential backoff
+ * @param {Function} request - Function returning the request promise
+ * @param {AbortSignal} [signal] - Signal that cancels further attempts
+ * @returns {Promise<*>} The request result
+ */
+async function retryWithBackoff(request, signal) {
+  const { maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs } = config.resilience;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error) || signal?.aborted) {throw error;}
+
+      // Honor Retry-After when the provider sends one, otherwise back off exponentially with jitter
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) {throw error;}
+
+      const backoffMs = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+      const delay = retryAfterMs !== null ? retryAfterMs : backoffMs / 2 + Math.random() * backoffMs / 2;
+
+      logger.warn(`AI request failed (${error.status || 'connection error'}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+
+      if (signal?.aborted) {throw error;}
+    }
+  }
+}
+
+/**
+ * Get the providers to try for a request, primary first
+ * Fallback providers use their default models.
+ * @param {Object} options - Configuration options for the request
+ * @returns {Array<Object>} Provider and model for each attempt
+ */
+function getProviderChain(options = {}) {
+  const primary = providerRegistry.getProvider(options.provider);
+  const chain = [{ provider: primary.name, model: options.model || primary.defaultModel }];
 
+  if (options.failover === false) {return chain;}
+
+  for (const name of config.resilience.fallbackProviders) {
+    if (chain.some(target => target.provider === name) || !providerRegistry.hasProvider(name)) {continue;}
+    chain.push({ provider: name, model: providerRegistry.getProvider(name).defaultModel });
+  }
+
+  return chain;
+}
+
+/**
+ * Run a request against the provider chain with retries, circuit breakers and failover
+ * @param {Object} options - Configuration options for the request
+ * @param {Function} request - Called with `{ provider, model }`, returns the request promise
+ * @returns {Promise<Object>} The request result and the provider and model that produced it
+ */
+async function executeWithFailover(options, request) {
+  const chain = getProviderChain(options);
+  let lastError;
+
+  for (const target of chain) {
+    const breaker = circuitBreaker.getBreaker(target.provider);
+    if (!breaker.canRequest()) {
+      logger.warn(`Circuit open for AI provider ${target.provider}, skipping`);
+      lastError = lastError || new Error(`Circuit open for AI provider ${target.provider}`);
+      continue;
+    }
+
+    try {
+      const result = await retryWithBackoff(() => request(target), options.signal);
+      breaker.recordSuccess();
+
+      if (target !== chain[0]) {
+        logger.warn(`AI request served by fallback provider ${target.provider}`);
+      }
+
+      return { result, ...target };
+    } catch (error) {
+      // Client errors and cancellations would fail the same way on every provider.
+      // They still settle the breaker, so a half-open trial is never left pending
+      if (options.signal?.aborted || !isProviderError(error)) {
+        if (!options.signal?.aborted && error.status) {
+          // The provider answered, so it is up
+          breaker.recordSuccess();
+        } else {
+          breaker.releaseTrial();
+        }
+        throw error;
+      }
+
+      breaker.recordFailure();
+      logger.warn(`AI provider ${target.provider} failed (${error.status || 'connection error'})`);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Generate a completion and report which provider produced it
+ *
+ * Retryable failures are retried with backoff, then the request fails over
+ * to the configured fallback providers.
+ * @param {Array} messages - The conversation messages array
+ * @param {Object} options - Configuration options for the request
+ * @param {string} [options.provider] - Provider name; the default provider when omitted
+ * @param {boolean} [options.failover=true] - Whether to try the fallback providers
+ * @returns {Promise<Object>} The response content, token usage (null if not reported), provider, model and latency
+ */
+async function generateCompletion(messages, options = {}) {
+  try {
     // No verbose API logging - just log that a request is being made
     logger.info('Making AI request');
 
-    // Check if uncensored mode is enabled
-    const useUncensoredMode = options.uncensored !== false; // Default to true
-
     // Apply the appropriate headers based on mode
-    const headers = useUncensoredMode ? config.requestHeaders.uncensored : config.requestHeaders.default;
+    const headers = getRequestHeaders(options);
+    const startedAt = Date.now();
 
-    // Make the API call to OpenAI with appropriate headers
-    const completion = await openai.chat.completions.create(completionParams, { headers });
+    // Make the API call with appropriate headers, failing over between providers
+    const { result: completion, provider, model } = await executeWithFailover(options, target => {
+      const completionParams = buildCompletionParams(messages, { ...options, ...target });
+      return getClient(target.provider).chat.completions.create(completionParams, { headers });
+    });
 
     // Only log minimal information - no token counts
     logger.info('AI request completed successfully');
 
-    // Return the text of the first response
-    return completion.choices[0].message.content;
+    return {
+      // Text of the first response
+      content: completion.choices[0].message.content,
+      usage: completion.usage || null,
+      provider,
+      model,
+      latencyMs: Date.now() - startedAt,
+    };
   } catch (error) {
     logger.error('Error in AI request');
 
@@ -243,14 +450,93 @@ async function generateResponse(messages, options = {}) {
   }
 }
 
+/**
+ * Generate a response from OpenAI based on the provided messages and options
+ * @param {Array} messages - The conversation messages array
+ * @param {Object} options - Configuration options for the request, see generateCompletion
+ * @returns {Promise<string>} The generated response
+ */
+async function generateResponse(messages, options = {}) {
+  const { content } = await generateCompletion(messages, options);
+  return content;
+}
+
+/**
+ * Stream a response from OpenAI, yielding content deltas as they arrive
+ *
+ * Opening the stream is retried and fails over like generateCompletion; errors
+ * after the first delta are passed to the caller.
+ * @param {Array} messages - The conversation messages array
+ * @param {Object} options - Configuration options for the request
+ * @param {string} [options.provider] - Provider name; the default provider when omitted
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the upstream request
+ * @param {Function} [options.onComplete] - Called with the token usage (null if not reported),
+ * provider, model and latency once the stream has finished
+ * @returns {AsyncGenerator<string>} Content deltas of the generated response
+ */
+async function* streamResponse(messages, options = {}) {
+  try {
+    logger.info('Making streaming AI request');
+
+    const headers = getRequestHeaders(options);
+    const startedAt = Date.now();
+    const { result: stream, provider, model } = await executeWithFailover(options, target => {
+      const completionParams = {
+        ...buildCompletionParams(messages, { ...options, ...target }),
+        stream: true,
+      };
+
+      // Ask for token usage in the final chunk where the provider supports it
+      if (providerRegistry.getProvider(target.provider).streamUsage) {
+        completionParams.stream_options = { include_usage: true };
+      }
+
+      return getClient(target.provider).chat.completions.create(completionParams, {
+        headers,
+        signal: options.signal,
+      });
+    });
+
+    let usage = null;
+
+    // The mock client returns a complete response instead of a stream
+    if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
+      const content = stream?.choices?.[0]?.message?.content;
+      if (content) {yield content;}
+      usage = stream?.usage || null;
+    } else {
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {yield delta;}
+        if (chunk.usage) {usage = chunk.usage;}
+      }
+    }
+
+    logger.info('Streaming AI request completed successfully');
+
+    if (typeof options.onComplete === 'function') {
+      options.onComplete({ usage, provider, model, latencyMs: Date.now() - startedAt });
+    }
+  } catch (error) {
+    if (options.signal?.aborted) {
+      logger.info('Streaming AI request aborted');
+    } else {
+      logger.error('Error in streaming AI request');
+    }
+
+    throw error;
+  }
+}
+
 /**
  * Check the health of the AI API connection
+ * @param {string} [providerName] - Provider to check; the default provider when omitted
  * @returns {Promise<Object>} Health status information
  */
-async function checkHealth() {
+async function checkHealth(providerName) {
   try {
     // Simple request to test the API
-    const response = await openai.models.list();
+    const response = await getClient(providerName).models.list();
 
     return {
       status: 'healthy',
@@ -268,11 +554,12 @@ async function checkHealth() {
 
 /**
  * Get the list of available models
+ * @param {string} [providerName] - Provider to query; the default provider when omitted
  * @returns {Promise<Array>} List of available models
  */
-async function getAvailableModels() {
+async function getAvailableModels(providerName) {
   try {
-    const response = await openai.models.list();
+    const response = await getClient(providerName).models.list();
     return response.data.map(model => ({
       id: model.id,
       created: model.created,
@@ -283,6 +570,23 @@ async function getAvailableModels() {
   }
 }
 
+/**
+ * Classify text with a provider's moderation endpoint
+ * @param {string} input - Text to classify
+ * @param {Object} [options] - Moderation options
+ * @param {string} [options.provider] - Provider to use; the default provider when omitted
+ * @param {string} [options.model] - Moderation model
+ * @returns {Promise<Object>} The moderation result with flagged, categories and category_scores
+ */
+async function moderateContent(input, options = {}) {
+  const response = await getClient(options.provider).moderations.create({
+    model: options.model || 'omni-moderation-latest',
+    input,
+  });
+
+  return response.results[0];
+}
+
 /**
  * Generate an image from the provided prompt
  * @param {string} prompt - The image description
@@ -290,7 +594,7 @@ async function getAvailableModels() {
  */
 async function generateImage(prompt) {
   try {
-    const response = await openai.images.generate({
+    const response = await getClient().images.generate({
       prompt: prompt,
       n: 1,
       size: '1024x1024',
@@ -305,8 +609,12 @@ async function generateImage(prompt) {
 }
 
 module.exports = {
+  executeWithFailover,
+  generateCompletion,
   generateResponse,
+  streamResponse,
   checkHealth,
   getAvailableModels,
+  moderateContent,
   generateImage,
 };
@@ -0,0 +1,135 @@
+/**
+ * Prompt Template Service
+ *
+ * Resolves and renders the versioned persona prompt templates edited by admins.
+ */
+
+const PromptTemplate = require('../models/PromptTemplate');
+const logger = require('../utils/logger');
+
+// Template family used when a character does not pin one
+const DEFAULT_TEMPLATE_NAME = 'persona';
+
+// Variables available to templates as {{name}}
+const TEMPLATE_VARIABLES = ['name', 'personality', 'traits', 'interests', 'location', 'dateTime'];
+
+// Published templates rarely change, so cache lookups briefly
+const CACHE_TTL_MS = 60 * 1000;
+let cache = new Map();
+
+/**
+ * Replace {{variable}} placeholders in a template
+ * Unknown variables render as empty strings.
+ * @param {string} content - Template content
+ * @param {Object} variables - Variable values by name
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(content, variables) {
+  return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = variables[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Build the template variables for a character
+ * @param {Object} character - Character object
+ * @param {string} dateTime - Current date and time, formatted for the prompt
+ * @returns {Object} - Variable values by name
+ */
+function buildTemplateVariables(character, dateTime) {
+  return {
+    name: character.name || '',
+    personality: character.personality || '',
+    traits: (character.traits || []).join(', '),
+    interests: (character.interests || []).join(', '),
+    location: character.location || '',
+    dateTime,
+  };
+}
+
+/**
+ * Find the template to use for a character
+ *
+ * A pinned version is used as-is; otherwise the most recently published
+ * version of the template family is used.
+ * @param {Object} character - Character object with an optional `promptTemplate` pin
+ * @returns {Promise<Object|null>} - The template, or null if none is published
+ */
+async function resolveTemplate(character) {
+  const pin = (character && character.promptTemplate) || {};
+  const name = pin.name || DEFAULT_TEMPLATE_NAME;
+  const cacheKey = pin.version ? `${name}@${pin.version}` : name;
+
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.template;
+  }
+
+  const template = pin.version
+    ? await PromptTemplate.findOne({ name, version: pin.version, status: { $ne: 'draft' } }).lean()
+    : await PromptTemplate.findOne({ name, status: 'published' }).sort({ publishedAt: -1, version: -1 }).lean();
+
+  if (pin.version && !template) {
+    logger.warn(`Pinned prompt template ${cacheKey} not found, using the built-in prompt`);
+  }
+
+  cache.set(cacheKey, { template, loadedAt: Date.now() });
+  return template;
+}
+
+/**
+ * Check whether a template version can be pinned to a character
+ * Drafts cannot be pinned, since they are never used for chat.
+ * @param {Object} pin - The pin to check
+ * @param {string} [pin.name] - Template family; the default family when omitted
+ * @param {number} pin.version - Version number
+ * @returns {Promise<boolean>} - True if the version exists and is not a draft
+ */
+async function isPinnable({ name = DEFAULT_TEMPLATE_NAME, version }) {
+  return !!(await PromptTemplate.exists({ name, version, status: { $ne: 'draft' } }));
+}
+
+/**
+ * Render a template for a character
+ * @param {Object} template - Prompt template
+ * @param {Object} character - Character object
+ * @param {Object} options - Render options
+ * @param {boolean} options.uncensored - Whether to use the unrestricted content
+ * @param {string} options.dateTime - Current date and time, formatted for the prompt
+ * @returns {string|null} - The rendered system prompt, or null in restricted mode when the template has no restricted content
+ */
+function renderForCharacter(template, character, { uncensored, dateTime }) {
+  // Never fall back to the unrestricted content for restricted users
+  if (!uncensored && !hasRestrictedContent(template)) {return null;}
+
+  const content = uncensored ? template.content : template.restrictedContent;
+  return renderTemplate(content, buildTemplateVariables(character, dateTime));
+}
+
+/**
+ * Check whether a template can be rendered in restricted mode
+ * @param {Object} template - Prompt template
+ * @returns {boolean} - True when the template has restricted content
+ */
+function hasRestrictedContent(template) {
+  return typeof template.restrictedContent === 'string' && template.restrictedContent.trim().length > 0;
+}
+
+/**
+ * Drop cached templates after an admin change
+ */
+function clearCache() {
+  cache = new Map();
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_NAME,
+  TEMPLATE_VARIABLES,
+  renderTemplate,
+  resolveTemplate,
+  isPinnable,
+  renderForCharacter,
+  hasRestrictedContent,
+  clearCache,
+};
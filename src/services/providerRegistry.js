@@ -0,0 +1,129 @@
+/**
+ * LLM Provider Registry
+ *
+ * Resolves which OpenAI-compatible provider and model serve a request, and
+ * with which sampling parameters, from the per-character settings, the tier
+ * configuration and the defaults.
+ */
+
+const config = require('../config/openaiConfig');
+const contextBuilder = require('./contextBuilder');
+
+// Sampling parameters that characters and tiers can override
+const GENERATION_PARAMS = ['temperature', 'topP', 'frequencyPenalty', 'presencePenalty', 'maxTokens'];
+
+/**
+ * Get a provider's settings by name
+ * @param {string} [name] - Provider name; the default provider when omitted
+ * @returns {Object} - Provider settings including its name
+ */
+function getProvider(name) {
+  const providerName = name || config.defaultProvider;
+  const provider = config.providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+
+  return { name: providerName, ...provider };
+}
+
+/**
+ * Check whether a provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if the provider exists
+ */
+function hasProvider(name) {
+  return Object.prototype.hasOwnProperty.call(config.providers, name);
+}
+
+/**
+ * List the registered providers without exposing their credentials
+ * @returns {Array<Object>} - Provider summaries
+ */
+function listProviders() {
+  return Object.entries(config.providers).map(([name, provider]) => ({
+    name,
+    baseUrl: provider.baseUrl,
+    defaultModel: provider.defaultModel,
+    models: provider.models,
+    configured: !!provider.apiKey,
+    isDefault: name === config.defaultProvider,
+  }));
+}
+
+/**
+ * Resolve the provider and model for a generation request
+ *
+ * Character settings win over the tier, which wins over the default provider.
+ * A provider chosen without a model uses that provider's default model.
+ * @param {Object} params - Resolution inputs
+ * @param {string} [params.tier='standard'] - Tier name from `config.tiers`
+ * @param {Object} [params.character] - Character with optional `generation.provider` and `generation.model`
+ * @returns {Object} - The provider name and model
+ */
+function resolveTarget({ tier = 'standard', character } = {}) {
+  const tierSettings = config.tiers[tier] || config.tiers.standard;
+  const characterSettings = (character && character.generation) || {};
+
+  const provider = getProvider(characterSettings.provider || tierSettings.provider);
+
+  // A model only carries over when it was chosen for the same provider
+  let model = characterSettings.model;
+  if (!model && !characterSettings.provider) {
+    model = tierSettings.model;
+  }
+
+  return {
+    provider: provider.name,
+    model: model || provider.defaultModel,
+  };
+}
+
+/**
+ * Resolve the full generation options for a request
+ *
+ * Each parameter comes from the character's `generation` settings if set,
+ * then from the tier, then from the global defaults. maxTokens is capped so
+ * the resolved model's context budget keeps at least minPromptTokens for the prompt.
+ * @param {Object} params - Resolution inputs
+ * @param {string} [params.tier='standard'] - Tier name from `config.tiers`
+ * @param {Object} [params.character] - Character with optional `generation` settings
+ * @returns {Object} - Options for the OpenAI service (provider, model, sampling parameters, stop)
+ */
+function resolveGenerationOptions({ tier = 'standard', character } = {}) {
+  const tierSettings = config.tiers[tier] || config.tiers.standard;
+  const characterSettings = (character && character.generation) || {};
+
+  const options = resolveTarget({ tier, character });
+
+  GENERATION_PARAMS.forEach(param => {
+    const characterValue = characterSettings[param];
+    const tierValue = tierSettings[param];
+
+    if (characterValue !== undefined && characterValue !== null) {
+      options[param] = characterValue;
+    } else if (tierValue !== undefined) {
+      options[param] = tierValue;
+    } else {
+      options[param] = config[param];
+    }
+  });
+
+  const contextBudget = contextBuilder.getContextBudget(options.model);
+  options.maxTokens = Math.min(options.maxTokens, contextBudget - config.minPromptTokens);
+
+  if (characterSettings.stop && characterSettings.stop.length > 0) {
+    options.stop = [...characterSettings.stop];
+  }
+
+  return options;
+}
+
+module.exports = {
+  getProvider,
+  hasProvider,
+  listProviders,
+  resolveTarget,
+  resolveGenerationOptions,
+};
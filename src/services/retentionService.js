@@ -0,0 +1,342 @@
+/**
+ * Retention Service
+ *
+ * Enforces the retention policies in retentionConfig: documents and files
+ * older than their policy allows are deleted by a scheduled purger, or by a
+ * MongoDB TTL index for policies that can use one. A dry run changes nothing,
+ * not even TTL indexes; it only reports what would be deleted, so admins can
+ * check the policies before they take effect. TTL indexes are created by
+ * enforced runs and dropped at startup while the config is in dry-run mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Report = require('../models/Report');
+const ModerationEvent = require('../models/ModerationEvent');
+const UsageRecord = require('../models/UsageRecord');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const auditService = require('./auditService');
+const config = require('../config/retentionConfig');
+const logger = require('../utils/logger');
+
+const MODELS = { Report, ModerationEvent, UsageRecord, Conversation };
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Audit actor of scheduled purges, in place of the request of an admin
+const SYSTEM_REQUEST = { adminUser: { username: 'system', role: 'system' } };
+
+let timer = null;
+let running = null;
+let lastRun = null;
+
+/**
+ * Name of the TTL index of a policy
+ * @param {Object} policy - Collection policy
+ * @returns {string} - Index name
+ */
+function ttlIndexName(policy) {
+  return `retention_${policy.name}`;
+}
+
+/**
+ * Build the query for the documents a policy would delete
+ * @param {Object} policy - Collection policy
+ * @param {Date} cutoff - Documents older than this are expired
+ * @returns {Object} - MongoDB query
+ */
+function buildExpiredQuery(policy, cutoff) {
+  return { ...(policy.filter || {}), [policy.dateField]: { $lt: cutoff } };
+}
+
+/**
+ * Create, update or drop the TTL index of a policy
+ *
+ * The index only exists while the policy is enforced, i.e. dry-run is off in
+ * the config and the policy has a retention period.
+ * @param {Object} policy - Collection policy with `ttl`
+ * @param {boolean} enforce - Whether policies are enforced
+ * @returns {Promise<void>}
+ */
+async function syncTtlIndex(policy, enforce) {
+  const model = MODELS[policy.model];
+  const collection = model.collection;
+  const name = ttlIndexName(policy);
+  const existing = (await collection.indexes()).find(index => index.name === name);
+
+  if (!enforce || !policy.days) {
+    if (existing) {
+      await collection.dropIndex(name);
+      logger.info(`Dropped TTL index ${name}`);
+    }
+    return;
+  }
+
+  const seconds = policy.days * 24 * 60 * 60;
+  if (existing && existing.expireAfterSeconds === seconds) {return;}
+
+  if (existing) {
+    await model.db.db.command({ collMod: collection.collectionName, index: { name, expireAfterSeconds: seconds } });
+  } else {
+    await collection.createIndex({ [policy.dateField]: 1 }, { name, expireAfterSeconds: seconds });
+  }
+  logger.info(`TTL index ${name} expires documents after ${policy.days} days`);
+}
+
+/**
+ * Delete expired conversations together with their messages, in batches
+ * @param {Object} query - Query for the expired conversations
+ * @returns {Promise<Object>} - Deleted conversations and messages
+ */
+async function purgeConversations(query) {
+  const deleted = { documents: 0, messages: 0 };
+
+  for (;;) {
+    const ids = (await Conversation.find(query).select('_id').limit(config.batchSize).lean()).map(doc => doc._id);
+    if (ids.length === 0) {break;}
+
+    const messages = await Message.deleteMany({ conversationId: { $in: ids } });
+    const conversations = await Conversation.deleteMany({ _id: { $in: ids } });
+    deleted.messages += messages.deletedCount;
+    deleted.documents += conversations.deletedCount;
+
+    if (ids.length < config.batchSize) {break;}
+  }
+
+  return deleted;
+}
+
+/**
+ * Apply one collection policy
+ * @param {Object} policy - Collection policy
+ * @param {boolean} enforce - Delete the expired documents rather than count them
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Report entry for the policy
+ */
+async function applyCollectionPolicy(policy, enforce, now) {
+  const entry = {
+    name: policy.name,
+    type: 'collection',
+    collection: MODELS[policy.model].collection.collectionName,
+    days: policy.days,
+    mechanism: policy.ttl ? 'ttl_index' : 'purger',
+  };
+
+  // A dry run must not touch indexes either
+  if (policy.ttl && enforce) {
+    await syncTtlIndex(policy, true);
+  }
+  if (!policy.days) {return { ...entry, expired: 0 };}
+
+  const cutoff = new Date(now.getTime() - policy.days * DAY_MS);
+  const query = buildExpiredQuery(policy, cutoff);
+  entry.cutoff = cutoff;
+
+  if (!enforce) {
+    entry.expired = await MODELS[policy.model].countDocuments(query);
+    if (policy.model === 'Conversation') {
+      const ids = await Conversation.find(query).distinct('_id');
+      entry.expiredMessages = await Message.countDocuments({ conversationId: { $in: ids } });
+    }
+    return entry;
+  }
+
+  // TTL policies are also purged here so data is gone as soon as the policy is enforced;
+  // the TTL monitor keeps up between runs
+  if (policy.model === 'Conversation') {
+    const deleted = await purgeConversations(query);
+    return { ...entry, deleted: deleted.documents, deletedMessages: deleted.messages };
+  }
+
+  const result = await MODELS[policy.model].deleteMany(query);
+  return { ...entry, deleted: result.deletedCount };
+}
+
+/**
+ * Apply one file policy
+ * @param {Object} policy - File policy
+ * @param {boolean} enforce - Delete the expired files rather than count them
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Report entry for the policy
+ */
+async function applyFilePolicy(policy, enforce, now) {
+  const entry = { name: policy.name, type: 'files', directory: policy.directory, days: policy.days, mechanism: 'purger' };
+  if (!policy.days) {return { ...entry, expired: 0 };}
+
+  const cutoff = new Date(now.getTime() - policy.days * DAY_MS);
+  const directory = path.join(PROJECT_ROOT, policy.directory);
+  entry.cutoff = cutoff;
+
+  let names = [];
+  try {
+    names = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {throw error;}
+  }
+
+  const expired = [];
+  let bytes = 0;
+  for (const name of names) {
+    // Keep placeholder files such as .gitkeep
+    if (name.startsWith('.')) {continue;}
+
+    const file = path.join(directory, name);
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (stats && stats.isFile() && stats.mtime < cutoff) {
+      expired.push(file);
+      bytes += stats.size;
+    }
+  }
+
+  if (!enforce) {
+    return { ...entry, expired: expired.length, bytes };
+  }
+
+  let deleted = 0;
+  for (const file of expired) {
+    try {
+      await fs.promises.unlink(file);
+      deleted += 1;
+    } catch (error) {
+      logger.warn(`Could not delete expired file ${file}: ${error.message}`);
+    }
+  }
+
+  return { ...entry, deleted, bytes };
+}
+
+/**
+ * Apply every retention policy
+ * @param {boolean} enforce - Delete the expired data rather than count it
+ * @returns {Promise<Object>} - Report with an entry per policy
+ */
+async function applyPolicies(enforce) {
+  const now = new Date();
+  const policies = [];
+
+  for (const policy of config.collections) {
+    try {
+      policies.push(await applyCollectionPolicy(policy, enforce, now));
+    } catch (error) {
+      logger.error(`Error applying retention policy ${policy.name}: ${error.message}`);
+      policies.push({ name: policy.name, type: 'collection', error: error.message });
+    }
+  }
+
+  for (const policy of config.files) {
+    try {
+      policies.push(await applyFilePolicy(policy, enforce, now));
+    } catch (error) {
+      logger.error(`Error applying retention policy ${policy.name}: ${error.message}`);
+      policies.push({ name: policy.name, type: 'files', error: error.message });
+    }
+  }
+
+  return { dryRun: !enforce, ranAt: now, policies };
+}
+
+/**
+ * Run every retention policy once
+ *
+ * Enforced runs do not overlap; a call during one starts after it. Dry runs
+ * only read, so they never wait for a purge.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=config.dryRun] - Only report what would be deleted
+ * @returns {Promise<Object>} - Report with an entry per policy
+ */
+async function runPolicies({ dryRun = config.dryRun } = {}) {
+  if (dryRun) {
+    return applyPolicies(false);
+  }
+
+  while (running) {
+    await running.catch(() => {});
+  }
+
+  running = applyPolicies(true).then(report => {
+    lastRun = report;
+    const total = report.policies.reduce((sum, entry) => sum + (entry.deleted || 0), 0);
+    logger.info(`Retention purge deleted ${total} documents and files`);
+    return report;
+  }).finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+/**
+ * Run the policies on schedule
+ *
+ * Enforced runs are recorded in the audit log with the system as actor; dry
+ * runs only log how much data has expired.
+ * @returns {Promise<void>}
+ */
+async function runScheduled() {
+  try {
+    const report = await runPolicies();
+
+    if (!report.dryRun) {
+      await auditService.record(SYSTEM_REQUEST, {
+        action: 'retention.purge',
+        targetType: 'retention',
+        targetId: 'all',
+      });
+      return;
+    }
+
+    const expired = report.policies.filter(entry => entry.expired > 0)
+      .map(entry => `${entry.name}: ${entry.expired}`);
+    logger.info(`Retention dry run${expired.length > 0 ? `, expired ${expired.join(', ')}` : ': nothing expired'}`);
+  } catch (error) {
+    logger.error(`Error running retention policies: ${error.message}`);
+  }
+}
+
+/**
+ * Get the last enforced run
+ * @returns {Object|null} - Report of the last run that deleted data, if any since startup
+ */
+function getLastRun() {
+  return lastRun;
+}
+
+/**
+ * Bring the TTL indexes in line with the configured mode, dropping them while
+ * the config is in dry-run mode
+ * @returns {Promise<void>}
+ */
+async function syncTtlIndexes() {
+  for (const policy of config.collections.filter(collectionPolicy => collectionPolicy.ttl)) {
+    try {
+      await syncTtlIndex(policy, !config.dryRun);
+    } catch (error) {
+      logger.error(`Error syncing TTL index for retention policy ${policy.name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Start the scheduled purger
+ *
+ * TTL indexes are synced with the config right away. The first run happens a
+ * minute after startup, then every intervalHours.
+ */
+function start() {
+  if (timer) {return;}
+
+  syncTtlIndexes();
+
+  setTimeout(runScheduled, 60 * 1000).unref();
+  timer = setInterval(runScheduled, config.intervalHours * 60 * 60 * 1000);
+  timer.unref();
+}
+
+module.exports = {
+  runPolicies,
+  runScheduled,
+  getLastRun,
+  start,
+};
@@ -0,0 +1,81 @@
+/**
+ * Usage Service
+ *
+ * Records token usage and estimated cost for each LLM request.
+ */
+
+const UsageRecord = require('../models/UsageRecord');
+const config = require('../config/openaiConfig');
+const { estimateTokens } = require('./contextBuilder');
+const logger = require('../utils/logger');
+
+/**
+ * Estimate the cost of a request from the configured price table
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number} - Cost in USD; 0 for models without a price
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = config.pricing[model];
+  if (!price) {return 0;}
+
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+}
+
+/**
+ * Store a usage record for a request
+ *
+ * When the provider did not report usage, token counts are estimated from the
+ * messages and the response content.
+ * @param {Object} details - Request details
+ * @param {string} details.purpose - 'chat', 'premium_chat' or 'summary'
+ * @param {string} [details.userId] - Firebase ID of the user
+ * @param {string} [details.characterId] - Custom id of the character
+ * @param {string} [details.conversationId] - Conversation ID
+ * @param {string} details.provider - Provider that served the request
+ * @param {string} details.model - Model that served the request
+ * @param {Object|null} details.usage - Usage reported by the provider
+ * @param {Array} [details.messages] - Prompt messages, for estimation
+ * @param {string} [details.content] - Response content, for estimation
+ * @param {number} [details.latencyMs] - Request latency
+ * @returns {Promise<Object>} - The stored usage record
+ */
+async function recordUsage({ purpose, userId, characterId, conversationId, provider, model, usage, messages = [], content = '', latencyMs }) {
+  const estimated = !usage;
+  const promptTokens = usage
+    ? usage.prompt_tokens || 0
+    : messages.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+  const completionTokens = usage ? usage.completion_tokens || 0 : estimateTokens(content);
+
+  return UsageRecord.create({
+    purpose,
+    userId,
+    characterId,
+    conversationId,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated,
+    latencyMs,
+    cost: estimateCost(model, promptTokens, completionTokens),
+  });
+}
+
+/**
+ * Store a usage record in the background without delaying the reply
+ * @param {Object} details - Request details, see recordUsage
+ */
+function scheduleUsageRecord(details) {
+  recordUsage(details).catch(error => {
+    logger.error(`Error recording usage: ${error.message}`);
+  });
+}
+
+module.exports = {
+  estimateCost,
+  recordUsage,
+  scheduleUsageRecord,
+};
@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/User');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const Report = require('../src/models/Report');
+const ModerationEvent = require('../src/models/ModerationEvent');
+const UsageRecord = require('../src/models/UsageRecord');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const UserTombstone = require('../src/models/UserTombstone');
+const UsedConfirmationToken = require('../src/models/UsedConfirmationToken');
+const accountDataService = require('../src/services/accountDataService');
+const auditService = require('../src/services/auditService');
+const adminController = require('../src/controllers/adminController');
+const adminAuthConfig = require('../src/config/adminAuthConfig');
+const config = require('../src/config/accountDataConfig');
+
+const UID = 'firebase-user-1';
+
+config.subjectHashSecret = 'test-subject-secret';
+adminAuthConfig.sessionSecret = 'test-session-secret';
+
+/**
+ * Stand in for a lean query, applying the excluded fields of select()
+ * @param {Object|Array} result - Documents the query finds
+ * @returns {Object} - Chainable query
+ */
+function leanQuery(result) {
+  let excluded = [];
+  const project = (doc) => {
+    const copy = JSON.parse(JSON.stringify(doc));
+    excluded.forEach(path => {
+      const parts = path.split('.');
+      const parent = parts.slice(0, -1).reduce((value, key) => (value ? value[key] : undefined), copy);
+      if (parent) {delete parent[parts[parts.length - 1]];}
+    });
+    return copy;
+  };
+
+  const query = {
+    select(fields) {
+      excluded = fields.split(/\s+/).filter(field => field.startsWith('-')).map(field => field.slice(1));
+      return query;
+    },
+    sort: () => query,
+    lean: async () => (Array.isArray(result) ? result.map(project) : project(result)),
+  };
+  return query;
+}
+
+test('exportUserData leaves out moderator notes and the memory summary', async () => {
+  User.findOne = () => leanQuery({ firebaseUid: UID, profile: { displayName: 'Sam' } });
+  Report.find = () => leanQuery([{ reporterId: UID, details: 'Spam', adminReview: { status: 'resolved', notes: 'Internal note' } }]);
+  Conversation.find = () => leanQuery([{
+    _id: 'c1',
+    userId: UID,
+    characterId: 'mia',
+    safety: { flagged: true, notes: 'Moderator note', reviewedBy: 'moderator' },
+    memory: { summary: 'Summary of the chat' },
+  }]);
+  Message.find = () => leanQuery([{ conversationId: 'c1', userId: UID, role: 'user', content: 'Hi' }]);
+
+  const data = await accountDataService.exportUserData(UID);
+
+  assert.strictEqual(data.profile.profile.displayName, 'Sam');
+  assert.strictEqual(data.reports[0].details, 'Spam');
+  assert.strictEqual(data.reports[0].adminReview.notes, undefined);
+  assert.strictEqual(data.conversations.length, 1);
+  assert.strictEqual(data.conversations[0].safety, undefined);
+  assert.strictEqual(data.conversations[0].memory, undefined);
+  assert.deepStrictEqual(data.conversations[0].messages.map(message => message.content), ['Hi']);
+  assert.strictEqual(data.conversations[0].messages[0].userId, undefined);
+});
+
+test('eraseUserData deletes and anonymizes the user\'s data and leaves a hashed tombstone', async () => {
+  const calls = [];
+  const track = (name, result) => async (filter, update) => {
+    calls.push({ name, filter, update });
+    return result;
+  };
+
+  Message.deleteMany = track('messages', { deletedCount: 4 });
+  Conversation.deleteMany = track('conversations', { deletedCount: 1 });
+  IdempotencyKey.deleteMany = track('idempotencyKeys', { deletedCount: 2 });
+  Report.updateMany = track('reports', { modifiedCount: 1 });
+  ModerationEvent.updateMany = track('moderationEvents', { modifiedCount: 3 });
+  UsageRecord.updateMany = track('usageRecords', { modifiedCount: 5 });
+  User.deleteMany = track('users', { deletedCount: 1 });
+
+  let tombstone;
+  UserTombstone.create = async (doc) => {
+    tombstone = new UserTombstone(doc);
+    tombstone.save = async () => tombstone;
+    return tombstone;
+  };
+
+  const result = await accountDataService.eraseUserData(UID, { type: 'user' });
+
+  assert.strictEqual(result, tombstone);
+  assert.strictEqual(result.status, 'completed');
+  assert.strictEqual(result.subjectHash, accountDataService.hmacSubject(UID));
+  assert.notStrictEqual(result.subjectHash, UID);
+  assert.deepStrictEqual(result.counts, {
+    messages: 4,
+    conversations: 1,
+    idempotencyKeys: 2,
+    reports: 1,
+    moderationEvents: 3,
+    usageRecords: 5,
+    users: 1,
+  });
+
+  // The user record goes last, so a failed erasure can be run again
+  assert.strictEqual(calls[calls.length - 1].name, 'users');
+  const reports = calls.find(call => call.name === 'reports');
+  assert.notStrictEqual(reports.update.$set.reporterId, UID);
+  assert.ok(!JSON.stringify(calls.filter(call => call.update).map(call => call.update)).includes(UID));
+});
+
+test('eraseUserData marks the tombstone failed when a step fails', async () => {
+  const updates = [];
+  Message.deleteMany = async () => {
+    throw new Error('connection lost');
+  };
+  UserTombstone.create = async (doc) => new UserTombstone(doc);
+  UserTombstone.updateOne = async (filter, update) => {
+    updates.push(update);
+  };
+
+  await assert.rejects(accountDataService.eraseUserData(UID, { type: 'user' }), /connection lost/);
+  assert.strictEqual(updates[0].$set.status, 'failed');
+});
+
+test('audit diffs record personal data as changed without its values', () => {
+  const changes = auditService.diff(null, {
+    firebaseUid: UID,
+    ageAssurance: { birthdate: new Date('1990-05-01'), method: 'document' },
+    profile: { displayName: 'Sam' },
+  });
+  const byField = Object.fromEntries(changes.map(change => [change.field, change.after]));
+
+  assert.strictEqual(byField.firebaseUid, '[redacted]');
+  assert.strictEqual(byField['ageAssurance.birthdate'], '[redacted]');
+  assert.strictEqual(byField['profile.displayName'], '[redacted]');
+  assert.strictEqual(byField['ageAssurance.method'], 'document');
+  assert.ok(!JSON.stringify(changes).includes('1990'));
+});
+
+test('admin export audits the user by subject HMAC', async () => {
+  const events = [];
+  const exportUserData = accountDataService.exportUserData;
+  const record = auditService.record;
+  accountDataService.exportUserData = async () => ({ firebaseUid: UID });
+  auditService.record = async (req, event) => {
+    events.push(event);
+  };
+
+  try {
+    const res = { set: () => res, status: () => res, json: () => res };
+    await adminController.exportUserData({ params: { firebaseUid: UID }, adminUser: { id: 'a1', username: 'admin' } }, res);
+  } finally {
+    accountDataService.exportUserData = exportUserData;
+    auditService.record = record;
+  }
+
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].targetId, accountDataService.hmacSubject(UID));
+});
+
+test('the subject HMAC is keyed by the server secret', () => {
+  const hmac = accountDataService.hmacSubject(UID);
+  assert.match(hmac, /^[a-f0-9]{64}$/);
+  assert.strictEqual(accountDataService.hmacSubject(UID), hmac);
+
+  config.subjectHashSecret = 'another-secret';
+  try {
+    assert.notStrictEqual(accountDataService.hmacSubject(UID), hmac);
+
+    config.subjectHashSecret = undefined;
+    assert.throws(() => accountDataService.hmacSubject(UID), /SUBJECT_HASH_SECRET not set/);
+  } finally {
+    config.subjectHashSecret = 'test-subject-secret';
+  }
+});
+
+test('an erasure confirmation token erases once', async () => {
+  const usedNonces = new Set();
+  UsedConfirmationToken.create = async ({ jti }) => {
+    if (usedNonces.has(jti)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    usedNonces.add(jti);
+  };
+  const erasures = [];
+  const eraseUserData = accountDataService.eraseUserData;
+  const record = auditService.record;
+  accountDataService.eraseUserData = async (firebaseUid) => {
+    erasures.push(firebaseUid);
+    return { _id: 'tombstone-1', counts: {} };
+  };
+  auditService.record = async () => {};
+
+  const adminUser = { id: 'a1', username: 'admin' };
+  const confirm = { status: () => confirm, json: body => Object.assign(confirm, { body }) };
+  adminController.getUserErasureConfirmation({ params: { firebaseUid: UID }, adminUser }, confirm);
+
+  const erase = async () => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json: () => res,
+    };
+    await adminController.eraseUserData({
+      params: { firebaseUid: UID },
+      headers: { 'x-confirmation-token': confirm.body.confirmationToken },
+      body: {},
+      adminUser,
+    }, res);
+    return res.statusCode;
+  };
+
+  try {
+    assert.strictEqual(await erase(), 200);
+    assert.strictEqual(await erase(), 428);
+  } finally {
+    accountDataService.eraseUserData = eraseUserData;
+    auditService.record = record;
+  }
+
+  assert.deepStrictEqual(erasures, [UID]);
+});
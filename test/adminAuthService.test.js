@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AdminUser = require('../src/models/AdminUser');
+const config = require('../src/config/adminAuthConfig');
+const adminAuthService = require('../src/services/adminAuthService');
+
+config.sessionSecret = 'test-session-secret';
+
+const PASSWORD = 'correct horse battery';
+
+/**
+ * Keep one admin account in memory instead of the database
+ * @param {Object} [fields] - Account fields to override
+ * @returns {Promise<Object>} - The account
+ */
+async function stubAdmin(fields = {}) {
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    username: 'editor1',
+    role: 'editor',
+    active: true,
+    sessionVersion: 0,
+    failedLoginAttempts: 0,
+    passwordHash: await adminAuthService.hashPassword(PASSWORD),
+    ...fields,
+  };
+
+  AdminUser.findById = async id => (String(id) === String(admin._id) ? admin : null);
+  AdminUser.findOne = ({ username }) => ({ select: async () => (username === admin.username ? admin : null) });
+  AdminUser.findOneAndUpdate = async (filter, update) => {
+    admin.failedLoginAttempts += update.$inc.failedLoginAttempts;
+    return admin;
+  };
+  AdminUser.updateOne = async (filter, update) => {
+    Object.assign(admin, update.$set);
+    if (update.$inc) {admin.sessionVersion += update.$inc.sessionVersion;}
+    if (update.$unset) {Object.keys(update.$unset).forEach(field => delete admin[field]);}
+  };
+
+  return admin;
+}
+
+test('passwords are salted and verified against their hash', async () => {
+  const first = await adminAuthService.hashPassword(PASSWORD);
+  const second = await adminAuthService.hashPassword(PASSWORD);
+
+  assert.match(first, /^scrypt\$16384\$8\$1\$/);
+  assert.notStrictEqual(first, second);
+  assert.strictEqual(await adminAuthService.verifyPassword(PASSWORD, first), true);
+  assert.strictEqual(await adminAuthService.verifyPassword('wrong password', first), false);
+  assert.strictEqual(await adminAuthService.verifyPassword(PASSWORD, 'plain-text'), false);
+  assert.match(adminAuthService.validatePassword('short'), /at least 12 characters/);
+});
+
+test('a login returns a session token that authenticates the admin', async () => {
+  const admin = await stubAdmin();
+
+  const { token, expiresAt } = await adminAuthService.login(' Editor1 ', PASSWORD, '127.0.0.1');
+
+  assert.ok(expiresAt > new Date());
+  assert.strictEqual(await adminAuthService.authenticate(token), admin);
+  assert.strictEqual(admin.lastLoginIp, '127.0.0.1');
+});
+
+test('session tokens stop working when tampered with, revoked or the account is disabled', async () => {
+  const admin = await stubAdmin();
+  const { token } = adminAuthService.createSessionToken(admin);
+  const [payload, signature] = token.split('.');
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 3600 })).toString('base64url');
+  assert.strictEqual(await adminAuthService.authenticate(`${forged}.${signature}`), null);
+
+  await adminAuthService.revokeSessions(admin._id);
+  assert.strictEqual(await adminAuthService.authenticate(token), null);
+
+  const fresh = adminAuthService.createSessionToken(admin).token;
+  admin.active = false;
+  assert.strictEqual(await adminAuthService.authenticate(fresh), null);
+});
+
+test('repeated failed logins lock the account', async () => {
+  const admin = await stubAdmin();
+
+  for (let attempt = 0; attempt < config.maxFailedLogins; attempt++) {
+    await assert.rejects(adminAuthService.login('editor1', 'wrong password'), { code: 'INVALID_CREDENTIALS' });
+  }
+
+  assert.ok(admin.lockedUntil > new Date());
+  await assert.rejects(adminAuthService.login('editor1', PASSWORD), { code: 'ACCOUNT_LOCKED' });
+  await assert.rejects(adminAuthService.login('nobody', PASSWORD), { code: 'INVALID_CREDENTIALS' });
+});
+
+test('roles only reach the areas they are allowed in', () => {
+  assert.strictEqual(adminAuthService.hasPermission('editor', 'characters'), true);
+  assert.strictEqual(adminAuthService.hasPermission('moderator', 'characters'), false);
+  assert.strictEqual(adminAuthService.hasPermission('editor', 'permanentDelete'), false);
+  assert.strictEqual(adminAuthService.hasPermission('superadmin', 'permanentDelete'), true);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AuditEvent = require('../src/models/AuditEvent');
+const auditService = require('../src/services/auditService');
+const auditController = require('../src/controllers/auditController');
+
+const EVENT = {
+  actor: { id: 'admin-1', username: 'root' },
+  role: 'superadmin',
+  action: 'character.update',
+  target: { type: 'character', id: 'mia' },
+  changes: [{ field: 'name', before: 'Mia', after: 'Mia, "the barista"' }],
+  ip: '127.0.0.1',
+};
+
+test('diff lists changed fields by dotted path and leaves bookkeeping out', () => {
+  const before = { _id: 'x', updatedAt: 1, name: 'Mia', generation: { temperature: 1, topP: 0.9 }, tags: ['a'], imageData: 'old' };
+  const after = { _id: 'x', updatedAt: 2, name: 'Mia', generation: { temperature: 0.5, topP: 0.9 }, tags: ['a', 'b'], imageData: 'new', bio: 'Hi' };
+
+  assert.deepStrictEqual(auditService.diff(before, after), [
+    { field: 'bio', before: null, after: 'Hi' },
+    { field: 'generation.temperature', before: 1, after: 0.5 },
+    { field: 'tags', before: ['a'], after: ['a', 'b'] },
+  ]);
+});
+
+test('diff covers creates and deletes and records secrets without their values', () => {
+  assert.deepStrictEqual(auditService.diff(null, { name: 'Mia' }), [{ field: 'name', before: null, after: 'Mia' }]);
+  assert.deepStrictEqual(auditService.diff({ name: 'Mia' }, null), [{ field: 'name', before: 'Mia', after: null }]);
+  assert.deepStrictEqual(auditService.diff({ passwordHash: 'a' }, { passwordHash: 'b' }), [
+    { field: 'passwordHash', before: '[redacted]', after: '[redacted]' },
+  ]);
+});
+
+test('record stores the admin, IP and changes, and never fails the request', async () => {
+  const created = [];
+  AuditEvent.create = async event => created.push(event);
+
+  const req = { adminUser: { id: 'admin-1', username: 'root', role: 'superadmin' }, ip: '127.0.0.1' };
+  await auditService.record(req, { action: 'character.update', targetType: 'character', targetId: 42, before: { name: 'Mia' }, after: { name: 'Mila' } });
+
+  assert.deepStrictEqual(created, [{
+    actor: { id: 'admin-1', username: 'root' },
+    role: 'superadmin',
+    action: 'character.update',
+    target: { type: 'character', id: '42' },
+    changes: [{ field: 'name', before: 'Mia', after: 'Mila' }],
+    ip: '127.0.0.1',
+  }]);
+
+  AuditEvent.create = async () => {
+    throw new Error('database down');
+  };
+  await auditService.record(req, { action: 'character.delete', targetType: 'character', targetId: 'mia' });
+});
+
+test('stored audit events cannot be changed or deleted', async () => {
+  const stored = new AuditEvent(EVENT);
+  stored.isNew = false;
+
+  await assert.rejects(stored.save(), /cannot be changed or deleted/);
+  await assert.rejects(stored.deleteOne(), /cannot be changed or deleted/);
+  await assert.rejects(AuditEvent.updateOne({ action: 'character.update' }, { $set: { ip: '10.0.0.1' } }), /cannot be changed or deleted/);
+  await assert.rejects(AuditEvent.findOneAndUpdate({}, { $set: { ip: '10.0.0.1' } }), /cannot be changed or deleted/);
+  await assert.rejects(AuditEvent.deleteMany({}), /cannot be changed or deleted/);
+  await assert.rejects(AuditEvent.findOneAndDelete({}), /cannot be changed or deleted/);
+});
+
+/**
+ * Export the audit log as CSV from a fixed list of events
+ * @param {Array<Object>} events - Stored events
+ * @param {Object} [query] - Query parameters
+ * @returns {Promise<Object>} - The response, with the filter the export used
+ */
+async function exportCsv(events, query = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    written: '',
+    set(headers) {
+      Object.assign(res.headers, headers);
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    write(chunk) {
+      res.written += chunk;
+    },
+    end() {
+      res.ended = true;
+    },
+  };
+
+  AuditEvent.find = filter => {
+    res.filter = filter;
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      lean: () => chain,
+      cursor: async function* () {
+        yield* events;
+      },
+    };
+    return chain;
+  };
+
+  await auditController.exportAuditEvents({ query }, res);
+  return res;
+}
+
+test('the CSV export has a header row and quotes cells', async () => {
+  const res = await exportCsv([{ ...EVENT, createdAt: new Date('2026-03-01T10:00:00Z') }], { actor: 'Root', action: 'character.update' });
+
+  assert.match(res.headers['Content-Type'], /^text\/csv/);
+  assert.deepStrictEqual(res.filter, { 'actor.username': 'root', 'action': 'character.update' });
+  assert.deepStrictEqual(res.written.split('\n'), [
+    'createdAt,actor,role,action,targetType,targetId,changes,ip',
+    '2026-03-01T10:00:00.000Z,root,superadmin,character.update,character,mia,' +
+      '"[{""field"":""name"",""before"":""Mia"",""after"":""Mia, \\""the barista\\""""}]",127.0.0.1',
+    '',
+  ]);
+  assert.strictEqual(res.ended, true);
+});
+
+test('the CSV export neutralizes spreadsheet formulas and rejects invalid dates', async () => {
+  const event = { ...EVENT, actor: { username: '=HYPERLINK("http://evil")' }, createdAt: new Date('2026-03-01T10:00:00Z') };
+  const res = await exportCsv([event]);
+
+  assert.ok(res.written.split('\n')[1].includes('"\'=HYPERLINK(""http://evil"")"'));
+
+  const invalid = await exportCsv([], { from: 'yesterday' });
+  assert.strictEqual(invalid.statusCode, 400);
+  assert.strictEqual(invalid.written, '');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/User');
+const Character = require('../src/models/Character');
+const ageAssuranceService = require('../src/services/ageAssuranceService');
+const characterController = require('../src/controllers/characterController');
+const { generateCharacterResponse } = require('../src/controllers/aiController');
+
+const CHARACTERS = [
+  { id: 'mia', name: 'Mia', isActive: true },
+  { id: 'leo', name: 'Leo', isActive: true },
+];
+
+// The user "user-1" blocked Leo
+const BLOCKED = { 'user-1': ['leo'] };
+
+User.findOne = ({ firebaseUid }) => ({
+  select: () => ({ lean: async () => (BLOCKED[firebaseUid] ? { blockedCharacterIds: BLOCKED[firebaseUid] } : null) }),
+});
+User.exists = async ({ firebaseUid, blockedCharacterIds }) => (BLOCKED[firebaseUid] || []).includes(blockedCharacterIds);
+
+Character.find = filter => ({
+  sort: async () => CHARACTERS.filter(character => !filter.id.$nin.includes(character.id)),
+});
+Character.findById = async () => null;
+Character.findOne = async ({ id }) => CHARACTERS.find(character => character.id === id) || null;
+
+/**
+ * Minimal Express request and response for a controller call
+ * @param {Object} fields - Request fields
+ * @returns {Object} - { req, res } where res records the status and body
+ */
+function mockRequest(fields) {
+  const req = { protocol: 'http', get: () => 'localhost', headers: {}, query: {}, params: {}, body: {}, ...fields };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return { req, res };
+}
+
+test('the catalog leaves out characters the user blocked', async () => {
+  const { req, res } = mockRequest({ user: { firebaseId: 'user-1' } });
+  await characterController.getAllCharacters(req, res);
+  assert.deepStrictEqual(res.body.map(character => character.id), ['mia']);
+
+  const anonymous = mockRequest({});
+  await characterController.getAllCharacters(anonymous.req, anonymous.res);
+  assert.deepStrictEqual(anonymous.res.body.map(character => character.id), ['mia', 'leo']);
+});
+
+test('a blocked character is not found by ID', async () => {
+  const { req, res } = mockRequest({ user: { firebaseId: 'user-1' }, params: { id: 'leo' } });
+  await characterController.getCharacterById(req, res);
+  assert.strictEqual(res.statusCode, 404);
+});
+
+test('chat with a blocked character is refused', async () => {
+  ageAssuranceService.resolveContentMode = async () => ({ uncensored: false });
+
+  const { req, res } = mockRequest({ user: { firebaseId: 'user-1' }, body: { characterId: 'leo', message: 'Hi' } });
+  await generateCharacterResponse('standard')(req, res);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.code, 'CHARACTER_BLOCKED');
+});
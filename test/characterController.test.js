@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Character = require('../src/models/Character');
+const PromptTemplate = require('../src/models/PromptTemplate');
+const AdminUser = require('../src/models/AdminUser');
+const UsedConfirmationToken = require('../src/models/UsedConfirmationToken');
+const adminConfig = require('../src/config/adminAuthConfig');
+const adminAuthService = require('../src/services/adminAuthService');
+const auditService = require('../src/services/auditService');
+const characterController = require('../src/controllers/characterController');
+const { authorizeAdmin } = require('../src/middleware/authMiddleware');
+
+adminConfig.sessionSecret = 'test-session-secret';
+
+// Audit events have their own tests; keep them out of the database
+auditService.record = async () => {};
+
+// Nonces of used confirmation tokens, unique like the collection's index
+const usedNonces = new Set();
+UsedConfirmationToken.create = async ({ jti }) => {
+  if (usedNonces.has(jti)) {throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });}
+  usedNonces.add(jti);
+};
+
+const SUPERADMIN = { id: '64b000000000000000000001', username: 'root', role: 'superadmin' };
+const OTHER_ADMIN = { id: '64b000000000000000000002', username: 'root2', role: 'superadmin' };
+
+/**
+ * Minimal Express response that records what was sent
+ * @returns {Object} - Response with `statusCode` and `body`
+ */
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+/**
+ * Update the prompt template pin of the character "mia"
+ * @param {*} promptTemplate - Pin as sent in the request body
+ * @returns {Promise<Object>} - The response and the character as it was saved, if it was
+ */
+async function updatePin(promptTemplate) {
+  const character = { id: 'mia', name: 'Mia', promptTemplate: { version: 1 }, toObject: () => ({ ...character }) };
+  let saved = null;
+  character.save = async () => {
+    saved = { ...character };
+  };
+  Character.findOne = async () => character;
+  // Version 2 of the default family is published, version 3 is a draft
+  PromptTemplate.exists = async ({ name, version }) => (name === 'persona' && version === 2 ? { _id: 'template-2' } : null);
+
+  const res = mockResponse();
+  await characterController.updateCharacter({
+    params: { id: 'mia' },
+    body: { promptTemplate },
+    protocol: 'http',
+    get: () => 'localhost',
+  }, res);
+  return { res, saved };
+}
+
+test('an invalid prompt template pin is rejected', async () => {
+  for (const promptTemplate of ['{"version": 2', 5, '"x"', { name: 'foo' }, { version: 0 }, { version: '2' }, [], '{"version": -1}', { name: '', version: 2 }]) {
+    const { res, saved } = await updatePin(promptTemplate);
+
+    assert.strictEqual(res.statusCode, 400, JSON.stringify(promptTemplate));
+    assert.match(res.body.message, /^promptTemplate/, JSON.stringify(promptTemplate));
+    assert.strictEqual(saved, null);
+  }
+});
+
+test('only published or archived template versions can be pinned', async () => {
+  for (const promptTemplate of [{ version: 3 }, { name: 'other', version: 2 }]) {
+    const { res, saved } = await updatePin(promptTemplate);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.body.message, /does not exist or is a draft/);
+    assert.strictEqual(saved, null);
+  }
+
+  const { res, saved } = await updatePin('{"version": 2}');
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(saved.promptTemplate, { name: undefined, version: 2 });
+});
+
+test('only an explicit null unpins the template', async () => {
+  for (const promptTemplate of [null, 'null']) {
+    const { saved } = await updatePin(promptTemplate);
+    assert.strictEqual(saved.promptTemplate, undefined);
+  }
+
+  const { saved } = await updatePin(undefined);
+  assert.deepStrictEqual(saved.promptTemplate, { version: 1 });
+});
+
+test('generation updates change only the fields sent and null unsets a field', async () => {
+  const character = new Character({ id: 'mia', name: 'Mia', generation: { provider: 'openai', temperature: 1.2, topP: 0.8, stop: ['User:'] } });
+  character.save = async () => {};
+  Character.findOne = async () => character;
+
+  const res = mockResponse();
+  await characterController.updateCharacter({
+    params: { id: 'mia' },
+    body: { generation: JSON.stringify({ temperature: 0, topP: null, stop: [] }) },
+    protocol: 'http',
+    get: () => 'localhost',
+  }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(character.generation.provider, 'openai');
+  assert.strictEqual(character.generation.temperature, 0);
+  assert.strictEqual(character.generation.topP, undefined);
+  assert.strictEqual(character.generation.stop, undefined);
+});
+
+test('out-of-range generation settings are rejected', async () => {
+  let loaded = false;
+  Character.findOne = async () => {
+    loaded = true;
+    return null;
+  };
+
+  for (const generation of ['{"temperature": 3}', { maxTokens: 0 }, { topP: 'high' }, { provider: 'nonexistent' }, '[1]']) {
+    const res = mockResponse();
+    await characterController.updateCharacter({ params: { id: 'mia' }, body: { generation } }, res);
+
+    assert.strictEqual(res.statusCode, 400, JSON.stringify(generation));
+  }
+  assert.strictEqual(loaded, false);
+});
+
+/**
+ * Send a permanent delete for the character "mia"
+ * @param {string} [token] - Confirmation token for the X-Confirmation-Token header
+ * @param {Object} [admin=SUPERADMIN] - Admin sending the request
+ * @returns {Promise<Object>} - The response and the ids that were deleted
+ */
+async function permanentDelete(token, admin = SUPERADMIN) {
+  const deleted = [];
+  Character.findOne = async ({ id }) => (id === 'mia' ? { id: 'mia', name: 'Mia' } : null);
+  Character.deleteOne = async ({ id }) => {
+    deleted.push(id);
+  };
+
+  const res = mockResponse();
+  await characterController.permanentDeleteCharacter({
+    params: { id: 'mia' },
+    headers: token ? { 'x-confirmation-token': token } : {},
+    body: {},
+    adminUser: admin,
+  }, res);
+
+  return { res, deleted };
+}
+
+test('permanent delete needs a confirmation token', async () => {
+  const { res, deleted } = await permanentDelete();
+
+  assert.strictEqual(res.statusCode, 428);
+  assert.strictEqual(res.body.code, 'CONFIRMATION_REQUIRED');
+  assert.deepStrictEqual(deleted, []);
+});
+
+test('a confirmation token from the confirmation route deletes the character', async () => {
+  Character.findOne = () => ({ select: async () => ({ id: 'mia', name: 'Mia' }) });
+  const confirmation = mockResponse();
+  await characterController.getPermanentDeleteConfirmation({ params: { id: 'mia' }, adminUser: SUPERADMIN }, confirmation);
+
+  const { res, deleted } = await permanentDelete(confirmation.body.confirmationToken);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(deleted, ['mia']);
+});
+
+test('a confirmation token confirms one delete only', async () => {
+  const { token } = adminAuthService.createConfirmationToken(SUPERADMIN.id, 'character.permanent_delete', 'mia');
+  const other = adminAuthService.createConfirmationToken(SUPERADMIN.id, 'character.permanent_delete', 'mia').token;
+
+  assert.strictEqual((await permanentDelete(token)).res.statusCode, 200);
+
+  const replay = await permanentDelete(token);
+  assert.strictEqual(replay.res.statusCode, 428);
+  assert.deepStrictEqual(replay.deleted, []);
+
+  // Each token has its own nonce
+  assert.strictEqual((await permanentDelete(other)).res.statusCode, 200);
+});
+
+test('confirmation tokens only confirm their own admin, action and target', async () => {
+  const forOtherCharacter = adminAuthService.createConfirmationToken(SUPERADMIN.id, 'character.permanent_delete', 'leo').token;
+  const forOtherAction = adminAuthService.createConfirmationToken(SUPERADMIN.id, 'user.erase', 'mia').token;
+  const { token } = adminAuthService.createConfirmationToken(SUPERADMIN.id, 'character.permanent_delete', 'mia');
+  const session = adminAuthService.createSessionToken({ _id: SUPERADMIN.id, sessionVersion: 0 }).token;
+
+  for (const [rejected, admin] of [[forOtherCharacter], [forOtherAction], [session], [token, OTHER_ADMIN], [`${token}x`]]) {
+    const { res, deleted } = await permanentDelete(rejected, admin);
+    assert.strictEqual(res.statusCode, 428);
+    assert.deepStrictEqual(deleted, []);
+  }
+});
+
+test('confirmation tokens expire', () => {
+  const ttl = adminConfig.confirmationTtlMinutes;
+  adminConfig.confirmationTtlMinutes = -1;
+  const { token } = adminAuthService.createConfirmationToken(SUPERADMIN.id, 'character.permanent_delete', 'mia');
+  adminConfig.confirmationTtlMinutes = ttl;
+
+  assert.strictEqual(adminAuthService.verifyConfirmationToken(token, SUPERADMIN.id, 'character.permanent_delete', 'mia'), null);
+});
+
+test('character mutations need an editor session', async () => {
+  const editor = { _id: '64b000000000000000000003', username: 'editor1', role: 'editor', active: true, sessionVersion: 0 };
+  const moderator = { _id: '64b000000000000000000004', username: 'mod1', role: 'moderator', active: true, sessionVersion: 0 };
+  AdminUser.findById = async id => [editor, moderator].find(account => account._id === id) || null;
+
+  // Resolves with 'next' when the request is let through, or with the status it was refused with
+  const authorize = headers => new Promise(resolve => {
+    const res = mockResponse();
+    res.json = () => resolve(res.statusCode);
+    authorizeAdmin('characters')({ headers, method: 'PUT', originalUrl: '/api/characters/mia' }, res, () => resolve('next'));
+  });
+  const bearer = account => ({ authorization: `Bearer ${adminAuthService.createSessionToken(account).token}` });
+
+  assert.strictEqual(await authorize({}), 401);
+  assert.strictEqual(await authorize({ authorization: 'Bearer not-a-token' }), 401);
+  assert.strictEqual(await authorize(bearer(moderator)), 403);
+  assert.strictEqual(await authorize(bearer(editor)), 'next');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const circuitBreaker = require('../src/services/circuitBreaker');
+const openaiService = require('../src/services/openaiService');
+const providerRegistry = require('../src/services/providerRegistry');
+
+/**
+ * Put a provider's breaker in the open state with its cool-down already over
+ * @param {string} name - Provider name
+ * @returns {Object} - The breaker
+ */
+function expiredOpenBreaker(name) {
+  const breaker = circuitBreaker.getBreaker(name);
+  breaker.state = circuitBreaker.STATES.OPEN;
+  breaker.openedAt = Date.now() - breaker.resetTimeoutMs - 1;
+  return breaker;
+}
+
+test('an aborted half-open trial lets the next request try again', async () => {
+  const provider = providerRegistry.getProvider().name;
+  const breaker = expiredOpenBreaker(provider);
+  const controller = new AbortController();
+
+  await assert.rejects(openaiService.executeWithFailover({ signal: controller.signal, failover: false }, async () => {
+    controller.abort();
+    throw new Error('Request was aborted.');
+  }));
+
+  assert.strictEqual(breaker.state, circuitBreaker.STATES.OPEN);
+  assert.strictEqual(breaker.canRequest(), true);
+});
+
+test('a client error on the half-open trial closes the circuit', async () => {
+  const provider = providerRegistry.getProvider().name;
+  const breaker = expiredOpenBreaker(provider);
+
+  await assert.rejects(openaiService.executeWithFailover({ failover: false }, async () => {
+    throw Object.assign(new Error('Bad request'), { status: 400 });
+  }));
+
+  assert.strictEqual(breaker.state, circuitBreaker.STATES.CLOSED);
+});
+
+test('a provider error on the half-open trial opens the circuit again', async () => {
+  const provider = providerRegistry.getProvider().name;
+  const breaker = expiredOpenBreaker(provider);
+
+  await assert.rejects(openaiService.executeWithFailover({ failover: false }, async () => {
+    throw Object.assign(new Error('Unauthorized'), { status: 401 });
+  }));
+
+  assert.strictEqual(breaker.state, circuitBreaker.STATES.OPEN);
+  assert.strictEqual(breaker.canRequest(), false);
+});
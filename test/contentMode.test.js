@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/User');
+const ageAssuranceService = require('../src/services/ageAssuranceService');
+const promptTemplateService = require('../src/services/promptTemplateService');
+const { buildSystemPrompt } = require('../src/controllers/aiController');
+
+const character = { id: 'mia', name: 'Mia', personality: 'Cheerful' };
+const UNRESTRICTED = 'UNRESTRICTED TEMPLATE';
+const RESTRICTED = 'RESTRICTED TEMPLATE';
+
+/**
+ * Build the prompt an unverified user would get with a given template
+ * @param {Object|null} template - Template returned for the character
+ * @returns {Promise<Object>} - The system prompt
+ */
+async function promptForUnverifiedUser(template) {
+  User.findOne = async () => new User({ firebaseUid: 'unverified', preferences: { contentMode: 'unrestricted' } });
+  promptTemplateService.resolveTemplate = async () => template;
+
+  const { uncensored } = await ageAssuranceService.resolveContentMode('unverified');
+  assert.strictEqual(uncensored, false);
+  return buildSystemPrompt(character, uncensored);
+}
+
+test('unverified users get the restricted template content', async () => {
+  const prompt = await promptForUnverifiedUser({ name: 'default', version: 2, content: UNRESTRICTED, restrictedContent: RESTRICTED });
+  assert.strictEqual(prompt.content, RESTRICTED);
+});
+
+test('unverified users never get unrestricted content from a template without restricted content', async () => {
+  for (const restrictedContent of [undefined, '', '  ']) {
+    const prompt = await promptForUnverifiedUser({ name: 'default', version: 1, content: UNRESTRICTED, restrictedContent });
+    assert.ok(!prompt.content.includes(UNRESTRICTED));
+    assert.strictEqual(prompt.promptTemplate, null);
+  }
+});
+
+test('unverified users get the restricted built-in prompt', async () => {
+  const restricted = await promptForUnverifiedUser(null);
+  const unrestricted = await buildSystemPrompt(character, true);
+
+  assert.notStrictEqual(restricted.content, unrestricted.content);
+  assert.ok(!restricted.content.includes(unrestricted.content.split('. ')[0]));
+});
+
+test('a self-declared birthdate never replaces a stronger verification', () => {
+  const declared = ageAssuranceService.buildSelfDeclaredAgeAssurance('1990-05-01', null);
+  assert.strictEqual(declared.ageAssurance.method, 'self_declared');
+  assert.strictEqual(declared.ageAssurance.birthdate.toISOString(), '1990-05-01T00:00:00.000Z');
+
+  const verified = { ageAssurance: { method: 'id_document' } };
+  assert.deepStrictEqual(ageAssuranceService.buildSelfDeclaredAgeAssurance('1990-05-01', verified), { error: 'Age has already been verified', status: 409 });
+  assert.strictEqual(ageAssuranceService.buildSelfDeclaredAgeAssurance('not a date', null).status, 400);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config/openaiConfig');
+const contextBuilder = require('../src/services/contextBuilder');
+
+const SYSTEM = [{ role: 'system', content: 'You are Mia.' }];
+
+/**
+ * Build history turns of a known size
+ * @param {number} count - Number of messages
+ * @returns {Array} - Messages of 40 ASCII characters (10 tokens + overhead), oldest first
+ */
+function history(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `${String(i).padStart(2, '0')}`.padEnd(40, '.'),
+  }));
+}
+
+test('token estimates count emoji and non-Latin characters one each', () => {
+  assert.strictEqual(contextBuilder.estimateTokens(''), 0);
+  assert.strictEqual(contextBuilder.estimateTokens('abcdefgh'), 2);
+  assert.strictEqual(contextBuilder.estimateTokens('नमस्ते'), 6);
+  assert.strictEqual(contextBuilder.estimateTokens('hi 😘'), 2);
+});
+
+test('budgets come from the model, with a default for unlisted models', () => {
+  assert.strictEqual(contextBuilder.getContextBudget('deepseek-chat'), config.contextBudgets['deepseek-chat']);
+  assert.strictEqual(contextBuilder.getContextBudget('unlisted-model'), config.defaultContextBudget);
+  assert.strictEqual(contextBuilder.getPromptBudget('deepseek-chat', 500), config.contextBudgets['deepseek-chat'] - 500);
+  assert.strictEqual(contextBuilder.getPromptBudget('unlisted-model'), config.defaultContextBudget - config.maxTokens);
+});
+
+test('the newest history turns that fit the budget are kept', () => {
+  const budgets = config.contextBudgets;
+  // System (3 + 4) and user turn (1 + 4) leave room for three 14-token turns in 60 tokens
+  config.contextBudgets = { small: 100 };
+
+  try {
+    const { messages, historyCount, promptTokens } = contextBuilder.buildContext({
+      system: SYSTEM,
+      history: history(6),
+      userMessage: 'Hi',
+      model: 'small',
+      maxTokens: 40,
+    });
+
+    assert.strictEqual(historyCount, 3);
+    assert.strictEqual(promptTokens, 12 + 3 * 14);
+    assert.deepStrictEqual(messages[0], SYSTEM[0]);
+    assert.deepStrictEqual(messages.slice(1, 4).map(message => message.content.slice(0, 2)), ['03', '04', '05']);
+    assert.deepStrictEqual(messages[4], { role: 'user', content: 'Hi' });
+  } finally {
+    config.contextBudgets = budgets;
+  }
+});
+
+test('system messages and the new message are kept even over budget', () => {
+  const { messages, historyCount } = contextBuilder.buildContext({
+    system: [{ role: 'system', content: 'x'.repeat(40000) }],
+    history: history(2),
+    userMessage: 'Hi',
+    model: 'deepseek-chat',
+  });
+
+  assert.strictEqual(historyCount, 0);
+  assert.deepStrictEqual(messages.map(message => message.role), ['system', 'user']);
+});
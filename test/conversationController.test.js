@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Conversation = require('../src/models/Conversation');
+const { listConversations } = require('../src/controllers/conversationController');
+
+/**
+ * List conversations with the given query and record the paging applied
+ * @param {Object} query - Query parameters
+ * @returns {Promise<Object>} - The skip and limit used and the pagination sent
+ */
+async function list(query) {
+  const paging = {};
+  Conversation.find = () => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      skip: (skip) => {
+        paging.skip = skip;
+        return chain;
+      },
+      limit: async (limit) => {
+        paging.limit = limit;
+        return [];
+      },
+    };
+    return chain;
+  };
+  Conversation.countDocuments = async () => 0;
+
+  let body;
+  await listConversations({ query, user: { firebaseId: 'user-1' } }, { json: (sent) => { body = sent; } });
+  return { ...paging, pagination: body.data.pagination };
+}
+
+test('listConversations clamps page and limit', async () => {
+  assert.deepStrictEqual((await list({})).pagination, { total: 0, page: 1, limit: 20, pages: 0 });
+
+  const huge = await list({ limit: '1000000' });
+  assert.strictEqual(huge.limit, 100);
+
+  const negative = await list({ page: '-1', limit: '-5' });
+  assert.strictEqual(negative.skip, 0);
+  assert.strictEqual(negative.limit, 1);
+
+  const third = await list({ page: '3', limit: '10' });
+  assert.strictEqual(third.skip, 20);
+  assert.strictEqual(third.limit, 10);
+});
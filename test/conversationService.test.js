@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const conversationService = require('../src/services/conversationService');
+
+// Messages are kept in memory; the fake supports the query shapes the service uses
+let messages = [];
+let clock = Date.UTC(2026, 0, 1);
+
+const same = (a, b) => String(a) === String(b);
+
+/**
+ * Check one field condition of a query
+ * @param {*} value - Field value of the message
+ * @param {*} condition - Value or operator object
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesCondition(value, condition) {
+  if (condition instanceof Date) {return value.getTime() === condition.getTime();}
+  if (!condition || typeof condition !== 'object' || condition instanceof mongoose.Types.ObjectId) {
+    return same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+    case '$lt': return value < operand;
+    case '$lte': return value instanceof Date ? value <= operand : String(value) <= String(operand);
+    case '$gte': return value >= operand;
+    case '$in': return value !== undefined && value !== null && operand.some(item => same(item, value));
+    case '$type': return operand === 'null' && value === null;
+    default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+}
+
+const matches = (message, query) => Object.entries(query).every(([field, condition]) => (field === '$or'
+  ? condition.some(alternative => matches(message, alternative))
+  : matchesCondition(message[field], condition)));
+
+/**
+ * Stand in for a Message query
+ * @param {Object} query - Query
+ * @param {boolean} single - Whether this is findOne
+ * @returns {Object} - Chainable query
+ */
+function fakeQuery(query, single) {
+  let order = null;
+  let max = Infinity;
+
+  const chain = {
+    sort(fields) {
+      order = Object.entries(fields);
+      return chain;
+    },
+    limit(count) {
+      max = count;
+      return chain;
+    },
+    select: () => chain,
+    lean: async () => {
+      const found = messages.filter(message => matches(message, query));
+      if (order) {
+        found.sort((a, b) => {
+          for (const [field, direction] of order) {
+            const left = field === '_id' ? String(a._id) : a[field];
+            const right = field === '_id' ? String(b._id) : b[field];
+            if (left < right) {return -direction;}
+            if (left > right) {return direction;}
+          }
+          return 0;
+        });
+      }
+      const limited = found.slice(0, max).map(message => ({ ...message }));
+      return single ? limited[0] || null : limited;
+    },
+  };
+  return chain;
+}
+
+Message.find = query => fakeQuery(query, false);
+Message.findOne = query => fakeQuery(query, true);
+Message.create = async (doc) => {
+  const message = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(clock += 1000), ...doc };
+  messages.push(message);
+  return message;
+};
+Conversation.updateOne = async () => {};
+
+/**
+ * Start a fresh conversation
+ * @returns {Object} - Conversation
+ */
+function newConversation() {
+  messages = [];
+  return { _id: new mongoose.Types.ObjectId(), userId: 'user-1', characterId: 'mia', activeLeafId: null };
+}
+
+const contents = branch => branch.map(message => message.content);
+
+test('each appended message points at the previous one', async () => {
+  const conversation = newConversation();
+
+  const first = await conversationService.appendMessage(conversation, 'user', 'Hi');
+  const second = await conversationService.appendMessage(conversation, 'assistant', 'Hello!');
+  const third = await conversationService.appendMessage(conversation, 'user', 'How are you?');
+
+  assert.strictEqual(first.parentId, null);
+  assert.ok(same(second.parentId, first._id));
+  assert.ok(same(third.parentId, second._id));
+});
+
+test('messages are paged back from a cursor, oldest first', async () => {
+  const conversation = newConversation();
+  for (let i = 0; i < 5; i++) {
+    await conversationService.appendMessage(conversation, i % 2 === 0 ? 'user' : 'assistant', `message ${i}`);
+  }
+
+  const latest = await conversationService.getMessagesPage(conversation, { limit: 2 });
+  assert.deepStrictEqual(contents(latest.messages), ['message 3', 'message 4']);
+  assert.strictEqual(latest.hasMore, true);
+
+  const older = await conversationService.getMessagesPage(conversation, { before: String(latest.messages[0]._id), limit: 3 });
+  assert.deepStrictEqual(contents(older.messages), ['message 0', 'message 1', 'message 2']);
+  assert.strictEqual(older.hasMore, false);
+
+  assert.deepStrictEqual(contents(await conversationService.getRecentMessages(conversation, 3)), ['message 2', 'message 3', 'message 4']);
+});
+
+test('replies to the same message become sibling branches', async () => {
+  const conversation = newConversation();
+
+  const question = await conversationService.appendMessage(conversation, 'user', 'Hi');
+  const first = await conversationService.appendMessage(conversation, 'assistant', 'Hello!', { parentId: question._id });
+  await conversationService.appendMessage(conversation, 'assistant', 'Hey there!', { parentId: question._id });
+
+  assert.strictEqual(question.parentId, null);
+  assert.deepStrictEqual(contents(await conversationService.getRecentMessages(conversation, 10)), ['Hi', 'Hey there!']);
+
+  const { messages: page } = await conversationService.getMessagesPage(conversation);
+  assert.deepStrictEqual(page[1].siblings, { count: 2, index: 1, previousId: first._id, nextId: null });
+  assert.strictEqual(page[0].siblings.count, 1);
+
+  // Swiping back switches the active branch to the first reply
+  assert.ok(same(await conversationService.selectBranch(conversation, first._id), first._id));
+  assert.deepStrictEqual(contents(await conversationService.getRecentMessages(conversation, 10)), ['Hi', 'Hello!']);
+  assert.ok(same(conversation.activeLeafId, first._id));
+});
+
+test('an edited message starts a branch that is followed to its newest reply', async () => {
+  const conversation = newConversation();
+
+  const original = await conversationService.appendMessage(conversation, 'user', 'Hi');
+  await conversationService.appendMessage(conversation, 'assistant', 'Hello!');
+  const edited = await conversationService.appendMessage(conversation, 'user', 'Good morning', { parentId: original.parentId });
+  await conversationService.appendMessage(conversation, 'assistant', 'Morning!');
+
+  assert.deepStrictEqual(contents(await conversationService.getRecentMessages(conversation, 10)), ['Good morning', 'Morning!']);
+
+  const { messages: page } = await conversationService.getMessagesPage(conversation);
+  assert.deepStrictEqual(page[0].siblings, { count: 2, index: 1, previousId: original._id, nextId: null });
+
+  await conversationService.selectBranch(conversation, original._id);
+  assert.deepStrictEqual(contents(await conversationService.getRecentMessages(conversation, 10)), ['Hi', 'Hello!']);
+
+  await conversationService.selectBranch(conversation, edited._id);
+  assert.deepStrictEqual(contents(await conversationService.getRecentMessages(conversation, 10)), ['Good morning', 'Morning!']);
+});
+
+test('long branches are walked across query batches, including forks from old messages', async () => {
+  const conversation = newConversation();
+  const stored = [];
+  for (let i = 0; i < 450; i++) {
+    stored.push(await conversationService.appendMessage(conversation, i % 2 === 0 ? 'user' : 'assistant', `message ${i}`));
+  }
+
+  const branch = await conversationService.getRecentMessages(conversation, Infinity);
+  assert.strictEqual(branch.length, 450);
+  assert.deepStrictEqual(contents(branch.slice(0, 2)), ['message 0', 'message 1']);
+  assert.strictEqual(branch[449].content, 'message 449');
+
+  // The fork's parent is far outside the first batch loaded from the leaf
+  await conversationService.appendMessage(conversation, 'user', 'fork', { parentId: stored[1]._id });
+  assert.deepStrictEqual(contents(await conversationService.getRecentMessages(conversation, Infinity)), ['message 0', 'message 1', 'fork']);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ModerationEvent = require('../src/models/ModerationEvent');
+const Character = require('../src/models/Character');
+const crisisService = require('../src/services/crisisService');
+const conversationService = require('../src/services/conversationService');
+const userProfileService = require('../src/services/userProfileService');
+const ageAssuranceService = require('../src/services/ageAssuranceService');
+const config = require('../src/config/moderationConfig');
+const aiController = require('../src/controllers/aiController');
+
+const { detectCrisis, parseLocale, resolveLocale, buildSafeMessage } = crisisService;
+
+// Detections are logged; keep the events out of the database
+ModerationEvent.create = async () => {};
+
+test('detectCrisis ignores distress without self-harm intent', async () => {
+  const messages = [
+    'I feel so alone tonight, forgot my allergy pills',
+    'This homework is hopeless and I feel empty.',
+    'Can you grab the rope from the shed?',
+    'I can\'t take this anymore, my team keeps losing.',
+  ];
+
+  for (const message of messages) {
+    assert.strictEqual(await detectCrisis(message), false, message);
+  }
+});
+
+test('detectCrisis flags explicit self-harm intent', async () => {
+  const messages = [
+    'I want to kill myself.',
+    'I keep cutting myself when I feel alone.',
+    'There is no reason to live anymore.',
+  ];
+
+  for (const message of messages) {
+    assert.strictEqual(await detectCrisis(message), true, message);
+  }
+});
+
+test('the safe message is written in the user\'s language with resources for their country', () => {
+  const { response, language, resources } = buildSafeMessage(parseLocale('fr-CA,fr;q=0.9,en;q=0.8'));
+
+  assert.strictEqual(language, 'fr');
+  assert.ok(response.startsWith(config.crisis.messages.fr.split('\n')[0]));
+  assert.deepStrictEqual(resources, config.crisis.resources.CA);
+  assert.ok(response.includes('• 9-8-8 Suicide Crisis Helpline: Call or text 988'));
+});
+
+test('languages without a translation fall back to the default language', () => {
+  for (const header of ['ja-JP', 'xx', '', undefined]) {
+    const { response, language, resources } = buildSafeMessage(parseLocale(header));
+
+    assert.strictEqual(language, config.crisis.defaultLanguage, String(header));
+    assert.ok(response.startsWith(config.crisis.messages.en.split('\n')[0]), String(header));
+    assert.deepStrictEqual(resources, config.crisis.resources.default, String(header));
+    assert.ok(!response.includes('{{resources}}'));
+  }
+});
+
+test('the profile\'s preferred language wins over the browser\'s, falling back in order', () => {
+  assert.deepStrictEqual(resolveLocale('en-US,en;q=0.9', 'pt-BR'), { language: 'pt', country: 'US' });
+  assert.deepStrictEqual(resolveLocale(undefined, 'pt-BR'), { language: 'pt', country: 'BR' });
+
+  // Without a translation for the preferred language, the header's language is next
+  assert.deepStrictEqual(resolveLocale('de-DE', 'ja-JP'), { language: 'de', country: 'DE' });
+  assert.deepStrictEqual(resolveLocale('de-DE', null), { language: 'de', country: 'DE' });
+
+  // Then the default language
+  const locale = resolveLocale('ko-KR', 'ja');
+  assert.deepStrictEqual(locale, { language: undefined, country: 'KR' });
+  assert.strictEqual(buildSafeMessage(locale).language, config.crisis.defaultLanguage);
+});
+
+test('a crisis disclosure is answered in the profile\'s language and the conversation flagged', async () => {
+  const stored = [];
+  const flagged = [];
+  Character.findById = async () => null;
+  Character.findOne = async ({ id }) => (id === 'mia' ? { id: 'mia', name: 'Mia', save: async () => {} } : null);
+  conversationService.getOrCreateConversation = async () => ({ _id: 'conversation-1' });
+  conversationService.appendMessage = async (conversation, role, content, details) => {
+    stored.push({ role, content, details });
+    return { _id: `message-${stored.length}` };
+  };
+  crisisService.flagConversation = async (conversationId, reason) => flagged.push([conversationId, reason]);
+  userProfileService.getPreferredLanguage = async () => 'es-MX';
+  userProfileService.isCharacterBlocked = async () => false;
+  ageAssuranceService.resolveContentMode = async () => ({ mode: 'restricted', uncensored: false, reason: 'age_unverified' });
+
+  const res = {
+    statusCode: 200,
+    locals: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  await aiController.generateCharacterResponse('standard')({
+    user: { firebaseId: 'user-1' },
+    query: {},
+    headers: { 'accept-language': 'en-US' },
+    body: { characterId: 'mia', message: 'I want to kill myself.' },
+  }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.response.startsWith(config.crisis.messages.es.split('\n')[0]));
+  assert.deepStrictEqual(res.body.safety, { type: 'crisis', resources: config.crisis.resources.US });
+  assert.deepStrictEqual(stored.map(message => message.role), ['user', 'assistant']);
+  assert.strictEqual(stored[1].details.safeMessaging, true);
+  assert.deepStrictEqual(flagged, [['conversation-1', 'self_harm_risk']]);
+});
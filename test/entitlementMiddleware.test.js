@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/User');
+const { requirePremium } = require('../src/middleware/entitlementMiddleware');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Run requirePremium for a user with the given premium entitlement
+ * @param {Object|null} premium - Premium entitlement, or null when the user has no record
+ * @returns {Promise<Object>} - The request, the response and whether next was called
+ */
+async function checkPremium(premium) {
+  User.findOne = async () => (premium ? new User({ firebaseUid: 'user-1', entitlements: { premium } }) : null);
+
+  const req = { user: { firebaseId: 'user-1' }, ip: '127.0.0.1' };
+  const res = {
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  let passed = false;
+
+  await requirePremium(req, res, () => {
+    passed = true;
+  });
+
+  return { req, res, passed };
+}
+
+test('users with an active entitlement pass and are marked premium', async () => {
+  const { req, passed } = await checkPremium({ active: true, expiresAt: new Date(Date.now() + DAY) });
+
+  assert.strictEqual(passed, true);
+  assert.strictEqual(req.user.isPremium, true);
+});
+
+test('entitlements without an expiry date do not expire', async () => {
+  const { passed } = await checkPremium({ active: true });
+
+  assert.strictEqual(passed, true);
+});
+
+test('users without an entitlement get 402 PREMIUM_REQUIRED', async () => {
+  for (const premium of [null, { active: false }]) {
+    const { res, passed } = await checkPremium(premium);
+
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 402);
+    assert.strictEqual(res.body.code, 'PREMIUM_REQUIRED');
+  }
+});
+
+test('users with an expired entitlement get 402 PREMIUM_EXPIRED with the expiry date', async () => {
+  const expiresAt = new Date(Date.now() - DAY);
+  const { req, res, passed } = await checkPremium({ active: true, expiresAt });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(req.user.isPremium, undefined);
+  assert.strictEqual(res.statusCode, 402);
+  assert.strictEqual(res.body.code, 'PREMIUM_EXPIRED');
+  assert.deepStrictEqual(res.body.expiredAt, expiresAt);
+});
+
+test('lookup failures answer 500 instead of letting the request through', async () => {
+  User.findOne = async () => {
+    throw new Error('connection lost');
+  };
+  let passed = false;
+  const res = {
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json() {
+      return res;
+    },
+  };
+
+  await requirePremium({ user: { firebaseId: 'user-1' } }, res, () => {
+    passed = true;
+  });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 500);
+});
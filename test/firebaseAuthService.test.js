@@ -0,0 +1,146 @@
+process.env.FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'test-project';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const User = require('../src/models/User');
+const config = require('../src/config/firebaseConfig');
+const { verifyIdToken, provisionUser, setKeys } = require('../src/services/firebaseAuthService');
+
+const KID = 'test-key';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+setKeys({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID }] });
+
+/**
+ * Encode a value as a base64url token segment
+ * @param {*} value - Value to encode as JSON
+ * @returns {string} - Encoded segment
+ */
+function segment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+test('verifyIdToken rejects segments that are not JSON objects', async () => {
+  const tokens = [
+    'bnVsbA.e30.x',
+    `${segment({ alg: 'RS256', kid: 'a' })}.${segment(null)}.x`,
+    `${segment([])}.e30.x`,
+    `${segment(1)}.e30.x`,
+    'not-json.e30.x',
+  ];
+
+  for (const token of tokens) {
+    await assert.rejects(verifyIdToken(token), { code: 'INVALID_TOKEN', message: 'Malformed token' }, token);
+  }
+});
+
+/**
+ * Sign a token with the test key
+ * @param {Object} [claims] - Claims to override
+ * @param {Object} [options]
+ * @param {Object} [options.header] - Header fields to override
+ * @param {crypto.KeyObject} [options.key=privateKey] - Signing key
+ * @returns {string} - Signed token
+ */
+function signToken(claims = {}, { header = {}, key = privateKey } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = [
+    segment({ alg: 'RS256', kid: KID, typ: 'JWT', ...header }),
+    segment({
+      aud: config.projectId,
+      iss: `https://securetoken.google.com/${config.projectId}`,
+      sub: 'user-1',
+      iat: now - 60,
+      auth_time: now - 60,
+      exp: now + 3600,
+      ...claims,
+    }),
+  ].join('.');
+
+  return `${unsigned}.${crypto.sign('RSA-SHA256', Buffer.from(unsigned), key).toString('base64url')}`;
+}
+
+test('verifyIdToken accepts a token signed with a known key', async () => {
+  const claims = await verifyIdToken(signToken({ email: 'user@example.com' }));
+  assert.strictEqual(claims.sub, 'user-1');
+  assert.strictEqual(claims.email, 'user@example.com');
+});
+
+test('verifyIdToken rejects tokens with a bad signature', async () => {
+  await assert.rejects(verifyIdToken(signToken({}, { key: otherPrivateKey })), { code: 'INVALID_TOKEN', message: 'Invalid token signature' });
+
+  // Claims changed after signing
+  const [header, payload, signature] = signToken().split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = `${header}.${segment({ ...claims, sub: 'admin' })}.${signature}`;
+  await assert.rejects(verifyIdToken(forged), { code: 'INVALID_TOKEN', message: 'Invalid token signature' });
+});
+
+test('verifyIdToken rejects unknown keys and other algorithms', async () => {
+  await assert.rejects(verifyIdToken(signToken({}, { header: { kid: 'other-key' } })), { code: 'INVALID_TOKEN', message: 'Token signed with an unknown key' });
+  await assert.rejects(verifyIdToken(signToken({}, { header: { alg: 'none' } })), { code: 'INVALID_TOKEN', message: 'Unexpected token algorithm none' });
+  await assert.rejects(verifyIdToken(signToken({}, { header: { alg: 'HS256' } })), { code: 'INVALID_TOKEN', message: 'Unexpected token algorithm HS256' });
+});
+
+test('verifyIdToken checks the audience, issuer and subject', async () => {
+  await assert.rejects(verifyIdToken(signToken({ aud: 'another-project' })), { code: 'INVALID_TOKEN', message: 'Token was issued for another project' });
+  await assert.rejects(
+    verifyIdToken(signToken({ iss: 'https://securetoken.google.com/another-project' })),
+    { code: 'INVALID_TOKEN', message: 'Token has an unexpected issuer' }
+  );
+  await assert.rejects(verifyIdToken(signToken({ sub: '' })), { code: 'INVALID_TOKEN', message: 'Token has no valid subject' });
+});
+
+test('verifyIdToken checks the token times with clock tolerance', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = config.clockToleranceSeconds;
+
+  await assert.rejects(verifyIdToken(signToken({ exp: now - tolerance - 1 })), { code: 'TOKEN_EXPIRED' });
+  await assert.rejects(verifyIdToken(signToken({ exp: undefined })), { code: 'TOKEN_EXPIRED' });
+  await assert.rejects(
+    verifyIdToken(signToken({ iat: now + tolerance + 60 })),
+    { code: 'INVALID_TOKEN', message: 'Token was issued in the future' }
+  );
+  await assert.rejects(
+    verifyIdToken(signToken({ auth_time: now + tolerance + 60 })),
+    { code: 'INVALID_TOKEN', message: 'Token has an invalid auth time' }
+  );
+
+  // Within the tolerance a token is still valid
+  assert.strictEqual((await verifyIdToken(signToken({ exp: now - tolerance + 5 }))).sub, 'user-1');
+});
+
+test('provisionUser upserts on the Firebase UID without overwriting existing records', async () => {
+  const calls = [];
+  User.findOneAndUpdate = async (filter, update, options) => {
+    calls.push({ filter, update, options });
+    return { firebaseUid: filter.firebaseUid };
+  };
+
+  await provisionUser('new-user');
+  await provisionUser('new-user');
+
+  assert.strictEqual(calls.length, 1, 'users already seen are not looked up again');
+  assert.deepStrictEqual(calls[0].filter, { firebaseUid: 'new-user' });
+  assert.deepStrictEqual(calls[0].update, { $setOnInsert: { firebaseUid: 'new-user' } });
+  assert.strictEqual(calls[0].options.upsert, true);
+});
+
+test('provisionUser retries a concurrent first sign-in that lost the insert race', async () => {
+  let attempts = 0;
+  User.findOneAndUpdate = async () => {
+    attempts += 1;
+    if (attempts === 1) {throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });}
+    return { firebaseUid: 'racing-user' };
+  };
+
+  await provisionUser('racing-user');
+  assert.strictEqual(attempts, 2);
+
+  User.findOneAndUpdate = async () => {
+    throw new Error('connection lost');
+  };
+  await assert.rejects(provisionUser('offline-user'), /connection lost/);
+});
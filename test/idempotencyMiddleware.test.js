@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const timeout = require('connect-timeout');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { idempotency } = require('../src/middleware/idempotencyMiddleware');
+
+// Keep the keys in memory instead of the database
+const keys = new Map();
+const keyOf = filter => `${filter.userId}|${filter.key}|${filter.route}`;
+const query = value => ({ lean: () => value, then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) });
+
+IdempotencyKey.create = async (doc) => {
+  if (keys.has(keyOf(doc))) {throw Object.assign(new Error('duplicate key'), { code: 11000 });}
+  keys.set(keyOf(doc), { status: 'in_progress', ...doc });
+};
+IdempotencyKey.findOneAndUpdate = async () => null;
+IdempotencyKey.findOne = filter => query(keys.get(keyOf(filter)) || null);
+IdempotencyKey.updateOne = async (filter, update) => {
+  Object.assign(keys.get(keyOf(filter)), update.$set);
+};
+IdempotencyKey.deleteOne = async (filter) => {
+  keys.delete(keyOf(filter));
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start an app that runs a generation behind the idempotency middleware
+ * @param {Object} options
+ * @param {number} [options.delayMs=0] - How long a generation takes
+ * @param {string} [options.timeoutMs='5s'] - Request timeout
+ * @returns {Promise<Object>} - Base URL, generation count and close function
+ */
+async function startApp({ delayMs = 0, timeoutMs = '5s' } = {}) {
+  const app = express();
+  const state = { generations: 0 };
+
+  app.use(timeout(timeoutMs));
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { firebaseId: 'user-1' };
+    next();
+  });
+  app.post('/response', idempotency, async (req, res) => {
+    state.generations += 1;
+    await sleep(delayMs);
+    res.json({ response: `reply ${state.generations}` });
+    state.finished = true;
+  });
+  app.use((err, req, res, next) => {
+    if (req.timedout) {
+      return res.status(503).json({ status: 'error', message: 'Request timeout', code: 'TIMEOUT' });
+    }
+    next(err);
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    state,
+    url: `http://127.0.0.1:${server.address().port}/response`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Send a generation request
+ * @param {string} url - Endpoint URL
+ * @param {string} key - Idempotency key
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - Status, replay header and body
+ */
+async function send(url, key, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body),
+  });
+
+  return {
+    status: response.status,
+    replayed: response.headers.get('idempotent-replayed') === 'true',
+    body: await response.json(),
+  };
+}
+
+test('a retry gets the stored result instead of a new generation', async () => {
+  const app = await startApp();
+
+  try {
+    const first = await send(app.url, 'replay', { message: 'hi' });
+    await sleep(20);
+    const retry = await send(app.url, 'replay', { message: 'hi' });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.replayed, true);
+    assert.deepStrictEqual(retry.body, first.body);
+    assert.strictEqual(app.state.generations, 1);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a key reused for a different request is rejected', async () => {
+  const app = await startApp();
+
+  try {
+    await send(app.url, 'conflict', { message: 'hi' });
+    await sleep(20);
+    const reused = await send(app.url, 'conflict', { message: 'something else' });
+
+    assert.strictEqual(reused.status, 422);
+    assert.strictEqual(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+    assert.strictEqual(app.state.generations, 1);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a retry after a timeout gets the result the timed-out request finished with', async () => {
+  const app = await startApp({ delayMs: 150, timeoutMs: '50ms' });
+
+  try {
+    const first = await send(app.url, 'timeout', { message: 'hi' });
+    assert.strictEqual(first.status, 503);
+
+    while (!app.state.finished) {await sleep(20);}
+    await sleep(20);
+
+    const retry = await send(app.url, 'timeout', { message: 'hi' });
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.replayed, true);
+    assert.deepStrictEqual(retry.body, { response: 'reply 1' });
+    assert.strictEqual(app.state.generations, 1);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Conversation = require('../src/models/Conversation');
+const conversationService = require('../src/services/conversationService');
+const openaiService = require('../src/services/openaiService');
+const usageService = require('../src/services/usageService');
+const config = require('../src/config/openaiConfig');
+const memoryService = require('../src/services/memoryService');
+
+const WINDOW = 4;
+
+/**
+ * Keep a conversation's active branch in memory and capture summary requests and updates
+ * @param {number} count - Number of messages on the branch
+ * @param {Object} [memory] - Current conversation memory
+ * @returns {Object} - The conversation and what was sent to the model and the database
+ */
+function stubConversation(count, memory = {}) {
+  const messages = Array.from({ length: count }, (_, i) => ({
+    _id: `message-${i}`,
+    parentId: i > 0 ? `message-${i - 1}` : null,
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `message ${i}`,
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, i)),
+  }));
+  const captured = { requests: [], updates: [], usage: [] };
+
+  conversationService.getActiveLeafId = async () => (count > 0 ? messages[count - 1]._id : null);
+  conversationService.getBranch = async (conversationId, leafId, { limit = Infinity, after } = {}) => {
+    const branch = messages.filter(message => !after || message.createdAt > after);
+    return branch.slice(-limit);
+  };
+  openaiService.generateCompletion = async (requestMessages) => {
+    captured.requests.push(requestMessages);
+    return { content: ' New summary ', usage: null, provider: 'deepseek', model: 'deepseek-chat', latencyMs: 1 };
+  };
+  usageService.scheduleUsageRecord = details => captured.usage.push(details);
+  Conversation.updateOne = async (filter, update) => {
+    captured.updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  };
+
+  return { conversation: { _id: 'conversation-1', memory }, messages, captured };
+}
+
+test('the summary is injected as a system message only when memory is enabled', () => {
+  const conversation = { memory: { summary: 'They met in Goa.' } };
+
+  assert.deepStrictEqual(memoryService.buildMemoryMessage(conversation), {
+    role: 'system',
+    content: 'Summary of your earlier conversation with the user: They met in Goa.',
+  });
+  assert.strictEqual(memoryService.buildMemoryMessage({ memory: {} }), null);
+
+  config.memory.enabled = false;
+  try {
+    assert.strictEqual(memoryService.buildMemoryMessage(conversation), null);
+  } finally {
+    config.memory.enabled = true;
+  }
+});
+
+test('no summary is made until a full batch has left the history window', async () => {
+  const { conversation, captured } = stubConversation(WINDOW + config.memory.batchSize - 1);
+
+  assert.strictEqual(await memoryService.updateSummary(conversation, WINDOW), false);
+  assert.deepStrictEqual(captured.requests, []);
+});
+
+test('messages that left the window are summarized', async () => {
+  const count = WINDOW + config.memory.batchSize;
+  const { conversation, messages, captured } = stubConversation(count);
+
+  assert.strictEqual(await memoryService.updateSummary(conversation, WINDOW), true);
+
+  const prompt = captured.requests[0][1].content;
+  assert.match(prompt, /^Existing summary:\n\(none\)/);
+  assert.match(prompt, /User: message 0\nCharacter: message 1/);
+  assert.doesNotMatch(prompt, new RegExp(`message ${count - WINDOW}\\b`));
+
+  const [{ filter, update }] = captured.updates;
+  assert.strictEqual(filter['memory.summarizedThroughId'], null);
+  assert.strictEqual(update.$set['memory.summary'], 'New summary');
+  assert.strictEqual(update.$set['memory.summarizedUntil'], messages[count - WINDOW - 1].createdAt);
+  assert.strictEqual(update.$set['memory.summarizedThroughId'], messages[count - WINDOW - 1]._id);
+  assert.strictEqual(update.$set['memory.summarizedMessageCount'], count - WINDOW);
+  assert.strictEqual(captured.usage[0].purpose, 'summary');
+});
+
+test('summarized messages are not summarized again', async () => {
+  const count = WINDOW + config.memory.batchSize;
+  const { messages } = stubConversation(count);
+  const memory = { summary: 'Earlier.', summarizedUntil: messages[1].createdAt, summarizedThroughId: messages[1]._id };
+  const { conversation, captured } = stubConversation(count, memory);
+
+  // Two messages are already covered, so one message short of a full batch is left
+  assert.strictEqual(await memoryService.updateSummary(conversation, WINDOW), false);
+  assert.deepStrictEqual(captured.requests, []);
+
+  const { conversation: longer, captured: longerCaptured } = stubConversation(count + 2, memory);
+  assert.strictEqual(await memoryService.updateSummary(longer, WINDOW), true);
+
+  const prompt = longerCaptured.requests[0][1].content;
+  assert.match(prompt, /^Existing summary:\nEarlier\./);
+  assert.doesNotMatch(prompt, /message [01]\b/);
+
+  const [{ filter, update }] = longerCaptured.updates;
+  assert.strictEqual(filter['memory.summarizedThroughId'], memory.summarizedThroughId);
+  assert.strictEqual(update.$inc['memory.summarizedMessageCount'], count - WINDOW);
+});
+
+test('the summary only applies to branches that run through its newest message', async () => {
+  const { messages } = stubConversation(6);
+  const memory = { summary: 'Earlier.', summarizedUntil: messages[1].createdAt, summarizedThroughId: messages[1]._id };
+  const { conversation } = stubConversation(6, memory);
+
+  const onBranch = await memoryService.getUnsummarizedBranch(conversation, 'message-5', { limit: 3 });
+  assert.strictEqual(onBranch.summarized, true);
+  assert.deepStrictEqual(onBranch.messages.map(message => message.content), ['message 3', 'message 4', 'message 5']);
+
+  // After swiping to another reply the branch no longer runs through message 1
+  const swiped = { ...memory, summarizedThroughId: 'message-on-another-branch' };
+  const offBranch = await memoryService.getUnsummarizedBranch({ ...conversation, memory: swiped }, 'message-5');
+  assert.strictEqual(offBranch.summarized, false);
+  assert.strictEqual(offBranch.messages.length, 6);
+});
+
+test('the summary is rebuilt from the start of the branch after a branch switch', async () => {
+  const count = WINDOW + config.memory.batchSize;
+  const { messages } = stubConversation(count);
+  const memory = { summary: 'Another branch.', summarizedUntil: messages[1].createdAt, summarizedThroughId: 'message-on-another-branch' };
+  const { conversation, captured } = stubConversation(count, memory);
+
+  assert.strictEqual(await memoryService.updateSummary(conversation, WINDOW), true);
+
+  const prompt = captured.requests[0][1].content;
+  assert.match(prompt, /^Existing summary:\n\(none\)/);
+  assert.match(prompt, /User: message 0\n/);
+
+  const [{ filter, update }] = captured.updates;
+  assert.strictEqual(filter['memory.summarizedThroughId'], 'message-on-another-branch');
+  assert.strictEqual(update.$set['memory.summarizedMessageCount'], count - WINDOW);
+  assert.strictEqual(update.$inc, undefined);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config/openaiConfig');
+const circuitBreaker = require('../src/services/circuitBreaker');
+const openaiService = require('../src/services/openaiService');
+
+const PRIMARY = config.defaultProvider;
+const FALLBACK = Object.keys(config.providers).find(name => name !== PRIMARY);
+
+/**
+ * Run a check with fast retries and one fallback provider, starting from closed circuits
+ * @param {Function} check - Async check to run
+ * @returns {Function} - Test body
+ */
+function withResilience(check) {
+  return async () => {
+    const original = config.resilience;
+    config.resilience = { ...original, baseDelayMs: 1, maxDelayMs: 1, fallbackProviders: [FALLBACK] };
+    [PRIMARY, FALLBACK].forEach(name => circuitBreaker.getBreaker(name).recordSuccess());
+
+    try {
+      await check();
+    } finally {
+      config.resilience = original;
+      [PRIMARY, FALLBACK].forEach(name => circuitBreaker.getBreaker(name).recordSuccess());
+    }
+  };
+}
+
+/**
+ * Build an API error like the ones the OpenAI client throws
+ * @param {number} [status] - HTTP status; none for connection failures
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} - The error
+ */
+function apiError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed (${status})`), { status, headers });
+}
+
+test('rate-limited requests are retried on the same provider', withResilience(async () => {
+  const attempts = [];
+
+  const { result, provider } = await openaiService.executeWithFailover({}, async (target) => {
+    attempts.push(target.provider);
+    if (attempts.length === 1) {throw apiError(429, { 'retry-after-ms': '1' });}
+    return 'reply';
+  });
+
+  assert.strictEqual(result, 'reply');
+  assert.strictEqual(provider, PRIMARY);
+  assert.deepStrictEqual(attempts, [PRIMARY, PRIMARY]);
+}));
+
+test('a failing provider fails over to the fallback with its default model', withResilience(async () => {
+  const attempts = [];
+
+  const served = await openaiService.executeWithFailover({ model: 'primary-model' }, async (target) => {
+    attempts.push(target);
+    if (target.provider === PRIMARY) {throw apiError(503);}
+    return 'reply';
+  });
+
+  assert.deepStrictEqual(served, { result: 'reply', provider: FALLBACK, model: config.providers[FALLBACK].defaultModel });
+  assert.strictEqual(attempts.length, config.resilience.maxRetries + 2);
+  assert.strictEqual(attempts[0].model, 'primary-model');
+  assert.strictEqual(circuitBreaker.getBreaker(PRIMARY).failures, 1);
+}));
+
+test('client errors are not retried or failed over', withResilience(async () => {
+  const attempts = [];
+
+  await assert.rejects(openaiService.executeWithFailover({}, async (target) => {
+    attempts.push(target.provider);
+    throw apiError(400);
+  }), { status: 400 });
+
+  assert.deepStrictEqual(attempts, [PRIMARY]);
+}));
+
+test('a long Retry-After fails over instead of waiting', withResilience(async () => {
+  const attempts = [];
+
+  await openaiService.executeWithFailover({}, async (target) => {
+    attempts.push(target.provider);
+    if (target.provider === PRIMARY) {throw apiError(429, { 'retry-after': '60' });}
+    return 'reply';
+  });
+
+  assert.deepStrictEqual(attempts, [PRIMARY, FALLBACK]);
+}));
+
+test('providers with an open circuit are skipped', withResilience(async () => {
+  const breaker = circuitBreaker.getBreaker(PRIMARY);
+  for (let i = 0; i < breaker.failureThreshold; i++) {breaker.recordFailure();}
+  const attempts = [];
+
+  const { provider } = await openaiService.executeWithFailover({}, async (target) => {
+    attempts.push(target.provider);
+    return 'reply';
+  });
+
+  assert.strictEqual(provider, FALLBACK);
+  assert.deepStrictEqual(attempts, [FALLBACK]);
+}));
+
+test('every provider failing rejects with the last error', withResilience(async () => {
+  await assert.rejects(openaiService.executeWithFailover({ failover: false }, async () => {
+    throw apiError(500);
+  }), { status: 500 });
+}));
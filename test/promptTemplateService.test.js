@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PromptTemplate = require('../src/models/PromptTemplate');
+const Character = require('../src/models/Character');
+const promptTemplateService = require('../src/services/promptTemplateService');
+const aiController = require('../src/controllers/aiController');
+
+const PUBLISHED = { name: 'persona', version: 3, status: 'published', content: 'You are {{name}}, {{ personality }}.{{unknown}}', restrictedContent: 'Keep it clean, {{name}}.' };
+const ARCHIVED = { name: 'persona', version: 1, status: 'archived', content: 'Old {{name}}' };
+
+/**
+ * Serve template lookups from a fixed list and count the queries
+ * @param {Array<Object>} templates - Stored templates
+ * @returns {Array<Object>} - Queries sent to the model
+ */
+function stubTemplates(templates) {
+  const queries = [];
+  const find = query => templates.find(template => template.name === query.name &&
+    (query.version === undefined || template.version === query.version) &&
+    (query.status === 'published' ? template.status === 'published' : template.status !== 'draft')) || null;
+
+  PromptTemplate.findOne = query => {
+    queries.push(query);
+    const lean = async () => find(query);
+    return { lean, sort: () => ({ lean }) };
+  };
+  promptTemplateService.clearCache();
+
+  return queries;
+}
+
+test('the latest published template is used and cached until cleared', async () => {
+  const queries = stubTemplates([PUBLISHED, ARCHIVED]);
+
+  assert.strictEqual(await promptTemplateService.resolveTemplate({}), PUBLISHED);
+  assert.strictEqual(await promptTemplateService.resolveTemplate({}), PUBLISHED);
+  assert.strictEqual(queries.length, 1);
+
+  promptTemplateService.clearCache();
+  await promptTemplateService.resolveTemplate({});
+  assert.strictEqual(queries.length, 2);
+});
+
+test('pinned versions are used even when archived, and cached separately', async () => {
+  const queries = stubTemplates([PUBLISHED, ARCHIVED]);
+
+  assert.strictEqual(await promptTemplateService.resolveTemplate({ promptTemplate: { version: 1 } }), ARCHIVED);
+  assert.strictEqual(await promptTemplateService.resolveTemplate({}), PUBLISHED);
+  assert.deepStrictEqual(queries.map(query => query.version), [1, undefined]);
+});
+
+test('a missing pinned version resolves to no template', async () => {
+  stubTemplates([PUBLISHED, { name: 'persona', version: 4, status: 'draft', content: 'Draft' }]);
+
+  assert.strictEqual(await promptTemplateService.resolveTemplate({ promptTemplate: { version: 4 } }), null);
+  assert.strictEqual(await promptTemplateService.resolveTemplate({ promptTemplate: { name: 'other', version: 3 } }), null);
+});
+
+test('templates render the character variables, and only restricted content for restricted chats', () => {
+  const character = { name: 'Mia', personality: 'playful' };
+
+  assert.strictEqual(promptTemplateService.renderForCharacter(PUBLISHED, character, { uncensored: true }), 'You are Mia, playful.');
+  assert.strictEqual(promptTemplateService.renderForCharacter(PUBLISHED, character, { uncensored: false }), 'Keep it clean, Mia.');
+  assert.strictEqual(promptTemplateService.renderForCharacter(ARCHIVED, character, { uncensored: true }), 'Old Mia');
+  // Without restricted content the template is not used for restricted chats
+  assert.strictEqual(promptTemplateService.renderForCharacter(ARCHIVED, character, { uncensored: false }), null);
+});
+
+test('characters fall back to the built-in prompt when no template is published', async () => {
+  stubTemplates([]);
+  Character.findById = async () => null;
+  Character.findOne = async () => ({ id: 'mia', name: 'Mia' });
+
+  const res = {
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  await aiController.getSystemMessage({ params: { characterId: 'mia' }, query: {} }, res);
+
+  assert.strictEqual(res.body.promptTemplate, null);
+  assert.match(res.body.systemMessage, /Your name is Mia\./);
+});
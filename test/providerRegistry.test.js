@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config/openaiConfig');
+const providerRegistry = require('../src/services/providerRegistry');
+const { getPromptBudget } = require('../src/services/contextBuilder');
+
+/**
+ * Run a check with tier settings swapped in
+ * @param {Object} tiers - Tier settings to use
+ * @param {Function} check - Check to run
+ */
+function withTiers(tiers, check) {
+  const original = config.tiers;
+  config.tiers = { ...original, ...tiers };
+  try {
+    check();
+  } finally {
+    config.tiers = original;
+  }
+}
+
+test('tiers without settings use the default provider and its default model', () => {
+  withTiers({ standard: {} }, () => {
+    const provider = config.providers[config.defaultProvider];
+    assert.deepStrictEqual(providerRegistry.resolveTarget({ tier: 'standard' }), {
+      provider: config.defaultProvider,
+      model: provider.defaultModel,
+    });
+  });
+});
+
+test('character settings win over the tier, which wins over the default', () => {
+  withTiers({ premium: { provider: 'openai', model: 'gpt-4o' } }, () => {
+    assert.deepStrictEqual(providerRegistry.resolveTarget({ tier: 'premium' }), { provider: 'openai', model: 'gpt-4o' });
+
+    const character = { generation: { model: 'gpt-4o-mini' } };
+    assert.deepStrictEqual(providerRegistry.resolveTarget({ tier: 'premium', character }), { provider: 'openai', model: 'gpt-4o-mini' });
+
+    // The tier's model belongs to the tier's provider, so it does not carry over to the character's
+    const local = { generation: { provider: 'local' } };
+    assert.deepStrictEqual(providerRegistry.resolveTarget({ tier: 'premium', character: local }), {
+      provider: 'local',
+      model: config.providers.local.defaultModel,
+    });
+  });
+});
+
+test('unknown tiers fall back to the standard tier', () => {
+  withTiers({ standard: { provider: 'openai' } }, () => {
+    assert.strictEqual(providerRegistry.resolveTarget({ tier: 'nonexistent' }).provider, 'openai');
+  });
+});
+
+test('unknown providers are rejected', () => {
+  assert.throws(() => providerRegistry.getProvider('nonexistent'), /Unknown LLM provider: nonexistent/);
+  assert.strictEqual(providerRegistry.hasProvider('openai'), true);
+  assert.strictEqual(providerRegistry.hasProvider('toString'), false);
+});
+
+test('the provider list leaves out credentials', () => {
+  const providers = providerRegistry.listProviders();
+
+  assert.deepStrictEqual(providers.map(provider => provider.name), Object.keys(config.providers));
+  providers.forEach(provider => assert.strictEqual(provider.apiKey, undefined));
+  assert.strictEqual(providers.find(provider => provider.isDefault).name, config.defaultProvider);
+});
+
+test('sampling parameters come from the character, then the tier, then the defaults', () => {
+  withTiers({ standard: { temperature: 0.95, topP: 0.9 } }, () => {
+    const character = { generation: { temperature: 0, stop: ['\nUser:'] } };
+    const options = providerRegistry.resolveGenerationOptions({ tier: 'standard', character });
+
+    assert.strictEqual(options.temperature, 0);
+    assert.strictEqual(options.topP, 0.9);
+    assert.strictEqual(options.presencePenalty, config.presencePenalty);
+    assert.deepStrictEqual(options.stop, ['\nUser:']);
+  });
+});
+
+test('a character\'s maxTokens leaves room for the prompt in its model\'s budget', () => {
+  const budgets = config.contextBudgets;
+  config.contextBudgets = { ...budgets, small: 2048 };
+
+  try {
+    for (const model of Object.keys(config.contextBudgets)) {
+      const character = { generation: { model, maxTokens: 4096 } };
+      const { maxTokens } = providerRegistry.resolveGenerationOptions({ tier: 'standard', character });
+
+      assert.strictEqual(maxTokens, Math.min(4096, config.contextBudgets[model] - config.minPromptTokens), model);
+      assert.ok(getPromptBudget(model, maxTokens) >= config.minPromptTokens, model);
+    }
+  } finally {
+    config.contextBudgets = budgets;
+  }
+});
+
+test('maxTokens within the budget is kept', () => {
+  assert.strictEqual(providerRegistry.resolveGenerationOptions({ tier: 'standard', character: { generation: { maxTokens: 500 } } }).maxTokens, 500);
+  assert.strictEqual(providerRegistry.resolveGenerationOptions({ tier: 'standard' }).maxTokens, config.tiers.standard.maxTokens || config.maxTokens);
+});
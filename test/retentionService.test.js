@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Report = require('../src/models/Report');
+const ModerationEvent = require('../src/models/ModerationEvent');
+const UsageRecord = require('../src/models/UsageRecord');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const auditService = require('../src/services/auditService');
+const config = require('../src/config/retentionConfig');
+const retentionService = require('../src/services/retentionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// File policies would read and delete real directories
+config.files = [];
+config.collections = [
+  { name: 'resolvedReports', model: 'Report', filter: { status: { $in: ['resolved', 'dismissed'] } }, dateField: 'updatedAt', days: 180 },
+  { name: 'moderationEvents', model: 'ModerationEvent', dateField: 'createdAt', days: 365, ttl: true },
+  { name: 'usageRecords', model: 'UsageRecord', dateField: 'createdAt', days: null, ttl: true },
+  { name: 'inactiveConversations', model: 'Conversation', filter: { 'safety.reviewStatus': { $ne: 'pending' } }, dateField: 'lastMessageAt', days: 30 },
+];
+
+/**
+ * Replace the database calls the retention service makes with recorders
+ * @returns {Array} - Recorded calls as { name, args }
+ */
+function stubDatabase() {
+  const calls = [];
+  const track = (name, result) => async (...args) => {
+    calls.push({ name, args });
+    return result;
+  };
+
+  [ModerationEvent, UsageRecord].forEach(model => {
+    model.collection.indexes = track(`${model.modelName}.indexes`, [{ name: 'retention_usageRecords', expireAfterSeconds: 60 }]);
+    model.collection.createIndex = track(`${model.modelName}.createIndex`);
+    model.collection.dropIndex = track(`${model.modelName}.dropIndex`);
+  });
+
+  [Report, ModerationEvent, UsageRecord].forEach(model => {
+    model.countDocuments = track(`${model.modelName}.countDocuments`, 2);
+    model.deleteMany = track(`${model.modelName}.deleteMany`, { deletedCount: 2 });
+  });
+
+  const conversationBatches = [[{ _id: 'c1' }, { _id: 'c2' }]];
+  Conversation.countDocuments = track('Conversation.countDocuments', 2);
+  Conversation.find = () => ({
+    distinct: track('Conversation.distinct', ['c1', 'c2']),
+    select: () => ({ limit: () => ({ lean: async () => conversationBatches.shift() || [] }) }),
+  });
+  Conversation.deleteMany = track('Conversation.deleteMany', { deletedCount: 2 });
+  Message.countDocuments = track('Message.countDocuments', 7);
+  Message.deleteMany = track('Message.deleteMany', { deletedCount: 7 });
+
+  return calls;
+}
+
+test('a dry run only counts and never touches indexes', async () => {
+  const calls = stubDatabase();
+  config.dryRun = false;
+
+  const report = await retentionService.runPolicies({ dryRun: true });
+
+  assert.strictEqual(report.dryRun, true);
+  assert.deepStrictEqual(calls.filter(call => /indexes|Index|deleteMany/.test(call.name)), []);
+
+  const byName = Object.fromEntries(report.policies.map(entry => [entry.name, entry]));
+  assert.strictEqual(byName.resolvedReports.expired, 2);
+  assert.strictEqual(byName.usageRecords.expired, 0);
+  assert.strictEqual(byName.inactiveConversations.expired, 2);
+  assert.strictEqual(byName.inactiveConversations.expiredMessages, 7);
+  assert.strictEqual(retentionService.getLastRun(), null);
+});
+
+test('an enforced run deletes documents past their policy and syncs TTL indexes', async () => {
+  const calls = stubDatabase();
+  const before = Date.now();
+
+  const report = await retentionService.runPolicies({ dryRun: false });
+
+  assert.strictEqual(report.dryRun, false);
+  assert.strictEqual(retentionService.getLastRun(), report);
+
+  // Expired documents are selected by the policy's filter and date field
+  const [reportQuery] = calls.find(call => call.name === 'Report.deleteMany').args;
+  assert.deepStrictEqual(reportQuery.status, { $in: ['resolved', 'dismissed'] });
+  assert.ok(reportQuery.updatedAt.$lt.getTime() <= before - 180 * DAY_MS + 1000);
+
+  // A policy without a period keeps its data and loses its TTL index
+  assert.ok(!calls.some(call => call.name === 'UsageRecord.deleteMany'));
+  assert.deepStrictEqual(calls.find(call => call.name === 'UsageRecord.dropIndex').args, ['retention_usageRecords']);
+
+  const [keys, options] = calls.find(call => call.name === 'ModerationEvent.createIndex').args;
+  assert.deepStrictEqual(keys, { createdAt: 1 });
+  assert.strictEqual(options.expireAfterSeconds, 365 * 24 * 60 * 60);
+
+  // Conversations go together with their messages
+  assert.deepStrictEqual(calls.find(call => call.name === 'Message.deleteMany').args[0], { conversationId: { $in: ['c1', 'c2'] } });
+  const conversations = report.policies.find(entry => entry.name === 'inactiveConversations');
+  assert.strictEqual(conversations.deleted, 2);
+  assert.strictEqual(conversations.deletedMessages, 7);
+});
+
+test('a dry run does not wait for a purge in progress', async () => {
+  stubDatabase();
+  let release;
+  Report.deleteMany = () => new Promise(resolve => {
+    release = () => resolve({ deletedCount: 0 });
+  });
+
+  const purge = retentionService.runPolicies({ dryRun: false });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(release, 'the purge is deleting');
+
+  const report = await retentionService.runPolicies({ dryRun: true });
+  assert.strictEqual(report.dryRun, true);
+
+  release();
+  assert.strictEqual((await purge).dryRun, false);
+});
+
+test('scheduled purges are audited with the system as actor, scheduled dry runs are not', async () => {
+  const events = [];
+  const record = auditService.record;
+  auditService.record = async (req, event) => events.push({ req, event });
+
+  try {
+    stubDatabase();
+    config.dryRun = true;
+    await retentionService.runScheduled();
+    assert.deepStrictEqual(events, []);
+
+    stubDatabase();
+    config.dryRun = false;
+    await retentionService.runScheduled();
+  } finally {
+    auditService.record = record;
+  }
+
+  assert.deepStrictEqual(events, [{
+    req: { adminUser: { username: 'system', role: 'system' } },
+    event: { action: 'retention.purge', targetType: 'retention', targetId: 'all' },
+  }]);
+});
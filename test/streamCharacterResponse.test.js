@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const Character = require('../src/models/Character');
+const ModerationEvent = require('../src/models/ModerationEvent');
+const openaiService = require('../src/services/openaiService');
+const conversationService = require('../src/services/conversationService');
+const memoryService = require('../src/services/memoryService');
+const promptTemplateService = require('../src/services/promptTemplateService');
+const usageService = require('../src/services/usageService');
+const ageAssuranceService = require('../src/services/ageAssuranceService');
+const userProfileService = require('../src/services/userProfileService');
+const moderationService = require('../src/services/moderationService');
+const moderationConfig = require('../src/config/moderationConfig');
+const aiController = require('../src/controllers/aiController');
+
+const CHARACTER = { id: 'mia', name: 'Mia', messageCount: 0, save: async () => {} };
+
+Character.findById = async () => null;
+Character.findOne = async ({ id }) => (id === 'mia' ? CHARACTER : null);
+
+// Summaries, prompt templates, usage records, content modes and blocklists are covered by their own tests
+memoryService.scheduleSummaryUpdate = () => {};
+promptTemplateService.resolveTemplate = async () => null;
+usageService.scheduleUsageRecord = () => {};
+ageAssuranceService.resolveContentMode = async () => ({ mode: 'unrestricted', uncensored: true, reason: 'age_verified' });
+userProfileService.isCharacterBlocked = async () => false;
+ModerationEvent.create = async () => {};
+
+// Sentences mentioning "forbidden" are flagged as hate, which is rewritten by default
+moderationService.registerEngine('test', {
+  check: async text => [...text.matchAll(/[^\s.!?][^.!?]*forbidden[^.!?]*[.!?]?\s*/g)]
+    .map(match => ({ category: 'hate', score: 1, matches: [{ start: match.index, end: match.index + match[0].length }] })),
+});
+moderationConfig.output.engines = ['test'];
+
+// Messages stored in the conversation during the current test
+let stored = [];
+conversationService.getOrCreateConversation = async () => ({ _id: 'conversation-1', userId: 'user-1', characterId: 'mia' });
+conversationService.getActiveLeafId = async () => null;
+conversationService.appendMessage = async (conversation, role, content) => {
+  const message = { _id: `message-${stored.length + 1}`, role, content };
+  stored.push(message);
+  return message;
+};
+
+/**
+ * Minimal Express response that records Server-Sent Events
+ * @returns {Object} - Response with the parsed `events` and whether it ended
+ */
+function mockEventStream() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    locals: {},
+    written: '',
+    ended: false,
+    writableFinished: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(headers) {
+      Object.assign(res.headers, headers);
+      return res;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      res.written += chunk;
+    },
+    end() {
+      res.ended = true;
+      res.writableFinished = true;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  });
+
+  Object.defineProperty(res, 'events', {
+    get: () => res.written.split('\n\n').filter(Boolean).map(block => {
+      const [event, data] = block.split('\n');
+      return { event: event.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+    }),
+  });
+
+  return res;
+}
+
+/**
+ * Ask Mia for a streamed reply
+ * @param {Function} stream - Stand-in for openaiService.streamResponse, also given the response
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Object>} - The response
+ */
+async function requestStream(stream, headers = {}) {
+  stored = [];
+  const res = mockEventStream();
+  openaiService.streamResponse = (messages, options) => stream(messages, options, res);
+  await aiController.generateCharacterResponse('standard')({
+    user: { firebaseId: 'user-1' },
+    query: headers.accept ? {} : { stream: 'true' },
+    headers,
+    body: { characterId: 'mia', message: 'Hi' },
+  }, res);
+  return res;
+}
+
+test('a streamed reply is sent as token events a sentence at a time and ends with done', async () => {
+  const res = await requestStream(async function* () {
+    yield 'Hey ';
+    yield 'you. How ';
+    yield 'are you?';
+  }, { accept: 'text/event-stream' });
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/event-stream');
+  assert.deepStrictEqual(res.events.map(event => event.event), ['token', 'token', 'done']);
+  assert.deepStrictEqual(res.events.slice(0, 2).map(event => event.data.content), ['Hey you. ', 'How are you?']);
+  assert.strictEqual(res.events[2].data.response, 'Hey you. How are you?');
+  assert.strictEqual(res.events[2].data.moderation, undefined);
+  assert.strictEqual(res.events[2].data.character.id, 'mia');
+  assert.strictEqual(res.events[2].data.messageId, 'message-2');
+  assert.deepStrictEqual(stored.map(message => [message.role, message.content]), [['user', 'Hi'], ['assistant', 'Hey you. How are you?']]);
+  assert.strictEqual(res.ended, true);
+});
+
+test('a flagged sentence is held back and replaced by a moderated event', async () => {
+  const res = await requestStream(async function* () {
+    yield 'Hey you. ';
+    yield 'Something forbidden. ';
+    yield 'Bye now.';
+  });
+
+  assert.deepStrictEqual(res.events.map(event => event.event), ['token', 'moderated', 'done']);
+  assert.strictEqual(res.events[0].data.content, 'Hey you. ');
+  assert.deepStrictEqual(res.events[1].data, { action: 'rewrite', categories: ['hate'], response: 'Hey you. Bye now.' });
+  assert.ok(!res.written.includes('Bye now.\n'), 'nothing after the flagged sentence is streamed as tokens');
+  assert.deepStrictEqual(res.events[2].data.moderation, { action: 'rewrite', categories: ['hate'] });
+  assert.strictEqual(stored[1].content, 'Hey you. Bye now.');
+});
+
+test('a provider failure mid-stream only reports the sentences already sent', async () => {
+  const res = await requestStream(async function* () {
+    yield 'Hey ';
+    throw new Error('upstream reset');
+  });
+
+  assert.deepStrictEqual(res.events.map(event => event.event), ['error']);
+  assert.strictEqual(res.events[0].data.partial, false);
+  assert.deepStrictEqual(stored.map(message => message.role), ['user']);
+  assert.strictEqual(res.ended, true);
+});
+
+test('a provider failure mid-stream ends with an error event', async () => {
+  const res = await requestStream(async function* () {
+    yield 'Hey you. ';
+    throw new Error('upstream reset');
+  });
+
+  assert.deepStrictEqual(res.events.map(event => event.event), ['token', 'error']);
+  assert.strictEqual(res.events[1].data.partial, true);
+  assert.deepStrictEqual(stored.map(message => message.role), ['user']);
+  assert.strictEqual(res.ended, true);
+});
+
+test('a client disconnect aborts the upstream request', async () => {
+  let signal;
+  const res = await requestStream(async function* (messages, options, stream) {
+    signal = options.signal;
+    yield 'Hey you. ';
+    stream.emit('close');
+    if (signal.aborted) {throw new Error('aborted');}
+    yield 'you!';
+  });
+
+  assert.strictEqual(signal.aborted, true);
+  assert.deepStrictEqual(res.events.map(event => event.event), ['token']);
+  assert.deepStrictEqual(stored.map(message => message.role), ['user']);
+  assert.strictEqual(res.ended, false);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Character = require('../src/models/Character');
+const promptTemplateService = require('../src/services/promptTemplateService');
+const adminAuthService = require('../src/services/adminAuthService');
+const aiRoutes = require('../src/routes/aiRoutes');
+
+// Session tokens of an editor and a moderator
+const ADMINS = {
+  'editor-token': { _id: 'admin-1', username: 'ed', role: 'editor' },
+  'moderator-token': { _id: 'admin-2', username: 'mo', role: 'moderator' },
+};
+adminAuthService.authenticate = async token => ADMINS[token] || null;
+
+Character.findById = async () => null;
+Character.findOne = async ({ id }) => (id === 'mia' ? { id: 'mia', name: 'Mia', personality: 'playful' } : null);
+promptTemplateService.resolveTemplate = async () => null;
+
+/**
+ * Run a request through the system-message route's handlers
+ * @param {Object} [request] - Headers and query of the request
+ * @returns {Promise<Object>} - Response with `statusCode` and `body`
+ */
+async function requestSystemMessage({ headers = {}, query = {} } = {}) {
+  const layer = aiRoutes.stack.find(entry => entry.route && entry.route.path === '/character/:characterId/system-message');
+  const req = { method: 'GET', originalUrl: '/api/ai/character/mia/system-message', params: { characterId: 'mia' }, headers, query, ip: '127.0.0.1' };
+  // Settles each handler once it calls next or sends a response
+  let settle;
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      settle(false);
+      return res;
+    },
+  };
+
+  for (const { handle } of layer.route.stack) {
+    const next = await new Promise(resolve => {
+      settle = resolve;
+      handle(req, res, () => resolve(true));
+    });
+    if (!next) {break;}
+  }
+
+  return res;
+}
+
+test('the system message is only served to admins allowed to edit prompts', async () => {
+  for (const headers of [{}, { authorization: 'Bearer wrong' }]) {
+    const res = await requestSystemMessage({ headers });
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.body.systemMessage, undefined);
+  }
+
+  const moderator = await requestSystemMessage({ headers: { authorization: 'Bearer moderator-token' } });
+  assert.strictEqual(moderator.statusCode, 403);
+  assert.strictEqual(moderator.body.systemMessage, undefined);
+
+  const res = await requestSystemMessage({ headers: { authorization: 'Bearer editor-token' } });
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.body.systemMessage, /Mia/);
+});
+
+test('admins preview the restricted prompt unless they ask for the unrestricted one', async () => {
+  const headers = { authorization: 'Bearer editor-token' };
+
+  const restricted = await requestSystemMessage({ headers });
+  const unrestricted = await requestSystemMessage({ headers, query: { contentMode: 'unrestricted' } });
+
+  assert.strictEqual(restricted.body.contentMode, 'restricted');
+  assert.strictEqual(unrestricted.body.contentMode, 'unrestricted');
+  assert.notStrictEqual(restricted.body.systemMessage, unrestricted.body.systemMessage);
+  assert.strictEqual((await requestSystemMessage({ headers, query: { contentMode: 'spicy' } })).statusCode, 400);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const UsageRecord = require('../src/models/UsageRecord');
+const config = require('../src/config/openaiConfig');
+const usageService = require('../src/services/usageService');
+
+const CONFIG_PATH = require.resolve('../src/config/openaiConfig');
+
+/**
+ * Load a fresh copy of the config with LLM_PRICING_JSON set
+ * @param {string} value - Environment variable value
+ * @returns {Object} - Price table of the fresh config
+ */
+function loadPricing(value) {
+  const cached = require.cache[CONFIG_PATH];
+  const original = process.env.LLM_PRICING_JSON;
+  delete require.cache[CONFIG_PATH];
+  process.env.LLM_PRICING_JSON = value;
+
+  try {
+    return require(CONFIG_PATH).pricing;
+  } finally {
+    if (original === undefined) {
+      delete process.env.LLM_PRICING_JSON;
+    } else {
+      process.env.LLM_PRICING_JSON = original;
+    }
+    require.cache[CONFIG_PATH] = cached;
+  }
+}
+
+test('costs are estimated per million tokens from the price table', () => {
+  const price = config.pricing['deepseek-chat'];
+
+  assert.strictEqual(usageService.estimateCost('deepseek-chat', 1000000, 0), price.prompt);
+  assert.strictEqual(usageService.estimateCost('deepseek-chat', 2000, 1000), (2000 * price.prompt + 1000 * price.completion) / 1000000);
+  assert.strictEqual(usageService.estimateCost('unpriced-model', 1000, 1000), 0);
+});
+
+test('reported usage is stored as-is with its cost', async () => {
+  UsageRecord.create = async record => record;
+
+  const record = await usageService.recordUsage({
+    purpose: 'chat',
+    provider: 'deepseek',
+    model: 'deepseek-chat',
+    usage: { prompt_tokens: 120, completion_tokens: 30 },
+    content: 'ignored when usage is reported',
+  });
+
+  assert.strictEqual(record.estimated, false);
+  assert.strictEqual(record.totalTokens, 150);
+  assert.strictEqual(record.cost, usageService.estimateCost('deepseek-chat', 120, 30));
+});
+
+test('missing usage is estimated from the messages and the reply', async () => {
+  UsageRecord.create = async record => record;
+
+  const record = await usageService.recordUsage({
+    purpose: 'summary',
+    provider: 'local',
+    model: 'llama3.1',
+    usage: null,
+    messages: [{ role: 'system', content: 'abcdefgh' }, { role: 'user', content: 'abcd' }],
+    content: 'abcdefghijkl',
+  });
+
+  assert.strictEqual(record.estimated, true);
+  assert.strictEqual(record.promptTokens, 3);
+  assert.strictEqual(record.completionTokens, 3);
+  assert.strictEqual(record.cost, 0);
+});
+
+test('price overrides are merged over the defaults and invalid entries are skipped', () => {
+  const pricing = loadPricing(JSON.stringify({
+    'llama3.1': { prompt: 0, completion: 0.5 },
+    'gpt-4o': { prompt: 1, completion: 2 },
+    broken: { prompt: '1', completion: 2 },
+    negative: { prompt: -1, completion: 2 },
+  }));
+
+  assert.deepStrictEqual(pricing['llama3.1'], { prompt: 0, completion: 0.5 });
+  assert.deepStrictEqual(pricing['gpt-4o'], { prompt: 1, completion: 2 });
+  assert.strictEqual(pricing.broken, undefined);
+  assert.strictEqual(pricing.negative, undefined);
+  assert.deepStrictEqual(pricing['deepseek-chat'], config.pricing['deepseek-chat']);
+});
+
+test('malformed price overrides are ignored', () => {
+  for (const value of ['{"gpt-4o": ', '[1, 2]', '"cheap"']) {
+    assert.deepStrictEqual(loadPricing(value), config.pricing, value);
+  }
+});